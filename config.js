@@ -1,5 +1,21 @@
 require('dotenv').config();
 
+// Work sheet columns (logical field -> header name)
+const sheetColumns = {
+  code: 'Hoá đơn',
+  receivedDate: 'Ngày nhận',
+  dueDate: 'Ngày trả',
+  item: 'Tên đồ dùng',
+  work: 'Công việc',
+  status: 'Trạng thái',
+  duration: 'Thời gian',
+  assignee: 'Người làm',
+  paymentStatus: 'Trạng thái thanh toán',
+  note: 'Ghi chú',
+  delay: 'Lần Delay',
+  newDueDate: 'Ngày trả mới'
+};
+
 // Export all configuration values from environment variables
 module.exports = {
   // KiotViet API credentials
@@ -7,12 +23,92 @@ module.exports = {
   clientSecret: process.env.KIOTVIET_CLIENT_SECRET,
   retailer: process.env.KIOTVIET_RETAILER,
 
+  // KiotViet API client
+  kiotviet: {
+    // Point both at mock-server/kiotviet-mock-server.js to run without network access
+    baseUrl: process.env.KIOTVIET_BASE_URL || 'https://public.kiotapi.com',
+    tokenUrl: process.env.KIOTVIET_TOKEN_URL || 'https://id.kiotviet.vn/connect/token',
+    timeout: parseInt(process.env.KIOTVIET_TIMEOUT_MS) || 30000,
+    maxRetries: parseInt(process.env.KIOTVIET_MAX_RETRIES) || 3,
+    retryDelay: parseInt(process.env.KIOTVIET_RETRY_DELAY_MS) || 1000,
+    // Safety cap on the pages read from any list endpoint, invoices included
+    maxPages: parseInt(process.env.KIOTVIET_MAX_PAGES) || 100
+  },
+
+  // Timezone the shop runs in: "today" for the sync and the reports, and the cron schedules
+  timezone: process.env.TIMEZONE || 'Asia/Ho_Chi_Minh',
+
+  // KiotViet invoice fetching
+  invoices: {
+    pageSize: parseInt(process.env.KIOTVIET_INVOICE_PAGE_SIZE) || 100
+  },
+
+  // Incremental sync state (high-water mark of the last successful migration)
+  sync: {
+    stateFile: process.env.SYNC_STATE_FILE || 'state/sync-state.json',
+    maxCatchUpDays: parseInt(process.env.SYNC_MAX_CATCH_UP_DAYS) || 30
+  },
+
+  // KiotViet branches, each synced to its own sheet tab and reported separately. JSON list, e.g.
+  // [{"id": 12345, "name": "Vườn Đào", "sheetName": "Vườn Đào"}]
+  // A branch can set its own "escalationMentions" (same shape as escalation.mentions)
+  // Leave empty to sync all branches into spreadsheet.sheetName. Parsed by service/branch-service.js
+  branches: process.env.KIOTVIET_BRANCHES || '[]',
+
   // Google Sheets Configuration
   spreadsheet: {
     id: process.env.SPREADSHEET_ID,
     sheetName: process.env.SHEET_NAME,
-    headers: ['Hoá đơn', 'Ngày nhận', 'Ngày trả', 'Tên đồ dùng', 'Công việc', 'Trạng thái', 'Thời gian',
-      'Người làm', 'Trạng thái thanh toán', 'Ghi chú', 'Lần Delay', 'Ngày trả mới']
+    // Sheet schema: logical field -> header name. Columns are found by header at runtime, so they can be
+    // reordered in the sheet; the order here is only used when the sheet is created
+    columns: sheetColumns,
+    headers: Object.values(sheetColumns)
+  },
+
+  // Rollover of closed orders from the work tab into archive tabs
+  archive: {
+    // Rows are archived once they were received more than this many days ago
+    afterDays: parseInt(process.env.ARCHIVE_AFTER_DAYS) || 30,
+    // Archive tab name: {sheet} is the work tab, {yyyy}/{MM} the month the order was received.
+    // Use a name without {yyyy}/{MM} (e.g. "{sheet}-Archive") for a single archive tab per work tab.
+    // {sheet} is required with several branches, so they do not archive into the same tab
+    sheetName: process.env.ARCHIVE_SHEET_NAME || '{sheet}-Archive-{yyyy}-{MM}',
+    statuses: ['Đóng đơn', 'Huỷ đơn']
+  },
+
+  // Escalation of repeatedly delayed or long overdue orders, sent with the due/overdue report.
+  // An order is escalated again only when its delay, due date or overdue state changes
+  escalation: {
+    // "Lần Delay" values that escalate an order
+    delayValues: ['Delay lần 2', 'Delay lần 3'],
+    // Orders overdue by more than this many days are escalated
+    overdueDays: parseInt(process.env.ESCALATION_OVERDUE_DAYS) || 3,
+    // Telegram users to mention, JSON, e.g. {"default": ["@quanly"], "assignees": {"Minh": ["@minh"]}}.
+    // Parsed by dailyReportJob when escalating
+    mentions: process.env.ESCALATION_MENTIONS || '{}'
+  },
+
+  // Pickup reminders sent to customers whose order is due today. Nothing is sent unless the "zalo"
+  // setting (settings table, seeded from mock-data/setting.json) has "isSendAllowed": true
+  reminders: {
+    // "zalo" (Zalo ZNS), "sms" or "log" (only writes the messages to the log)
+    channel: process.env.REMINDER_CHANNEL || 'log',
+    // {customerName}, {code}, {dueDate} and {items} are filled in; Zalo ZNS gets them as template data
+    template: process.env.REMINDER_TEMPLATE
+      || 'ANS xin chào {customerName}, đơn {code} ({items}) của anh/chị hẹn trả hôm nay {dueDate}. Mời anh/chị qua cửa hàng nhận đồ. Cảm ơn anh/chị!',
+    zalo: {
+      url: process.env.ZALO_ZNS_URL || 'https://business.openapi.zalo.me/message/template',
+      accessToken: process.env.ZALO_ACCESS_TOKEN,
+      // Defaults to the first templateId of the "zalo" setting
+      templateId: process.env.ZALO_TEMPLATE_ID
+    },
+    sms: {
+      url: process.env.SMS_API_URL,
+      apiKey: process.env.SMS_API_KEY,
+      sender: process.env.SMS_SENDER
+    },
+    // Sent reminders are recorded in sync.stateFile and kept this many days
+    keepDays: parseInt(process.env.REMINDER_KEEP_DAYS) || 30
   },
 
   // Telegram Bot Configuration
@@ -0,0 +1,374 @@
+const { getGoogleClient } = require('../service/get-client-service');
+const { log, logError } = require('../service/log-service');
+const config = require('../config');
+const { getBranches, getBranchConfigs } = require('../service/branch-service');
+const { SheetLayout } = require('../service/sheet-schema-service');
+const { parseReturnDate, compareDays } = require('../service/return-date-service');
+const { clock } = require('../service/clock-service');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * ArchiveJob Class
+ *
+ * Keeps the work tab small by moving closed ("Đóng đơn") and cancelled ("Huỷ đơn") rows received more than
+ * `config.archive.afterDays` days ago into archive tabs such as "Công việc-Archive-2026-10".
+ *
+ * A new archive tab starts as a copy of the work tab, so it has the same header, column widths, dropdowns
+ * and colors. Rows are copied with their formatting and data validation, newest first like the work tab,
+ * and then deleted from the work tab - all in a single batchUpdate.
+ */
+class ArchiveJob {
+    /**
+     * Create a new ArchiveJob instance
+     *
+     * @param {Object} config - Configuration for the job
+     * @param {Object} options - Optional dependencies for testing/DI
+     */
+    constructor(config, options = {}) {
+        this.config = config;
+        // Set up dependencies with support for dependency injection
+        this.getGoogleClient = options.getGoogleClient || getGoogleClient;
+        this.log = options.log || log;
+        this.logError = options.logError || logError;
+        this.clock = options.clock || clock;
+    }
+
+    /**
+     * Move old closed and cancelled rows from the work tab into their archive tabs
+     *
+     * @returns {Promise<boolean>} True if process completed successfully
+     */
+    async main() {
+        try {
+            const { id: spreadsheetId, sheetName } = this.config.spreadsheet;
+            this.log(`Starting archive job for sheet "${sheetName}"...`);
+
+            const { sheets } = await this.getGoogleClient();
+            const spreadsheet = await sheets.spreadsheets.get({
+                spreadsheetId: spreadsheetId,
+                includeGridData: false
+            });
+            const sheetList = spreadsheet.data.sheets;
+            const workSheet = sheetList.find(sheet => sheet.properties.title === sheetName);
+            if (!workSheet) {
+                throw new Error(`Sheet "${sheetName}" not found`);
+            }
+
+            const response = await sheets.spreadsheets.values.get({
+                spreadsheetId: spreadsheetId,
+                range: sheetName
+            });
+            const rows = response.data.values || [];
+            if (rows.length <= 1) {
+                this.log('No rows to archive');
+                return true;
+            }
+
+            const layout = new SheetLayout(this.config.spreadsheet.columns, rows[0]);
+            const groups = this.selectRowsToArchive(rows, layout, this.clock.now());
+            if (groups.size === 0) {
+                this.log('No rows to archive');
+                return true;
+            }
+
+            const workSheetId = workSheet.properties.sheetId;
+            const columnCount = rows[0].length;
+            const requests = [];
+            const archivedRowIndexes = [];
+            let skippedGroups = 0;
+            let nextSheetId = Math.max(...sheetList.map(sheet => sheet.properties.sheetId)) + 1;
+            let sheetCount = sheetList.length;
+
+            for (const [archiveName, rowIndexes] of groups) {
+                const archiveSheet = sheetList.find(sheet => sheet.properties.title === archiveName);
+
+                if (archiveSheet) {
+                    // Rows are copied by position, so the archive must have the same columns
+                    const archiveHeader = await sheets.spreadsheets.values.get({
+                        spreadsheetId: spreadsheetId,
+                        range: `${archiveName}!1:1`
+                    });
+                    const headerRow = (archiveHeader.data.values || [])[0] || [];
+                    if (headerRow.join('|') !== rows[0].join('|')) {
+                        this.logError(`Skipping ${rowIndexes.length} row(s) for "${archiveName}": its header row differs from "${sheetName}"`);
+                        skippedGroups++;
+                        continue;
+                    }
+                    requests.push(...this.buildMoveRequests(workSheetId, archiveSheet.properties.sheetId, rowIndexes, columnCount, 0));
+                } else {
+                    const archiveSheetId = nextSheetId++;
+                    requests.push({
+                        duplicateSheet: {
+                            sourceSheetId: workSheetId,
+                            insertSheetIndex: sheetCount++,
+                            newSheetId: archiveSheetId,
+                            newSheetName: archiveName
+                        }
+                    });
+                    // The copy holds the work tab's rows, which are dropped once the archived rows are in
+                    const copiedRowCount = workSheet.properties.gridProperties.rowCount - 1;
+                    requests.push(...this.buildMoveRequests(workSheetId, archiveSheetId, rowIndexes, columnCount, copiedRowCount));
+                }
+
+                this.log(`Archiving ${rowIndexes.length} row(s) into "${archiveName}"${archiveSheet ? '' : ' (new tab)'}`);
+                archivedRowIndexes.push(...rowIndexes);
+            }
+
+            if (archivedRowIndexes.length === 0) {
+                return skippedGroups === 0;
+            }
+
+            requests.push(...this.buildDeleteRowRequests(workSheetId, archivedRowIndexes));
+
+            await this.verifyRowsUnchanged(sheets, rows, layout);
+            await sheets.spreadsheets.batchUpdate({
+                spreadsheetId: spreadsheetId,
+                requestBody: { requests }
+            });
+
+            this.log(`✓ Archived ${archivedRowIndexes.length} row(s) from "${sheetName}"`);
+            return skippedGroups === 0;
+        } catch (error) {
+            this.logError(`Error in archive job: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Pick the rows to archive, grouped by archive tab
+     *
+     * @param {Array<Array<string>>} rows - Work sheet values, header row first
+     * @param {SheetLayout} layout - Column layout of the work sheet
+     * @param {Date} today - Current date
+     * @returns {Map<string, Array<number>>} Archive tab name -> 0-indexed sheet rows, in sheet order
+     */
+    selectRowsToArchive(rows, layout, today) {
+        const { afterDays, statuses } = this.config.archive;
+        const groups = new Map();
+
+        rows.forEach((row, index) => {
+            if (index === 0 || !layout.get(row, 'code')) return;
+            if (!statuses.includes(layout.get(row, 'status').trim())) return;
+
+            const received = parseReturnDate(layout.get(row, 'receivedDate'), today);
+            if (!received || compareDays(today, received.date) <= afterDays * MS_PER_DAY) return;
+
+            const archiveName = this.formatArchiveSheetName(received.date);
+            if (!groups.has(archiveName)) {
+                groups.set(archiveName, []);
+            }
+            groups.get(archiveName).push(index);
+        });
+
+        return groups;
+    }
+
+    /**
+     * Build the archive tab name for a received date
+     *
+     * @param {Date} date - Date the order was received
+     * @returns {string} Tab name from the `config.archive.sheetName` template
+     * @throws {Error} If several branches are configured and the template has no {sheet}, as their orders
+     *   would end up in the same tab
+     */
+    formatArchiveSheetName(date) {
+        const template = this.config.archive.sheetName;
+        if (getBranches(this.config).length > 1 && !template.includes('{sheet}')) {
+            throw new Error(`Archive sheet name "${template}" must contain {sheet} when several branches are configured`);
+        }
+
+        return template
+            .replace('{sheet}', this.config.spreadsheet.sheetName)
+            .replace('{yyyy}', String(date.getFullYear()))
+            .replace('{MM}', String(date.getMonth() + 1).padStart(2, '0'));
+    }
+
+    /**
+     * Recognize an archive tab of the work tab from its name
+     *
+     * @param {string} title - Tab name
+     * @returns {{month: Date|null}|null} The first day of the tab's month (of its year with only {yyyy},
+     *   null without {yyyy}), or null if the tab is not an archive tab of the work tab
+     */
+    parseArchiveSheetName(title) {
+        const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = escape(this.config.archive.sheetName)
+            .replace(escape('{sheet}'), escape(this.config.spreadsheet.sheetName))
+            .replace(escape('{yyyy}'), '(?<year>\\d{4})')
+            .replace(escape('{MM}'), '(?<month>\\d{2})');
+
+        const match = new RegExp(`^${pattern}$`).exec(title);
+        if (!match) {
+            return null;
+        }
+        const { year, month } = match.groups || {};
+        return { month: year ? new Date(Number(year), month ? Number(month) - 1 : 0, 1) : null };
+    }
+
+    /**
+     * Build the requests copying work rows to the top of an archive tab (right after its header)
+     *
+     * @param {number} sourceSheetId - Work sheet ID
+     * @param {number} archiveSheetId - Archive sheet ID
+     * @param {Array<number>} rowIndexes - 0-indexed work rows, in sheet order
+     * @param {number} columnCount - Number of columns to copy
+     * @param {number} staleRowCount - Rows below the copied ones to delete (left over from duplicating the work tab)
+     * @returns {Array<Object>} batchUpdate requests
+     */
+    buildMoveRequests(sourceSheetId, archiveSheetId, rowIndexes, columnCount, staleRowCount) {
+        const requests = [{
+            insertDimension: {
+                range: {
+                    sheetId: archiveSheetId,
+                    dimension: "ROWS",
+                    startIndex: 1,  // After header (0-indexed)
+                    endIndex: 1 + rowIndexes.length
+                },
+                inheritFromBefore: false
+            }
+        }];
+
+        let destinationRow = 1;
+        groupConsecutive(rowIndexes).forEach(({ start, end }) => {
+            const count = end - start;
+            // Values and formats, then the dropdowns (data validation is not part of a normal paste)
+            ['PASTE_NORMAL', 'PASTE_DATA_VALIDATION'].forEach(pasteType => requests.push({
+                copyPaste: {
+                    source: {
+                        sheetId: sourceSheetId,
+                        startRowIndex: start,
+                        endRowIndex: end,
+                        startColumnIndex: 0,
+                        endColumnIndex: columnCount
+                    },
+                    destination: {
+                        sheetId: archiveSheetId,
+                        startRowIndex: destinationRow,
+                        endRowIndex: destinationRow + count,
+                        startColumnIndex: 0,
+                        endColumnIndex: columnCount
+                    },
+                    pasteType: pasteType,
+                    pasteOrientation: "NORMAL"
+                }
+            }));
+            destinationRow += count;
+        });
+
+        if (staleRowCount > 0) {
+            requests.push({
+                deleteDimension: {
+                    range: {
+                        sheetId: archiveSheetId,
+                        dimension: "ROWS",
+                        startIndex: destinationRow,
+                        endIndex: destinationRow + staleRowCount
+                    }
+                }
+            });
+        }
+
+        return requests;
+    }
+
+    /**
+     * Build the requests deleting rows from the work sheet, bottom-up so earlier row indexes stay valid
+     *
+     * @param {number} sheetId - Work sheet ID
+     * @param {Array<number>} rowIndexes - 0-indexed rows to delete
+     * @returns {Array<Object>} batchUpdate requests
+     */
+    buildDeleteRowRequests(sheetId, rowIndexes) {
+        return groupConsecutive(rowIndexes).reverse().map(({ start, end }) => ({
+            deleteDimension: {
+                range: {
+                    sheetId: sheetId,
+                    dimension: "ROWS",
+                    startIndex: start,
+                    endIndex: end
+                }
+            }
+        }));
+    }
+
+    /**
+     * Make sure the work sheet has not changed (e.g. a migration inserted rows) since it was read,
+     * as the archive requests address rows by position
+     *
+     * @param {Object} sheets - Google Sheets API instance
+     * @param {Array<Array<string>>} rows - Work sheet values as read at the start of the run
+     * @param {SheetLayout} layout - Column layout of the work sheet
+     * @returns {Promise<void>}
+     * @throws {Error} If the invoice codes are no longer in the same rows
+     */
+    async verifyRowsUnchanged(sheets, rows, layout) {
+        const column = layout.letter('code');
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId: this.config.spreadsheet.id,
+            range: `${this.config.spreadsheet.sheetName}!${column}:${column}`
+        });
+        // A single-column read omits trailing empty cells, so rows without a code at the bottom are
+        // left out of both sides
+        const currentCodes = withoutTrailingEmpty((response.data.values || []).map(row => row[0] || ''));
+        const expectedCodes = withoutTrailingEmpty(rows.map(row => layout.get(row, 'code')));
+
+        if (currentCodes.join('|') !== expectedCodes.join('|')) {
+            throw new Error('Work sheet changed while archiving, nothing was moved - it will be retried on the next run');
+        }
+    }
+
+    /**
+     * Static method to run the archive job, once per configured branch
+     *
+     * @param {Object} config - Configuration object
+     * @param {string} branchName - Optional branch to run for (defaults to all branches)
+     * @returns {Promise<boolean>} True if every branch completed successfully
+     */
+    static async run(config, branchName) {
+        let success = true;
+        for (const branchConfig of getBranchConfigs(config, branchName)) {
+            const job = new ArchiveJob(branchConfig);
+            success = await job.main() && success;
+        }
+        return success;
+    }
+}
+
+/**
+ * Group sorted row indexes into runs of consecutive rows
+ * @param {Array<number>} rowIndexes - 0-indexed rows, ascending
+ * @returns {Array<{start: number, end: number}>} Runs (end is exclusive)
+ */
+function groupConsecutive(rowIndexes) {
+    const runs = [];
+    [...rowIndexes].sort((a, b) => a - b).forEach(index => {
+        const last = runs[runs.length - 1];
+        if (last && last.end === index) {
+            last.end = index + 1;
+        } else {
+            runs.push({ start: index, end: index + 1 });
+        }
+    });
+    return runs;
+}
+
+/**
+ * Drop the empty values at the end of a list
+ * @param {Array<string>} values - Values
+ * @returns {Array<string>} Values up to the last non-empty one
+ */
+function withoutTrailingEmpty(values) {
+    let end = values.length;
+    while (end > 0 && !values[end - 1]) {
+        end--;
+    }
+    return values.slice(0, end);
+}
+
+// Execute if run directly
+if (require.main === module) {
+    ArchiveJob.run(config);
+} else {
+    module.exports = ArchiveJob;
+}
@@ -2,13 +2,24 @@ const { getGoogleClient } = require('../service/get-client-service');
 const TelegramBot = require('../service/telegram-bot-service');
 const { log, logError } = require('../service/log-service');
 const config = require('../config');
+const { compareDays } = require('../service/return-date-service');
+const { getBranchConfigs, formatBranchHeader } = require('../service/branch-service');
+const { loadWorkSheet, formatDuration } = require('../service/work-sheet-service');
+const { clock } = require('../service/clock-service');
+const { readSyncState, writeSyncState } = require('../service/sync-state-service');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const ESCALATION_STATE_KEY = 'escalations';
 
 /**
  * DailyReportJob Class
  *
  * Reads the Google Sheet and sends separate reports to the Telegram Daily Report topic:
  * 1. Unestimated report: Items with empty "Thời gian" values
- * 2. Due/Overdue report: Items due today or overdue
+ * 2. Due/Overdue report: Items due today or overdue, and a separate escalation of repeatedly delayed
+ *    or long overdue orders
+ * 3. Phát sinh report: Items with additional work
+ * 4. Workload report: Open items per "Người làm" with their estimated time
  */
 class DailyReportJob {
     /**
@@ -24,6 +35,11 @@ class DailyReportJob {
         this.log = options.log || log;
         this.logError = options.logError || logError;
         this.telegramBot = options.telegramBot || new TelegramBot();
+        this.clock = options.clock || clock;
+        this.readSyncState = options.readSyncState || readSyncState;
+        this.writeSyncState = options.writeSyncState || writeSyncState;
+        // Work sheet snapshot shared by the reports of a main() run
+        this.sheetSnapshot = null;
     }
 
     /**
@@ -43,7 +59,7 @@ class DailyReportJob {
             // Send message for unestimated items
             if (invoiceCodes.length > 0) {
                 const incompleteMessage = this.formatIncompleteMessage(invoiceCodes, true); // true = use yesterday's date
-                await this.telegramBot.sendToDailyReportTopic(incompleteMessage);
+                await this.sendReport(incompleteMessage);
                 this.log('Unestimated invoices report for previous day sent to Telegram successfully');
             } else {
                 this.log('No unestimated invoices found for previous day, skipping that report');
@@ -65,8 +81,10 @@ class DailyReportJob {
         try {
             this.log('Starting due today and overdue items report job...');
 
-            // Read data for due today and overdue items
-            const { dueTodayItems, overdueItems } = await this.readDueTodayData();
+            // Read the sheet once for the due/overdue items and the escalations
+            const snapshot = await this.getSheetSnapshot();
+            const today = this.clock.now();
+            const { dueTodayItems, overdueItems } = this.selectDueAndOverdue(snapshot, today);
 
             this.log(`Found ${dueTodayItems.length} unique invoices due for return today (${this.formatTodayDate()})`);
             this.log(`Found ${overdueItems.length} unique overdue invoices`);
@@ -74,7 +92,7 @@ class DailyReportJob {
             // Send message for due today items
             if (dueTodayItems.length > 0) {
                 const dueTodayMessage = this.formatDueTodayMessage(dueTodayItems);
-                await this.telegramBot.sendToDailyReportTopic(dueTodayMessage);
+                await this.sendReport(dueTodayMessage);
                 this.log('Due today invoices report sent to Telegram successfully');
             } else {
                 this.log('No due today items found, skipping that report');
@@ -83,12 +101,14 @@ class DailyReportJob {
             // Send message for overdue items
             if (overdueItems.length > 0) {
                 const overdueMessage = this.formatOverdueMessage(overdueItems);
-                await this.telegramBot.sendToDailyReportTopic(overdueMessage);
+                await this.sendReport(overdueMessage);
                 this.log('Overdue invoices report sent to Telegram successfully');
             } else {
                 this.log('No overdue items found, skipping that report');
             }
 
+            await this.sendEscalations(snapshot, today);
+
             this.log('Due today and overdue items report job completed successfully');
             return true;
         } catch (error) {
@@ -113,7 +133,7 @@ class DailyReportJob {
             // Send message for Phát sinh items
             if (phatSinhItems.length > 0) {
                 const phatSinhMessage = this.formatPhatSinhMessage(phatSinhItems);
-                await this.telegramBot.sendToDailyReportTopic(phatSinhMessage);
+                await this.sendReport(phatSinhMessage);
                 this.log('Phát sinh items report sent to Telegram successfully');
             } else {
                 this.log('No Phát sinh items found, skipping that report');
@@ -127,6 +147,33 @@ class DailyReportJob {
         }
     }
 
+    /**
+     * Run the per-technician workload report (8:45)
+     * @returns {Promise<boolean>} True if process completed successfully
+     */
+    async runWorkloadReport() {
+        try {
+            this.log('Starting workload report job...');
+
+            const workload = await this.readWorkloadData();
+
+            this.log(`Found open items for ${workload.people.length} technician(s) and ${workload.unassigned.length} unassigned item(s)`);
+
+            if (workload.people.length > 0 || workload.unassigned.length > 0) {
+                await this.sendReport(this.formatWorkloadMessage(workload));
+                this.log('Workload report sent to Telegram successfully');
+            } else {
+                this.log('No open items found, skipping the workload report');
+            }
+
+            this.log('Workload report job completed successfully');
+            return true;
+        } catch (error) {
+            this.logError(`Error in workload report job: ${error.message}`);
+            return false;
+        }
+    }
+
     /**
      * Original main method maintained for backward compatibility
      * @returns {Promise<boolean>} True if process completed successfully
@@ -135,28 +182,42 @@ class DailyReportJob {
         try {
             this.log('Starting complete daily report job...');
 
-            // Run both reports
+            // Read the sheet once and share it between the reports
+            this.sheetSnapshot = await this.getSheetSnapshot();
+
+            // Run all reports
             await this.runUnestimatedReport();
             await this.runDueAndOverdueReport();
             await this.runPhatSinhReport();
+            await this.runWorkloadReport();
 
             this.log('Complete daily report job completed successfully');
             return true;
         } catch (error) {
             this.logError(`Error in complete daily report job: ${error.message}`);
             return false;
+        } finally {
+            this.sheetSnapshot = null;
         }
     }
 
+    /**
+     * Send a report to the Telegram Daily Report topic, naming the branch when running per branch
+     *
+     * @param {string} message - The report message
+     * @returns {Promise} - Response from the API
+     */
+    async sendReport(message) {
+        return this.telegramBot.sendToDailyReportTopic(formatBranchHeader(this.config) + message);
+    }
+
     /**
      * Get yesterday's date
      *
      * @returns {Date} Yesterday's date
      */
     getYesterdayDate() {
-        const yesterday = new Date();
-        yesterday.setDate(yesterday.getDate() - 1);
-        return yesterday;
+        return this.clock.yesterday();
     }
 
     /**
@@ -179,14 +240,33 @@ class DailyReportJob {
      * @returns {string} Today's date formatted as MM/DD/YYYY
      */
     formatTodayDate() {
-        return this.formatDate(new Date());
+        return this.formatDate(this.clock.now());
+    }
+
+    /**
+     * Get the work sheet snapshot, read once per run
+     *
+     * main() loads it once for all its reports; a report run on its own reads a fresh one.
+     *
+     * @returns {Promise<WorkSheetSnapshot>} Typed rows of the work sheet
+     */
+    async getSheetSnapshot() {
+        if (this.sheetSnapshot) {
+            return this.sheetSnapshot;
+        }
+
+        // Set up authentication using the dedicated module
+        const { sheets } = await this.getGoogleClient();
+        const snapshot = await loadWorkSheet(sheets, this.config.spreadsheet, this.clock.now());
+        this.log(`Loaded ${snapshot.rows.length} rows from sheet "${this.config.spreadsheet.sheetName}"`);
+        return snapshot;
     }
 
     /**
      * Read data from the Google Sheet and filter for rows with:
-     * 1. "Ngày nhận" (column B) equal to the specified date (today or yesterday)
-     * 2. Empty "Thời gian" values (column G)
-     * 3. "Trạng thái" (column F) not equal to "Phát sinh" or "Huỷ đơn"
+     * 1. "Ngày nhận" equal to the specified date (today or yesterday)
+     * 2. Empty "Thời gian" values
+     * 3. "Trạng thái" not equal to "Phát sinh" or "Huỷ đơn"
      *
      * @param {boolean} useYesterday - Whether to use yesterday's date instead of today's
      * @returns {Promise<{invoiceCodes: Array<string>, totalRows: number, todayRows: number}>}
@@ -194,125 +274,9 @@ class DailyReportJob {
      */
     async readSheetData(useYesterday = false) {
         try {
-            // Set up authentication using the dedicated module
-            const { sheets } = await this.getGoogleClient();
-
-            // Get all data from the sheet
-            const response = await sheets.spreadsheets.values.get({
-                spreadsheetId: this.config.spreadsheet.id,
-                range: `${this.config.spreadsheet.sheetName}!A:G` // We need columns A (invoice code) through G (Thời gian)
-            });
-
-            // Get the rows
-            const rows = response.data.values || [];
-
-            if (rows.length <= 1) {
-                // Only header row or empty sheet
-                return { invoiceCodes: [], totalRows: 0, todayRows: 0 };
-            }
-
-            // Format target date for comparison (today or yesterday)
-            const targetDate = useYesterday ? this.getYesterdayDate() : new Date();
-            const targetDateFormatted = this.formatDate(targetDate);
-
-            // Skip the header row and filter for:
-            // 1. Rows with "Ngày nhận" (column B, index 1) equal to today's date
-            // 2. Rows with empty "Thời gian" (column G, index 6)
-            // 3. Rows with a valid invoice code (column A, index 0)
-            // 4. Rows where "Trạng thái" (column F, index 5) is not "Phát sinh" or "Huỷ đơn"
-            const incompleteRows = rows.slice(1).filter((row) => {
-                // Check if row has enough columns and has an invoice code
-                if (row.length < 2 || !row[0]) {
-                    return false;
-                }
-
-                // Check if "Ngày nhận" column matches today's date
-                // Some date cells might include time, so we need to check if the date part matches
-                const receiveDate = row[1] ? row[1].split(' ')[0] : '';
-
-                // Standardize date format to MM/DD/YYYY if it's in another format
-                let formattedReceiveDate = receiveDate;
-                if (receiveDate && receiveDate.includes('/')) {
-                    // Try to parse and reformat the date to ensure consistent MM/DD/YYYY format
-                    try {
-                        const parts = receiveDate.split('/');
-                        if (parts.length === 3) {
-                            // If the day part seems to be a month (1-12), assume it's already MM/DD/YYYY
-                            // Otherwise, try to convert from DD/MM/YYYY to MM/DD/YYYY
-                            if (parseInt(parts[0]) > 12) {
-                                // Likely DD/MM/YYYY format, so swap day and month
-                                formattedReceiveDate = `${parts[1]}/${parts[0]}/${parts[2]}`;
-                            }
-                        }
-                    } catch (e) {
-                        // If parsing fails, use the original value
-                        this.log(`Warning: Could not parse date ${receiveDate}`);
-                    }
-                }
-
-                const isTargetDate = formattedReceiveDate === targetDateFormatted;
-
-                if (!isTargetDate) {
-                    return false;
-                }
-
-                // Check if "Thời gian" column is empty
-                // The column G is at index 6, but some rows might not have that many columns
-                const hasEmptyTimeEstimate = row.length <= 6 || !row[6] || row[6].trim() === '';
-
-                if (!hasEmptyTimeEstimate) {
-                    return false;
-                }
-
-                // Check if "Trạng thái" column is "Phát sinh" or "Huỷ đơn"
-                // The column F is at index 5, but some rows might not have that many columns
-                if (row.length > 5 && row[5]) {
-                    const status = row[5].trim();
-                    if (status === "Phát sinh" || status === "Huỷ đơn") {
-                        return false;
-                    }
-                }
-
-                return true;
-            });
-
-            // Count how many rows were received today (regardless of Thời gian status)
-            const todayRows = rows.slice(1).filter(row => {
-                if (row.length < 2 || !row[1]) {
-                    return false;
-                }
-                const receiveDate = row[1].split(' ')[0];
-
-                // Use the same date formatting logic as above
-                let formattedReceiveDate = receiveDate;
-                if (receiveDate && receiveDate.includes('/')) {
-                    try {
-                        const parts = receiveDate.split('/');
-                        if (parts.length === 3) {
-                            if (parseInt(parts[0]) > 12) {
-                                // Likely DD/MM/YYYY format, so swap day and month
-                                formattedReceiveDate = `${parts[1]}/${parts[0]}/${parts[2]}`;
-                            }
-                        }
-                    } catch (e) {
-                        // Use original if parsing fails
-                    }
-                }
-
-                return formattedReceiveDate === targetDateFormatted;
-            }).length;
-
-            // Extract all invoice codes (column A, index 0)
-            const allInvoiceCodes = incompleteRows.map(row => row[0]);
-
-            // Create a Set to get unique invoice codes
-            const uniqueInvoiceCodes = [...new Set(allInvoiceCodes)];
-
-            return {
-                invoiceCodes: uniqueInvoiceCodes,
-                totalRows: rows.length - 1, // Exclude header row
-                todayRows: todayRows
-            };
+            // Target date for comparison (today or yesterday)
+            const targetDate = useYesterday ? this.getYesterdayDate() : this.clock.now();
+            return this.selectUnestimated(await this.getSheetSnapshot(), targetDate);
         } catch (error) {
             this.logError(`Error reading sheet data: ${error.message}`);
             throw error;
@@ -320,7 +284,44 @@ class DailyReportJob {
     }
 
     /**
-     * Read data from the Google Sheet and filter for rows with "Ngày trả" (column C) equal to today's date
+     * Select the invoices received on a date that have no "Thời gian" estimate yet
+     *
+     * @param {WorkSheetSnapshot} snapshot - Work sheet rows
+     * @param {Date} targetDate - The day the invoices were received
+     * @returns {{invoiceCodes: Array<string>, totalRows: number, todayRows: number}}
+     * Array of unique invoice codes, total row count, and count of rows received on the target date
+     */
+    selectUnestimated(snapshot, targetDate) {
+        // Rows received on the target date, regardless of their Thời gian status
+        const receivedRows = snapshot.rows.filter(row => this.isReceivedOn(row, targetDate));
+
+        // Keep rows with an invoice code, an empty "Thời gian" and a "Trạng thái" other than
+        // "Phát sinh" or "Huỷ đơn"
+        const incompleteRows = receivedRows.filter(row => row.code
+            && row.duration === ''
+            && row.status !== "Phát sinh"
+            && row.status !== "Huỷ đơn");
+
+        return {
+            invoiceCodes: [...new Set(incompleteRows.map(row => row.code))],
+            totalRows: snapshot.rows.length,
+            todayRows: receivedRows.length
+        };
+    }
+
+    /**
+     * Check whether a row's "Ngày nhận" falls on a given day
+     *
+     * @param {WorkRow} row - Work sheet row
+     * @param {Date} date - The day to check
+     * @returns {boolean} True if the row was received on that day
+     */
+    isReceivedOn(row, date) {
+        return Boolean(row.receivedDate) && compareDays(row.receivedDate, date) === 0;
+    }
+
+    /**
+     * Read data from the Google Sheet and filter for rows with "Ngày trả" equal to today's date
      * or in the past, excluding rows with "Trạng thái" = "Đơn đã đóng"
      *
      * @returns {Promise<{dueTodayItems: Array<{code: string, dueDate: string}>, overdueItems: Array<{code: string, dueDate: string, delayStatus: string}>}>}
@@ -328,273 +329,340 @@ class DailyReportJob {
      */
     async readDueTodayData() {
         try {
-            // Set up authentication using the dedicated module
-            const { sheets } = await this.getGoogleClient();
+            return this.selectDueAndOverdue(await this.getSheetSnapshot(), this.clock.now());
+        } catch (error) {
+            this.logError(`Error reading due today data: ${error.message}`);
+            throw error;
+        }
+    }
 
-            // Get all data from the sheet - Now including columns K for "Lần Delay" and L for "Ngày trả mới"
-            const response = await sheets.spreadsheets.values.get({
-                spreadsheetId: this.config.spreadsheet.id,
-                range: `${this.config.spreadsheet.sheetName}!A:L` // Extended to include columns K and L
+    /**
+     * Select the open invoices due today and those already overdue
+     *
+     * The effective due date is "Ngày trả mới" when staff rescheduled the item, otherwise "Ngày trả".
+     * An invoice with an item due today is only reported as due today.
+     *
+     * @param {WorkSheetSnapshot} snapshot - Work sheet rows
+     * @param {Date} today - The current date
+     * @returns {{dueTodayItems: Array<{code: string, dueDate: string, originalDueDate: string, isUsingRescheduledDate: boolean}>,
+     *   overdueItems: Array<{code: string, dueDate: string, delayStatus: string}>}} Items due today and overdue
+     */
+    selectDueAndOverdue(snapshot, today) {
+        // Rows with an invoice code, a valid due date and a "Trạng thái" other than "Đóng đơn" or "Huỷ đơn"
+        const openRows = snapshot.rows.filter(row => row.code
+            && row.dueDate
+            && row.status !== "Đóng đơn"
+            && row.status !== "Huỷ đơn");
+
+        // Track every code once with its most critical status, due today taking priority over overdue
+        const dueToday = new Map();
+        const overdue = new Map();
+
+        openRows.filter(row => compareDays(row.dueDate, today) === 0).forEach(row => {
+            if (dueToday.has(row.code)) return;
+            dueToday.set(row.code, {
+                code: row.code,
+                dueDate: row.isRescheduled ? row.newDueText : row.dueText,
+                originalDueDate: row.dueText,
+                isUsingRescheduledDate: row.isRescheduled
             });
+        });
 
-            // Get the rows
-            const rows = response.data.values || [];
+        openRows.filter(row => compareDays(row.dueDate, today) < 0).forEach(row => {
+            if (dueToday.has(row.code) || overdue.has(row.code)) return;
+            overdue.set(row.code, {
+                code: row.code,
+                dueDate: row.dueText,
+                originalDueDate: row.dueText,
+                // "Lần Delay" if it is set
+                delayStatus: row.delay && row.delay !== this.config.delayValues[0] ? row.delay : '',
+                isUsingRescheduledDate: row.isRescheduled
+            });
+        });
 
-            if (rows.length <= 1) {
-                // Only header row or empty sheet
-                return { dueTodayItems: [], overdueItems: [] };
-            }
+        return {
+            dueTodayItems: [...dueToday.values()],
+            overdueItems: [...overdue.values()]
+        };
+    }
 
-            // Format today's date for comparison (month and day parts only)
-            const today = new Date();
-            const todayDay = today.getDate();
-            const todayMonth = today.getMonth() + 1;
-
-            // Helper function to extract and check if a date string contains a valid dd/mm format
-            const extractDatePart = (dateStr) => {
-                if (!dateStr || dateStr === '0' || dateStr.trim() === '') {
-                    return null;
-                }
-
-                // Extract any pattern that looks like dd/mm (e.g., "7/3", "07/03", etc.)
-                // This will work even if it's embedded in text like "tối 7/3"
-                const dateMatches = dateStr.match(/(\d{1,2})\/(\d{1,2})/);
-                if (!dateMatches) {
-                    return null;
-                }
-
-                // Return the extracted date part
-                return {
-                    day: parseInt(dateMatches[1], 10),
-                    month: parseInt(dateMatches[2], 10),
-                    fullMatch: dateMatches[0]
-                };
-            };
+    /**
+     * Send the escalation message for orders that are newly escalated or whose state changed
+     *
+     * The escalated orders and their state are kept in the sync state file, so an order is not
+     * escalated again every day until its delay, due date or overdue state changes.
+     *
+     * @param {WorkSheetSnapshot} snapshot - Work sheet rows
+     * @param {Date} today - The current date
+     * @returns {Promise<void>}
+     */
+    async sendEscalations(snapshot, today) {
+        const escalations = this.selectEscalations(snapshot, today);
+        const stateFile = (this.config.sync && this.config.sync.stateFile) || 'state/sync-state.json';
+        const stateKey = this.config.branch ? `${ESCALATION_STATE_KEY}:${this.config.branch.id}` : ESCALATION_STATE_KEY;
+        const previous = (this.readSyncState(stateFile, stateKey) || {}).escalated || {};
+
+        const newEscalations = escalations.filter(escalation => previous[escalation.code] !== escalation.state);
+        this.log(`Found ${escalations.length} escalated invoice(s), ${newEscalations.length} new or changed`);
+
+        if (newEscalations.length > 0) {
+            await this.sendReport(this.formatEscalationMessage(newEscalations));
+            this.log('Escalation report sent to Telegram successfully');
+        }
 
-            // Helper function to check if a date is today
-            const isToday = (dateStr) => {
-                const dateParts = extractDatePart(dateStr);
-                if (!dateParts) return false;
+        // Orders that are no longer escalated are dropped, so they are escalated again if they come back
+        const escalated = {};
+        escalations.forEach(escalation => {
+            escalated[escalation.code] = escalation.state;
+        });
+        const changed = Object.keys(previous).length !== escalations.length || newEscalations.length > 0;
+        if (changed) {
+            this.writeSyncState(stateFile, stateKey, { escalated, updatedAt: this.clock.timestamp() });
+        }
+    }
 
-                return dateParts.day === todayDay && dateParts.month === todayMonth;
-            };
+    /**
+     * Select the open orders to escalate: a "Lần Delay" in `config.escalation.delayValues`, or overdue by
+     * more than `config.escalation.overdueDays` days
+     *
+     * @param {WorkSheetSnapshot} snapshot - Work sheet rows
+     * @param {Date} today - The current date
+     * @returns {Array<{code: string, dueDate: string, delay: string, overdueDays: number, assignees: Array<string>, state: string}>}
+     *   Escalated orders; `state` changes whenever the order must be escalated again
+     */
+    selectEscalations(snapshot, today) {
+        const { delayValues, overdueDays } = this.config.escalation;
+        const orders = new Map();
 
-            // Helper function to check if a date is overdue (in the past)
-            const isOverdue = (dateStr) => {
-                const dateParts = extractDatePart(dateStr);
-                if (!dateParts) return false;
+        snapshot.rows.forEach(row => {
+            if (!row.code || row.status === "Đóng đơn" || row.status === "Huỷ đơn") return;
 
-                // If it's a previous month this year, it's overdue
-                if (dateParts.month < todayMonth) return true;
+            if (!orders.has(row.code)) {
+                orders.set(row.code, { code: row.code, dueDate: '', delay: '', overdueDays: 0, assignees: [] });
+            }
+            const order = orders.get(row.code);
 
-                // If it's this month but the day is in the past
-                if (dateParts.month === todayMonth && dateParts.day < todayDay) return true;
+            // The highest delay and the oldest due date of the order's items
+            if (this.config.delayValues.indexOf(row.delay) > this.config.delayValues.indexOf(order.delay)) {
+                order.delay = row.delay;
+            }
+            const daysOverdue = row.dueDate ? Math.round(compareDays(today, row.dueDate) / MS_PER_DAY) : 0;
+            if (daysOverdue > order.overdueDays || !order.dueDate) {
+                order.overdueDays = Math.max(daysOverdue, order.overdueDays);
+                order.dueDate = row.isRescheduled ? row.newDueText : row.dueText;
+            }
+            if (row.assignee && row.assignee !== this.config.peopleValues[0] && !order.assignees.includes(row.assignee)) {
+                order.assignees.push(row.assignee);
+            }
+        });
 
-                // Otherwise it's today or in the future
-                return false;
-            };
+        return [...orders.values()]
+            .filter(order => delayValues.includes(order.delay) || order.overdueDays > overdueDays)
+            .map(order => ({
+                ...order,
+                state: [order.delay, order.dueDate, order.overdueDays > overdueDays ? 'overdue' : ''].join('|')
+            }));
+    }
 
-            // Arrays to store due today and overdue items
-            const dueTodayRows = [];
-            const overdueRows = [];
-
-            // Filter rows based on our conditions
-            rows.slice(1).forEach((row) => {
-                // Check if row has enough columns and has an invoice code
-                if (row.length < 3 || !row[0]) {
-                    return; // Skip this row
-                }
-
-                // Check if "Ngày trả mới" has a value, use it if it does, otherwise use the original date
-                let effectiveDueDate = '';
-
-                // Get the original Ngày trả value (column C, index 2)
-                const originalDueDate = row[2] ? row[2].trim() : '';
-
-                // Check if we have a rescheduled due date (Ngày trả mới, column L, index 11)
-                const rescheduledDueDate = row.length > 11 && row[11] ? row[11].trim() : '';
-
-                // If rescheduled date exists, use it; otherwise, use the original date
-                effectiveDueDate = rescheduledDueDate || originalDueDate;
-
-                // Skip if no valid date format is found in the effective due date
-                const dateParts = extractDatePart(effectiveDueDate);
-                if (!dateParts) {
-                    return; // Skip this row
-                }
-
-                // Check Trạng thái (column F, index 5) - must not be "Đóng đơn"
-                if (row.length > 5 && row[5] && row[5].trim() === "Đóng đơn") {
-                    return; // Skip this row
-                }
-
-                // Sort into the appropriate array based on the effective due date (prioritizing rescheduled date if available)
-                if (isToday(effectiveDueDate)) {
-                    // Add the due dates to the row for later use
-                    const rowWithDates = [...row];
-                    rowWithDates.effectiveDueDate = effectiveDueDate;
-                    rowWithDates.originalDueDate = originalDueDate;
-                    rowWithDates.rescheduledDueDate = rescheduledDueDate;
-                    rowWithDates.isUsingRescheduledDate = rescheduledDueDate && effectiveDueDate === rescheduledDueDate;
-                    dueTodayRows.push(rowWithDates);
-                } else if (isOverdue(effectiveDueDate)) {
-                    // Add the due dates to the row for later use
-                    const rowWithDates = [...row];
-                    rowWithDates.effectiveDueDate = effectiveDueDate;
-                    rowWithDates.originalDueDate = originalDueDate;
-                    rowWithDates.rescheduledDueDate = rescheduledDueDate;
-                    rowWithDates.isUsingRescheduledDate = rescheduledDueDate && effectiveDueDate === rescheduledDueDate;
-                    overdueRows.push(rowWithDates);
-                }
-                // Future dates are ignored
-            });
+    /**
+     * Telegram users to mention for escalated orders: the branch's or the configured defaults, plus
+     * the users of each assignee
+     *
+     * `escalation.mentions` holds the ESCALATION_MENTIONS JSON text, parsed here so a malformed value only
+     * drops the mentions instead of stopping every entry point when the config is loaded.
+     *
+     * @param {Array<{assignees: Array<string>}>} escalations - Escalated orders
+     * @returns {Array<string>} Unique mentions, e.g. "@quanly"
+     */
+    getEscalationMentions(escalations) {
+        let mentions = (this.config.branch && this.config.branch.escalationMentions) || this.config.escalation.mentions || {};
+        if (typeof mentions === 'string') {
+            try {
+                mentions = JSON.parse(mentions);
+            } catch (error) {
+                this.logError(`ESCALATION_MENTIONS is not valid JSON, escalating without mentions: ${error.message}`);
+                mentions = {};
+            }
+        }
+        const byAssignee = mentions.assignees || {};
+        const users = [...(mentions.default || [])];
 
-            // Create a Map to track all unique codes and their most critical status
-            // Priority: due today > overdue
-            const uniqueCodesMap = new Map();
-
-            // Process due today items first (higher priority)
-            dueTodayRows.forEach(row => {
-                const code = row[0];
-                if (!uniqueCodesMap.has(code)) {
-                    uniqueCodesMap.set(code, {
-                        type: 'dueToday',
-                        dueDate: row.effectiveDueDate, // Using effective date (prioritizes rescheduled date)
-                        originalDueDate: row.originalDueDate,
-                        isUsingRescheduledDate: row.isUsingRescheduledDate
-                    });
-                }
-            });
+        escalations.forEach(escalation => escalation.assignees.forEach(assignee => {
+            users.push(...(byAssignee[assignee] || []));
+        }));
 
-            // Then process overdue items, without overriding any due today items
-            overdueRows.forEach(row => {
-                const code = row[0];
-                if (!uniqueCodesMap.has(code)) {
-                    // Get the delay status from column K (index 10) if it exists
-                    const delayStatus = row.length > 10 && row[10] && row[10] !== this.config.delayValues[0]
-                        ? row[10]
-                        : '';
-
-                    uniqueCodesMap.set(code, {
-                        type: 'overdue',
-                        dueDate: row[2],
-                        delayStatus: delayStatus
-                    });
-                }
-            });
+        return [...new Set(users)];
+    }
 
-            // Separate items into due today and overdue arrays
-            const dueTodayItems = [];
-            const overdueItems = [];
-
-            uniqueCodesMap.forEach((data, code) => {
-                if (data.type === 'dueToday') {
-                    dueTodayItems.push({
-                        code: code,
-                        dueDate: data.dueDate,
-                        originalDueDate: data.originalDueDate,
-                        isUsingRescheduledDate: data.isUsingRescheduledDate
-                    });
-                } else if (data.type === 'overdue') {
-                    overdueItems.push({
-                        code: code,
-                        dueDate: data.dueDate,
-                        originalDueDate: data.originalDueDate,
-                        delayStatus: data.delayStatus,
-                        isUsingRescheduledDate: data.isUsingRescheduledDate
-                    });
-                }
-            });
+    /**
+     * Format the escalation message
+     *
+     * @param {Array<{code: string, dueDate: string, delay: string, overdueDays: number, assignees: Array<string>}>} escalations - Escalated orders
+     * @returns {string} Formatted message
+     */
+    formatEscalationMessage(escalations) {
+        // Using emojis that work well in Telegram
+        let message = `🆘 CẢNH BÁO ĐƠN TRỄ HẸN NGHIÊM TRỌNG 🆘\n\n`;
 
-            return {
-                dueTodayItems,
-                overdueItems
-            };
+        message += `🔥 Các mã hóa đơn cần ưu tiên xử lý (${escalations.length}):\n\n`;
 
-        } catch (error) {
-            this.logError(`Error reading due today data: ${error.message}`);
-            throw error;
+        escalations.forEach((escalation, index) => {
+            const details = [];
+            if (escalation.delay && escalation.delay !== this.config.delayValues[0]) {
+                details.push(escalation.delay);
+            }
+            if (escalation.overdueDays > 0) {
+                details.push(`quá hạn ${escalation.overdueDays} ngày`);
+            }
+
+            let itemText = `${index + 1}. ${escalation.code} - ${escalation.dueDate}`;
+            if (details.length > 0) {
+                itemText += ` (${details.join(', ')})`;
+            }
+            if (escalation.assignees.length > 0) {
+                itemText += ` - ${escalation.assignees.join(', ')}`;
+            }
+            message += `${itemText}\n`;
+        });
+
+        message += '\n🚨 Vui lòng xử lý NGAY và báo lại khách hàng!';
+
+        const mentions = this.getEscalationMentions(escalations);
+        if (mentions.length > 0) {
+            message += `\n👉 ${mentions.join(' ')}`;
         }
+
+        return message;
     }
 
     /**
      * Read data from the Google Sheet and filter for rows with "Trạng thái" = "Phát sinh"
      *
-     * @returns {Promise<Array<{code: string, item: string, work: string}>>} Array of objects with invoice codes and item details
+     * @returns {Promise<Array<{code: string, details: Array<{item: string, work: string}>}>>} Invoices with their item details
      */
     async readPhatSinhData() {
         try {
-            // Set up authentication using the dedicated module
-            const { sheets } = await this.getGoogleClient();
-
-            // Get all data from the sheet
-            const response = await sheets.spreadsheets.values.get({
-                spreadsheetId: this.config.spreadsheet.id,
-                range: `${this.config.spreadsheet.sheetName}!A:F` // We need columns A (invoice code), D (item), E (work), F (status)
-            });
+            return this.selectPhatSinh(await this.getSheetSnapshot());
+        } catch (error) {
+            this.logError(`Error reading Phát sinh data: ${error.message}`);
+            throw error;
+        }
+    }
 
-            // Get the rows
-            const rows = response.data.values || [];
+    /**
+     * Select the invoices with "Trạng thái" = "Phát sinh", grouping their items
+     *
+     * @param {WorkSheetSnapshot} snapshot - Work sheet rows
+     * @returns {Array<{code: string, details: Array<{item: string, work: string}>}>} Invoices with their item details
+     */
+    selectPhatSinh(snapshot) {
+        // Group by invoice code to avoid duplicates
+        const groupedItems = new Map();
 
-            if (rows.length <= 1) {
-                // Only header row or empty sheet
-                return [];
+        snapshot.rows.filter(row => row.code && row.status === "Phát sinh").forEach(row => {
+            if (!groupedItems.has(row.code)) {
+                groupedItems.set(row.code, []);
             }
 
-            // Skip the header row and filter for rows with "Trạng thái" = "Phát sinh"
-            const phatSinhRows = rows.slice(1).filter((row) => {
-                // Check if row has enough columns and has an invoice code
-                if (row.length < 6 || !row[0]) {
-                    return false;
-                }
-
-                // Check if "Trạng thái" column is "Phát sinh"
-                // The column F is at index 5
-                if (row.length > 5 && row[5]) {
-                    const status = row[5].trim();
-                    return status === "Phát sinh";
-                }
-
-                return false;
-            });
-
-            // Convert rows to objects with invoice code and details
-            const phatSinhItems = phatSinhRows.map(row => ({
-                code: row[0],                    // Hoá đơn (column A)
-                item: row.length > 3 ? row[3] : '', // Tên đồ dùng (column D)
-                work: row.length > 4 ? row[4] : ''  // Công việc (column E)
-            }));
-
-            // Group by invoice code to avoid duplicates
-            const groupedItems = new Map();
-
-            phatSinhItems.forEach(item => {
-                if (!groupedItems.has(item.code)) {
-                    groupedItems.set(item.code, []);
-                }
-
-                // Only add if there's an item or work description
-                if (item.item || item.work) {
-                    groupedItems.get(item.code).push({
-                        item: item.item,
-                        work: item.work
-                    });
-                }
-            });
+            // Only add if there's an item or work description
+            if (row.item || row.work) {
+                groupedItems.get(row.code).push({ item: row.item, work: row.work });
+            }
+        });
 
-            // Convert the Map to an array of objects with code and details
-            const result = Array.from(groupedItems.entries()).map(([code, details]) => ({
-                code,
-                details
-            }));
+        return Array.from(groupedItems.entries()).map(([code, details]) => ({ code, details }));
+    }
 
-            return result;
+    /**
+     * Read the open items of every technician from the Google Sheet
+     *
+     * @returns {Promise<{people: Array<Object>, unassigned: Array<Object>}>} Workload per technician and unassigned items
+     */
+    async readWorkloadData() {
+        try {
+            return this.selectWorkload(await this.getSheetSnapshot(), this.clock.now());
         } catch (error) {
-            this.logError(`Error reading Phát sinh data: ${error.message}`);
+            this.logError(`Error reading workload data: ${error.message}`);
             throw error;
         }
     }
 
+    /**
+     * Group the open items by "Người làm"
+     *
+     * Open items are rows with an invoice code that are not "Hoàn thành", "Đóng đơn" or "Huỷ đơn". Rows
+     * still at the "Chọn người làm" placeholder (or empty) are unassigned. Technicians are listed in
+     * the order of `config.peopleValues`, then any other name typed in the sheet.
+     *
+     * @param {WorkSheetSnapshot} snapshot - Work sheet rows
+     * @param {Date} today - The current date
+     * @returns {{people: Array<Object>, unassigned: Array<Object>}} Workload per technician (`assignee`, `itemCount`,
+     *   `estimatedMinutes`, `unestimatedCount`, `dueToday`, `overdue`) and unassigned items. Items are
+     *   `{code, item, dueDate, due}` with `due` set to 'today', 'overdue' or null
+     */
+    selectWorkload(snapshot, today) {
+        const placeholder = this.config.peopleValues[0];
+        const openRows = snapshot.rows.filter(row => row.code
+            && row.status !== "Hoàn thành"
+            && row.status !== "Đóng đơn"
+            && row.status !== "Huỷ đơn");
+
+        const toItem = row => {
+            const dayDiff = row.dueDate ? compareDays(row.dueDate, today) : null;
+            return {
+                code: row.code,
+                item: row.item,
+                dueDate: row.isRescheduled ? row.newDueText : row.dueText,
+                due: dayDiff === 0 ? 'today' : (dayDiff !== null && dayDiff < 0 ? 'overdue' : null)
+            };
+        };
+
+        const byAssignee = new Map();
+        const unassigned = [];
+
+        openRows.forEach(row => {
+            if (!row.assignee || row.assignee === placeholder) {
+                unassigned.push(toItem(row));
+                return;
+            }
+
+            if (!byAssignee.has(row.assignee)) {
+                byAssignee.set(row.assignee, {
+                    assignee: row.assignee,
+                    itemCount: 0,
+                    estimatedMinutes: 0,
+                    unestimatedCount: 0,
+                    dueToday: [],
+                    overdue: []
+                });
+            }
+
+            const workload = byAssignee.get(row.assignee);
+            const item = toItem(row);
+            workload.itemCount++;
+            if (row.estimatedMinutes === null) {
+                workload.unestimatedCount++;
+            } else {
+                workload.estimatedMinutes += row.estimatedMinutes;
+            }
+            if (item.due === 'today') {
+                workload.dueToday.push(item);
+            } else if (item.due === 'overdue') {
+                workload.overdue.push(item);
+            }
+        });
+
+        // Configured people first, in dropdown order
+        const order = name => {
+            const index = this.config.peopleValues.indexOf(name);
+            return index === -1 ? this.config.peopleValues.length : index;
+        };
+        const people = [...byAssignee.values()].sort((a, b) => order(a.assignee) - order(b.assignee)
+            || a.assignee.localeCompare(b.assignee, 'vi'));
+
+        return { people, unassigned };
+    }
+
     /**
      * Format the message for incomplete invoices (missing time estimates)
      *
@@ -604,7 +672,7 @@ class DailyReportJob {
      */
     formatIncompleteMessage(invoiceCodes, useYesterday = false) {
         // Get appropriate date for the report header
-        const reportDate = useYesterday ? this.getYesterdayDate() : new Date();
+        const reportDate = useYesterday ? this.getYesterdayDate() : this.clock.now();
         const dateFormatted = reportDate.toLocaleDateString('vi-VN', {
             day: '2-digit',
             month: '2-digit',
@@ -612,7 +680,7 @@ class DailyReportJob {
         });
 
         // Get current date for the report timestamp
-        const now = new Date();
+        const now = this.clock.now();
         const nowFormatted = now.toLocaleDateString('vi-VN', {
             day: '2-digit',
             month: '2-digit',
@@ -644,7 +712,7 @@ class DailyReportJob {
      */
     formatDueTodayMessage(dueTodayItems) {
         // Get current date and time for the report header
-        const now = new Date();
+        const now = this.clock.now();
         const dateFormatted = now.toLocaleDateString('vi-VN', {
             day: '2-digit',
             month: '2-digit',
@@ -682,7 +750,7 @@ class DailyReportJob {
      */
     formatOverdueMessage(overdueItems) {
         // Get current date and time for the report header
-        const now = new Date();
+        const now = this.clock.now();
 
         // Using emojis that work well in Telegram
         let message = `🚨 BÁO CÁO QUÁ HẠN TRẢ 🚨\n\n`;
@@ -751,48 +819,131 @@ class DailyReportJob {
         return message;
     }
 
+    /**
+     * Format the workload message
+     *
+     * @param {{people: Array<Object>, unassigned: Array<Object>}} workload - Result of selectWorkload
+     * @returns {string} Formatted message
+     */
+    formatWorkloadMessage(workload) {
+        const dateFormatted = this.clock.now().toLocaleDateString('vi-VN', {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric'
+        });
+
+        const formatItem = item => {
+            let itemText = item.item ? `${item.code} - ${item.item}` : item.code;
+            if (item.due) {
+                itemText += ` (${item.dueDate})`;
+            }
+            return itemText;
+        };
+
+        // Using emojis that work well in Telegram
+        let message = `👷 BÁO CÁO KHỐI LƯỢNG CÔNG VIỆC NGÀY ${dateFormatted} 👷\n\n`;
+
+        workload.people.forEach(person => {
+            message += `👤 ${person.assignee}: ${person.itemCount} việc, ước tính ${formatDuration(person.estimatedMinutes)}`;
+            if (person.unestimatedCount > 0) {
+                message += ` (${person.unestimatedCount} việc chưa có estimate)`;
+            }
+            message += '\n';
+
+            person.dueToday.forEach(item => {
+                message += `   📦 Trả hôm nay: ${formatItem(item)}\n`;
+            });
+            person.overdue.forEach(item => {
+                message += `   🚨 Quá hạn: ${formatItem(item)}\n`;
+            });
+
+            message += '\n';
+        });
+
+        if (workload.unassigned.length > 0) {
+            message += `❓ Các việc CHƯA PHÂN CÔNG người làm (${workload.unassigned.length}):\n\n`;
+            workload.unassigned.forEach((item, index) => {
+                const marker = item.due === 'today' ? ' 📦' : (item.due === 'overdue' ? ' 🚨' : '');
+                message += `${index + 1}. ${formatItem(item)}${marker}\n`;
+            });
+            message += '\n⚠️ Vui lòng chọn người làm cho các việc trên.';
+        } else {
+            message += '✅ Tất cả công việc đã được phân công.';
+        }
+
+        return message;
+    }
+
+    /**
+     * Run a report once per configured branch (or once for the single sheet without branches)
+     *
+     * @param {Object} config - Configuration object
+     * @param {string} branchName - Optional branch to run for (defaults to all branches)
+     * @param {function(DailyReportJob): Promise<boolean>} runReport - Runs the report on a job instance
+     * @returns {Promise<boolean>} True if the report succeeded for every branch
+     */
+    static async runForBranches(config, branchName, runReport) {
+        let success = true;
+        for (const branchConfig of getBranchConfigs(config, branchName)) {
+            const job = new DailyReportJob(branchConfig);
+            success = await runReport(job) && success;
+        }
+        return success;
+    }
+
     /**
      * Static method to run the unestimated report job
      *
      * @param {Object} config - Configuration object
+     * @param {string} branchName - Optional branch to run for (defaults to all branches)
      * @returns {Promise<boolean>} Result of the job process
      */
-    static async runUnestimated(config) {
-        const job = new DailyReportJob(config);
-        return job.runUnestimatedReport();
+    static async runUnestimated(config, branchName) {
+        return DailyReportJob.runForBranches(config, branchName, job => job.runUnestimatedReport());
     }
 
     /**
      * Static method to run the due/overdue report job
      *
      * @param {Object} config - Configuration object
+     * @param {string} branchName - Optional branch to run for (defaults to all branches)
      * @returns {Promise<boolean>} Result of the job process
      */
-    static async runDueAndOverdue(config) {
-        const job = new DailyReportJob(config);
-        return job.runDueAndOverdueReport();
+    static async runDueAndOverdue(config, branchName) {
+        return DailyReportJob.runForBranches(config, branchName, job => job.runDueAndOverdueReport());
     }
 
     /**
      * Static method to run the complete report job (for backward compatibility)
      *
      * @param {Object} config - Configuration object
+     * @param {string} branchName - Optional branch to run for (defaults to all branches)
      * @returns {Promise<boolean>} Result of the job process
      */
-    static async run(config) {
-        const job = new DailyReportJob(config);
-        return job.main();
+    static async run(config, branchName) {
+        return DailyReportJob.runForBranches(config, branchName, job => job.main());
     }
 
     /**
      * Static method to run the Phát sinh report job
      *
      * @param {Object} config - Configuration object
+     * @param {string} branchName - Optional branch to run for (defaults to all branches)
+     * @returns {Promise<boolean>} Result of the job process
+     */
+    static async runPhatSinh(config, branchName) {
+        return DailyReportJob.runForBranches(config, branchName, job => job.runPhatSinhReport());
+    }
+
+    /**
+     * Static method to run the workload report job
+     *
+     * @param {Object} config - Configuration object
+     * @param {string} branchName - Optional branch to run for (defaults to all branches)
      * @returns {Promise<boolean>} Result of the job process
      */
-    static async runPhatSinh(config) {
-        const job = new DailyReportJob(config);
-        return job.runPhatSinhReport();
+    static async runWorkload(config, branchName) {
+        return DailyReportJob.runForBranches(config, branchName, job => job.runWorkloadReport());
     }
 }
 
@@ -1,5 +1,6 @@
 const axios = require("axios");
 const {getKiotVietAccessToken} = require("../service/get-access-token");
+const KiotVietClient = require('../service/kiotviet-client-service');
 const {log, logError} = require("../service/log-service");
 const { dbService } = require('../service/dbConnection-service');
 const seedCategory = require('../mock-data/category.json');
@@ -16,6 +17,12 @@ class dataMigrationJob {
         this.getKiotVietAccessToken = options.getKiotVietAccessToken || getKiotVietAccessToken;
         this.log = options.log || log;
         this.logError = options.logError || logError;
+        this.kiotVietClient = options.kiotVietClient || new KiotVietClient(config, {
+            axios: this.axios,
+            getKiotVietAccessToken: this.getKiotVietAccessToken,
+            log: this.log,
+            logError: this.logError
+        });
     }
 
     async main(options) {
@@ -33,23 +40,24 @@ class dataMigrationJob {
         await this.seedSetting();
         await this.seedTransactionCategories();
 
-        const accessToken = await this.getKiotVietAccessToken();
+        // Token is cached and shared with the other jobs
+        await this.getKiotVietAccessToken({ log: this.log, logError: this.logError });
         this.log('✓ Access token obtained');
         switch (options) {
             case 'customer':
-                const customers = await this.fetchCustomer(accessToken);
+                const customers = await this.fetchCustomer();
                 this.log(`✓ Retrieved ${customers.length} customers`);
                 break;
             case 'goods':
-                const goods = await this.fetchProduct(accessToken, goodsType);
+                const goods = await this.fetchProduct(goodsType);
                 this.log(`✓ Retrieved ${goods.length} goods`);
                 break;
             case 'services':
-                const service = await this.fetchProduct(accessToken, serviceType);
+                const service = await this.fetchProduct(serviceType);
                 this.log(`✓ Retrieved ${service.length} service`);
                 break;
             case 'invoices' :
-                const invoices = await this.fetchInvoices(accessToken);
+                const invoices = await this.fetchInvoices();
                 this.log(`✓ Retrieved ${invoices.length} invoices`);
                 break;
         }
@@ -232,32 +240,17 @@ class dataMigrationJob {
         }
     }
 
-    async fetchCustomer(accessToken) {
+    async fetchCustomer() {
         try {
             this.log(`---------Start fetching customers--------`);
-            const listCustomer = [];
-
-            for (let page = 0; page <= 2200; page += 200) {
-                this.log('Fetch data for page ' + page);
-                const response = await this.axios.get('https://public.kiotapi.com/customers', {
-                    headers: {
-                        'Retailer': this.config.retailer,
-                        'Authorization': `Bearer ${accessToken}`
-                    },
-                    params: {
-                        pageSize: 200,
-                        currentItem: page,
-                        isActive: true,
-                        orderBy: 'code',
-                        orderDirection: 'Asc'
-                    }
-                });
-                const rawData = response.data.data;
-
-                for (let customer of rawData) {
-                    await this.insertCustomers(customer);
-                    listCustomer.push(customer)
-                }
+            const listCustomer = await this.kiotVietClient.getCustomers({
+                isActive: true,
+                orderBy: 'code',
+                orderDirection: 'Asc'
+            });
+
+            for (let customer of listCustomer) {
+                await this.insertCustomers(customer);
             }
 
             return listCustomer;
@@ -267,24 +260,16 @@ class dataMigrationJob {
         }
     }
 
-    async fetchProduct(accessToken, productType) {
+    async fetchProduct(productType) {
         try {
             this.log(`---------Start fetching products with type ${productType}--------`);
-            const response = await this.axios.get('https://public.kiotapi.com/products', {
-                headers: {
-                    'Retailer': this.config.retailer,
-                    'Authorization': `Bearer ${accessToken}`
-                },
-                params: {
-                    pageSize: 1000,
-                    orderBy: 'code',
-                    orderDirection: 'ASC',
-                    isActive: true,
-                    productType: productType,
-                    includeInventory: true
-                }
+            const rawData = await this.kiotVietClient.getProducts({
+                orderBy: 'code',
+                orderDirection: 'ASC',
+                isActive: true,
+                productType: productType,
+                includeInventory: true
             });
-            const rawData = response.data.data;
 
             if (productType === 2) {
                 for ( const good of rawData) {
@@ -306,21 +291,12 @@ class dataMigrationJob {
         }
     }
 
-    async fetchInvoices(accessToken) {
+    async fetchInvoices() {
         try {
             this.log(`---------Start fetching invoices--------`);
-            const response = await this.axios.get('https://public.kiotapi.com/invoices', {
-                headers: {
-                    'Retailer': this.config.retailer,
-                    'Authorization': `Bearer ${accessToken}`
-                },
-                params: {
-                    pageSize: 1000,
-                    status: '[1,3]',
-                }
+            const rawData = await this.kiotVietClient.getInvoices({
+                status: '[1,3]',
             });
-
-            const rawData = response.data.data;
             return rawData;
         } catch(error) {
             this.logError('Error fetching customers:', error.message);
@@ -339,18 +315,49 @@ class dataMigrationJob {
         }
     }
 
+    // Map a KiotViet product (productType 2) to a goods row
+    mapGoods(goodsData, categoryId = null) {
+        return {
+            goods_code: goodsData.code,
+            name: goodsData.fullName,
+            description: goodsData.description || null,
+            price: goodsData.basePrice || 0,
+            stock_quantity: goodsData.inventories && goodsData.inventories[0] ? goodsData.inventories[0].onHand : 0,
+            status: 1,
+            category_id: categoryId,
+            image_url: goodsData.images && goodsData.images.length > 0 ? goodsData.images[0] : null
+        };
+    }
+
+    // Map a KiotViet product (productType 3) to a service row
+    mapService(serviceData, categoryId = null) {
+        return {
+            name: serviceData.fullName,
+            service_code: serviceData.code,
+            description: serviceData.description || null,
+            price: serviceData.basePrice || 0,
+            status: 1,
+            category_id: categoryId,
+            estimated_duration_minutes: 0,
+            image_url: serviceData.images && serviceData.images.length > 0 ? serviceData.images[0] : null
+        };
+    }
+
+    // Map a KiotViet customer to a customer row
+    mapCustomer(customerData) {
+        return {
+            full_name: customerData.name,
+            customer_code: customerData.code,
+            phone: customerData.contactNumber || null,
+            gender: customerData.gender,
+            dob: customerData.birthDate ? new Date(customerData.birthDate) : null,
+            created_by: 'system',
+        };
+    }
+
     async insertGoods(goodsData, categoryId = null) {
         try {
-            const goodsToInsert = {
-                goods_code: goodsData.code,
-                name: goodsData.fullName,
-                description: goodsData.description || null,
-                price: goodsData.basePrice || 0,
-                stock_quantity: goodsData.inventories && goodsData.inventories[0] ? goodsData.inventories[0].onHand : 0,
-                status: 1,
-                category_id: categoryId,
-                image_url: goodsData.images && goodsData.images.length > 0 ? goodsData.images[0] : null
-            };
+            const goodsToInsert = this.mapGoods(goodsData, categoryId);
 
             const insertedGoods = await dbService.insert('goods', goodsToInsert);
             this.log(`✓ Inserted goods: ${goodsToInsert.name} (${goodsToInsert.goods_code})`);
@@ -363,16 +370,7 @@ class dataMigrationJob {
 
     async insertServices(serviceData, categoryId = null) {
         try {
-            const serviceToInsert = {
-                name: serviceData.fullName,
-                service_code: serviceData.code,
-                description: serviceData.description || null,
-                price: serviceData.basePrice || 0,
-                status: 1,
-                category_id: categoryId,
-                estimated_duration_minutes: 0,
-                image_url: serviceData.images && serviceData.images.length > 0 ? serviceData.images[0] : null
-            };
+            const serviceToInsert = this.mapService(serviceData, categoryId);
 
             const insertedService = await dbService.insert('service', serviceToInsert);
             this.log(`✓ Inserted service: ${serviceToInsert.name} (${serviceToInsert.service_code})`);
@@ -385,14 +383,7 @@ class dataMigrationJob {
 
     async insertCustomers(customerData) {
         try {
-            const customerToInsert = {
-                full_name: customerData.name,
-                customer_code: customerData.code,
-                phone: customerData.contactNumber || null,
-                gender: customerData.gender,
-                dob: customerData.birthDate ? new Date(customerData.birthDate) : null,
-                created_by: 'system',
-            };
+            const customerToInsert = this.mapCustomer(customerData);
 
             const insertedCustomer = await dbService.insert('customer', customerToInsert);
             this.log(`✓ Inserted customer: ${customerToInsert.full_name} (${customerToInsert.customer_code})`);
@@ -0,0 +1,373 @@
+const fs = require('fs');
+const path = require('path');
+const { getGoogleClient } = require('../service/get-client-service');
+const TelegramBot = require('../service/telegram-bot-service');
+const { log, logError } = require('../service/log-service');
+const config = require('../config');
+const { compareDays } = require('../service/return-date-service');
+const { getBranchConfigs, formatBranchHeader } = require('../service/branch-service');
+const { loadWorkSheet, formatDuration } = require('../service/work-sheet-service');
+const { clock } = require('../service/clock-service');
+const ArchiveJob = require('./archiveJob');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const TOP_SERVICE_COUNT = 5;
+// Shown with the closed orders, as their closing day is approximated by the return date
+const CLOSED_DATE_NOTE = 'Ngày đóng đơn tính theo ngày trả (hoặc ngày trả mới)';
+
+/**
+ * PerformanceReportJob Class
+ *
+ * Summarizes the previous week or month from the work tab and its archive tabs, and posts it to the
+ * Telegram Daily Report topic:
+ * - orders received, closed and cancelled
+ * - closed orders returned on time vs delayed ("Lần Delay" set or "Ngày trả mới" filled in)
+ * - average turnaround from "Ngày nhận" to closing
+ * - most requested services ("Công việc")
+ * - items closed and estimated time per "Người làm"
+ *
+ * An order is an invoice code; it is closed once all its rows are "Đóng đơn" (cancelled rows aside).
+ * The sheet does not record when an order was closed, so its latest return date - "Ngày trả mới" when
+ * rescheduled, otherwise "Ngày trả" - stands in for the closing day. The message and the CSV say so.
+ */
+class PerformanceReportJob {
+    /**
+     * Create a new PerformanceReportJob instance
+     *
+     * @param {Object} config - Configuration for the job
+     * @param {Object} options - Optional dependencies for testing/DI
+     */
+    constructor(config, options = {}) {
+        this.config = config;
+        // Set up dependencies with support for dependency injection
+        this.getGoogleClient = options.getGoogleClient || getGoogleClient;
+        this.log = options.log || log;
+        this.logError = options.logError || logError;
+        this.telegramBot = options.telegramBot || null;
+        this.clock = options.clock || clock;
+        this.archive = new ArchiveJob(config, { log: this.log, logError: this.logError, clock: this.clock });
+    }
+
+    /**
+     * Build and send the summary of the previous week or month
+     *
+     * @param {string} periodType - 'week' or 'month'
+     * @param {Object} options - `{ csv }`: also write the summary to this CSV file
+     * @returns {Promise<boolean>} True if process completed successfully
+     */
+    async main(periodType = 'week', options = {}) {
+        try {
+            const period = this.getPeriod(periodType, this.clock.now());
+            this.log(`Starting ${periodType} performance report for ${period.label}...`);
+
+            const rows = await this.readRows(period);
+            const summary = this.summarize(rows, period);
+            this.log(`Found ${summary.received} received and ${summary.closed} closed order(s) in ${period.label}`);
+
+            // Written first, so the export does not depend on Telegram
+            if (options.csv) {
+                this.exportCsv(summary, options.csv);
+            }
+
+            await this.getTelegramBot().sendToDailyReportTopic(formatBranchHeader(this.config) + this.formatSummaryMessage(summary));
+            this.log('Performance report sent to Telegram successfully');
+
+            return true;
+        } catch (error) {
+            this.logError(`Error in performance report job: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Get the Telegram bot, creating it on first use so a CSV-only run works without Telegram config
+     *
+     * @returns {TelegramBot} The bot; throws if Telegram is not configured
+     */
+    getTelegramBot() {
+        if (!this.telegramBot) {
+            this.telegramBot = new TelegramBot();
+        }
+        return this.telegramBot;
+    }
+
+    /**
+     * Get the last full week (Monday to Sunday) or calendar month before a date
+     *
+     * @param {string} periodType - 'week' or 'month'
+     * @param {Date} today - Current date
+     * @returns {{type: string, from: Date, to: Date, label: string}} Period, `from` and `to` inclusive at 00:00
+     */
+    getPeriod(periodType, today) {
+        let from;
+        let to;
+
+        if (periodType === 'week') {
+            // getDay() is 0 on Sunday; go back to this week's Monday, then one more week
+            const daysSinceMonday = (today.getDay() + 6) % 7;
+            from = new Date(today.getFullYear(), today.getMonth(), today.getDate() - daysSinceMonday - 7);
+            to = new Date(from.getFullYear(), from.getMonth(), from.getDate() + 6);
+        } else if (periodType === 'month') {
+            from = new Date(today.getFullYear(), today.getMonth() - 1, 1);
+            to = new Date(today.getFullYear(), today.getMonth(), 0);
+        } else {
+            throw new Error(`Unknown period "${periodType}", expected "week" or "month"`);
+        }
+
+        const format = date => `${String(date.getDate()).padStart(2, '0')}/${String(date.getMonth() + 1).padStart(2, '0')}/${date.getFullYear()}`;
+        return { type: periodType, from, to, label: `${format(from)} - ${format(to)}` };
+    }
+
+    /**
+     * Read the rows of the work tab and of the archive tabs that can hold orders of the period
+     *
+     * Orders are archived by the month they were received, and one received long before the period can
+     * still close in it, so every archive tab of the work tab up to the period's last month is read.
+     *
+     * @param {{from: Date, to: Date}} period - Reported period
+     * @returns {Promise<Array<WorkRow>>} Rows of all tabs
+     */
+    async readRows(period) {
+        const { id: spreadsheetId, sheetName } = this.config.spreadsheet;
+        const { sheets } = await this.getGoogleClient();
+
+        const spreadsheet = await sheets.spreadsheets.get({
+            spreadsheetId: spreadsheetId,
+            includeGridData: false
+        });
+        const titles = spreadsheet.data.sheets.map(sheet => sheet.properties.title);
+
+        const tabs = [sheetName, ...titles.filter(title => {
+            const archive = this.archive.parseArchiveSheetName(title);
+            // A tab without a month (single archive tab) can hold any order
+            return archive !== null && (archive.month === null || archive.month <= period.to);
+        })];
+        if (!titles.includes(sheetName)) {
+            throw new Error(`Sheet "${sheetName}" not found`);
+        }
+
+        const rows = [];
+        for (const tab of tabs) {
+            const snapshot = await loadWorkSheet(sheets, { ...this.config.spreadsheet, sheetName: tab }, this.clock.now());
+            rows.push(...snapshot.rows);
+        }
+        this.log(`Read ${rows.length} rows from ${tabs.map(tab => `"${tab}"`).join(', ')}`);
+        return rows;
+    }
+
+    /**
+     * Compute the summary of a period
+     *
+     * @param {Array<WorkRow>} rows - Rows of the work and archive tabs
+     * @param {{from: Date, to: Date, label: string}} period - Reported period
+     * @returns {Object} Summary: `received`, `cancelled`, `closed`, `onTime`, `delayed`, `averageTurnaroundDays`
+     *   (null without closed orders), `topServices` ({name, count}) and `people` ({assignee, itemCount, estimatedMinutes})
+     */
+    summarize(rows, period) {
+        const inPeriod = date => Boolean(date) && compareDays(date, period.from) >= 0 && compareDays(date, period.to) <= 0;
+        const isDefault = (value, values) => !value || value === values[0];
+
+        // Group the rows of each order
+        const orders = new Map();
+        rows.filter(row => row.code).forEach(row => {
+            if (!orders.has(row.code)) {
+                orders.set(row.code, []);
+            }
+            orders.get(row.code).push(row);
+        });
+
+        let received = 0;
+        let cancelled = 0;
+        const serviceCounts = new Map();
+        const closedOrders = [];
+
+        orders.forEach(orderRows => {
+            const activeRows = orderRows.filter(row => row.status !== 'Huỷ đơn');
+            const receivedDate = orderRows[0].receivedDate;
+
+            if (inPeriod(receivedDate)) {
+                received++;
+                if (activeRows.length === 0) {
+                    cancelled++;
+                }
+
+                // "Công việc" holds the services joined with " + "
+                activeRows.forEach(row => row.work.split('+').map(work => work.trim()).filter(Boolean).forEach(work => {
+                    const key = work.toLowerCase();
+                    const entry = serviceCounts.get(key) || { name: work, count: 0 };
+                    entry.count++;
+                    serviceCounts.set(key, entry);
+                }));
+            }
+
+            if (activeRows.length === 0 || !activeRows.every(row => row.status === 'Đóng đơn')) {
+                return;
+            }
+
+            // Closing day: the latest return date of the order's items
+            const returnDates = activeRows.map(row => row.dueDate).filter(Boolean);
+            if (returnDates.length === 0) {
+                return;
+            }
+            const closedDate = returnDates.reduce((latest, date) => (compareDays(date, latest) > 0 ? date : latest));
+            if (!inPeriod(closedDate)) {
+                return;
+            }
+
+            closedOrders.push({
+                rows: activeRows,
+                turnaroundDays: receivedDate ? Math.round(compareDays(closedDate, receivedDate) / MS_PER_DAY) : null,
+                isDelayed: activeRows.some(row => !isDefault(row.delay, this.config.delayValues) || row.isRescheduled)
+            });
+        });
+
+        // Items closed per technician, in dropdown order
+        const people = new Map();
+        closedOrders.forEach(order => order.rows.forEach(row => {
+            const assignee = isDefault(row.assignee, this.config.peopleValues) ? 'Chưa phân công' : row.assignee;
+            const entry = people.get(assignee) || { assignee, itemCount: 0, estimatedMinutes: 0 };
+            entry.itemCount++;
+            entry.estimatedMinutes += row.estimatedMinutes || 0;
+            people.set(assignee, entry);
+        }));
+        const rank = name => {
+            const index = this.config.peopleValues.indexOf(name);
+            return index === -1 ? this.config.peopleValues.length : index;
+        };
+
+        const turnarounds = closedOrders.map(order => order.turnaroundDays).filter(days => days !== null);
+        const delayed = closedOrders.filter(order => order.isDelayed).length;
+
+        return {
+            period,
+            received,
+            cancelled,
+            closed: closedOrders.length,
+            onTime: closedOrders.length - delayed,
+            delayed,
+            averageTurnaroundDays: turnarounds.length > 0
+                ? Math.round(turnarounds.reduce((sum, days) => sum + days, 0) / turnarounds.length * 10) / 10
+                : null,
+            topServices: [...serviceCounts.values()]
+                .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name, 'vi'))
+                .slice(0, TOP_SERVICE_COUNT),
+            people: [...people.values()].sort((a, b) => rank(a.assignee) - rank(b.assignee)
+                || b.itemCount - a.itemCount
+                || a.assignee.localeCompare(b.assignee, 'vi'))
+        };
+    }
+
+    /**
+     * Format the summary message
+     *
+     * @param {Object} summary - Result of summarize
+     * @returns {string} Formatted message
+     */
+    formatSummaryMessage(summary) {
+        const title = summary.period.type === 'month' ? 'THÁNG' : 'TUẦN';
+        const percent = count => (summary.closed > 0 ? ` (${Math.round(count / summary.closed * 100)}%)` : '');
+
+        // Using emojis that work well in Telegram
+        let message = `📊 BÁO CÁO HIỆU SUẤT ${title} ${summary.period.label} 📊\n\n`;
+
+        message += `📥 Đơn nhận: ${summary.received}`;
+        if (summary.cancelled > 0) {
+            message += ` (huỷ ${summary.cancelled})`;
+        }
+        message += '\n';
+        message += `✅ Đơn đã đóng: ${summary.closed}\n`;
+        message += `   ⏱ Đúng hạn: ${summary.onTime}${percent(summary.onTime)}\n`;
+        message += `   🔄 Trễ hẹn: ${summary.delayed}${percent(summary.delayed)}\n`;
+        if (summary.averageTurnaroundDays !== null) {
+            message += `📆 Thời gian xử lý trung bình: ${summary.averageTurnaroundDays} ngày\n`;
+        }
+        message += `ℹ️ ${CLOSED_DATE_NOTE}\n`;
+
+        if (summary.topServices.length > 0) {
+            message += '\n🛠 Dịch vụ nhiều nhất:\n';
+            summary.topServices.forEach((service, index) => {
+                message += `${index + 1}. ${service.name}: ${service.count}\n`;
+            });
+        }
+
+        if (summary.people.length > 0) {
+            message += '\n👷 Công việc hoàn thành theo người làm:\n';
+            summary.people.forEach(person => {
+                message += `- ${person.assignee}: ${person.itemCount} việc`;
+                if (person.estimatedMinutes > 0) {
+                    message += `, ${formatDuration(person.estimatedMinutes)}`;
+                }
+                message += '\n';
+            });
+        }
+
+        return message.trimEnd();
+    }
+
+    /**
+     * Build the CSV export of a summary, one `section,name,value` line per figure
+     *
+     * @param {Object} summary - Result of summarize
+     * @returns {string} CSV text
+     */
+    formatSummaryCsv(summary) {
+        const lines = [
+            ['section', 'name', 'value'],
+            ['period', 'from', summary.period.label.split(' - ')[0]],
+            ['period', 'to', summary.period.label.split(' - ')[1]],
+            ['orders', 'received', summary.received],
+            ['orders', 'cancelled', summary.cancelled],
+            ['orders', 'closed', summary.closed],
+            ['orders', 'onTime', summary.onTime],
+            ['orders', 'delayed', summary.delayed],
+            ['orders', 'averageTurnaroundDays', summary.averageTurnaroundDays === null ? '' : summary.averageTurnaroundDays],
+            ['note', 'closedDate', CLOSED_DATE_NOTE],
+            ...summary.topServices.map(service => ['service', service.name, service.count]),
+            ...summary.people.map(person => ['personItems', person.assignee, person.itemCount]),
+            ...summary.people.map(person => ['personEstimatedMinutes', person.assignee, person.estimatedMinutes])
+        ];
+
+        // Quote values holding a separator, a quote or a line break
+        const escape = value => {
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return lines.map(line => line.map(escape).join(',')).join('\n') + '\n';
+    }
+
+    /**
+     * Write the summary to a CSV file, adding the branch name to the file name when running per branch
+     *
+     * @param {Object} summary - Result of summarize
+     * @param {string} file - Output file
+     * @returns {void}
+     */
+    exportCsv(summary, file) {
+        if (this.config.branch) {
+            const { dir, name, ext } = path.parse(file);
+            file = path.join(dir, `${name}-${this.config.branch.name}${ext}`);
+        }
+        fs.writeFileSync(file, this.formatSummaryCsv(summary));
+        this.log(`Performance summary written to ${file}`);
+    }
+
+    /**
+     * Static method to run the report, once per configured branch
+     *
+     * @param {Object} config - Configuration object
+     * @param {string} periodType - 'week' or 'month'
+     * @param {string} branchName - Optional branch to run for (defaults to all branches)
+     * @param {Object} options - `{ csv }` passed to main
+     * @returns {Promise<boolean>} True if every branch completed successfully
+     */
+    static async run(config, periodType = 'week', branchName, options = {}) {
+        let success = true;
+        for (const branchConfig of getBranchConfigs(config, branchName)) {
+            const job = new PerformanceReportJob(branchConfig);
+            success = await job.main(periodType, options) && success;
+        }
+        return success;
+    }
+}
+
+module.exports = PerformanceReportJob;
@@ -0,0 +1,296 @@
+const { getGoogleClient } = require('../service/get-client-service');
+const { log, logError } = require('../service/log-service');
+const config = require('../config');
+const KiotVietClient = require('../service/kiotviet-client-service');
+const { compareDays } = require('../service/return-date-service');
+const { getBranchConfigs } = require('../service/branch-service');
+const { loadWorkSheet } = require('../service/work-sheet-service');
+const { readSyncState, writeSyncState } = require('../service/sync-state-service');
+const { getSetting } = require('../service/setting-service');
+const { LogChannel, createReminderChannel, normalizePhone, renderTemplate } = require('../service/reminder-channel-service');
+const { clock } = require('../service/clock-service');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const REMINDER_STATE_KEY = 'reminders';
+
+/**
+ * PickupReminderJob Class
+ *
+ * Reminds customers to pick up their order on the day it is due. For each order due today whose items
+ * are all "Hoàn thành" the customer's phone is looked up in KiotViet (invoice -> customer), the `config.reminders.template` is
+ * rendered and sent through the configured channel (Zalo ZNS, SMS or log-only).
+ *
+ * Messages only go out when the "zalo" setting has `isSendAllowed: true`; otherwise they are written to
+ * the log. Every reminder sent is recorded in the sync state file, so an order is reminded once per due
+ * date even if the job runs again. Reminders only written to the log are not recorded, so they still go
+ * out once a real channel is configured.
+ */
+class PickupReminderJob {
+    /**
+     * Create a new PickupReminderJob instance
+     *
+     * @param {Object} config - Configuration for the job
+     * @param {Object} options - Optional dependencies for testing/DI
+     */
+    constructor(config, options = {}) {
+        this.config = config;
+        // Set up dependencies with support for dependency injection
+        this.getGoogleClient = options.getGoogleClient || getGoogleClient;
+        this.log = options.log || log;
+        this.logError = options.logError || logError;
+        this.kiotVietClient = options.kiotVietClient || new KiotVietClient(config, { log: this.log, logError: this.logError });
+        this.getSetting = options.getSetting || getSetting;
+        this.createChannel = options.createChannel || createReminderChannel;
+        this.readSyncState = options.readSyncState || readSyncState;
+        this.writeSyncState = options.writeSyncState || writeSyncState;
+        this.clock = options.clock || clock;
+    }
+
+    /**
+     * Send the pickup reminders of today
+     *
+     * @returns {Promise<boolean>} True if every reminder was sent (or there was nothing to send)
+     */
+    async main() {
+        try {
+            this.log('Starting pickup reminder job...');
+            const today = this.clock.now();
+
+            const setting = (await this.getSetting('zalo')) || {};
+            const isSendAllowed = setting.isSendAllowed === true;
+            const channel = isSendAllowed ? this.createChannel(this.config.reminders, setting) : new LogChannel({ log: this.log });
+            if (!isSendAllowed) {
+                this.log('Sending to customers is disabled ("isSendAllowed" is off in the "zalo" setting), reminders are only logged');
+            }
+
+            const state = this.loadState(today);
+            const orders = this.selectDueToday((await this.readSnapshot(today)).rows, today)
+                .filter(order => !this.wasReminded(state, order));
+            this.log(`Found ${orders.length} order(s) due today to remind`);
+
+            const counts = { sent: 0, logged: 0, failed: 0 };
+            let recorded = 0;
+            for (const order of orders) {
+                const record = await this.sendReminder(order, channel, today);
+                counts[record.status] = (counts[record.status] || 0) + 1;
+                // Only reminders that really went out (or failed to) are recorded
+                if (isSendAllowed && record.status !== 'logged') {
+                    state.sent[order.code] = record;
+                    recorded++;
+                }
+            }
+
+            if (recorded > 0) {
+                this.saveState(state);
+            }
+
+            this.log(`Pickup reminder job completed: ${counts.sent} sent, ${counts.logged} logged, ${counts.failed} failed`);
+            return counts.failed === 0;
+        } catch (error) {
+            this.logError(`Error in pickup reminder job: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Read the work sheet
+     *
+     * @param {Date} today - Reference for dates typed without a year
+     * @returns {Promise<WorkSheetSnapshot>} Typed rows of the work sheet
+     */
+    async readSnapshot(today) {
+        const { sheets } = await this.getGoogleClient();
+        return loadWorkSheet(sheets, this.config.spreadsheet, today);
+    }
+
+    /**
+     * Select the orders due today that are ready to be picked up, with their items
+     *
+     * An order is ready when all its items other than the cancelled ones are "Hoàn thành"; an order still
+     * being worked on, or already closed, is not reminded.
+     *
+     * @param {Array<WorkRow>} rows - Work sheet rows
+     * @param {Date} today - The current date
+     * @returns {Array<{code: string, dueDate: string, items: Array<string>}>} Orders due today
+     */
+    selectDueToday(rows, today) {
+        const orders = new Map();
+
+        rows.forEach(row => {
+            if (!row.code || row.status === "Huỷ đơn") return;
+
+            if (!orders.has(row.code)) {
+                orders.set(row.code, { code: row.code, dueDate: null, items: [], isReady: true });
+            }
+            const order = orders.get(row.code);
+            order.isReady = order.isReady && row.status === "Hoàn thành";
+            if (row.dueDate && compareDays(row.dueDate, today) === 0) {
+                order.dueDate = row.isRescheduled ? row.newDueText : row.dueText;
+            }
+            if (row.item) {
+                order.items.push(row.item);
+            }
+        });
+
+        return [...orders.values()]
+            .filter(order => order.isReady && order.dueDate)
+            .map(({ code, dueDate, items }) => ({ code, dueDate, items }));
+    }
+
+    /**
+     * Look up the customer, render and send the reminder of an order
+     *
+     * @param {{code: string, dueDate: string, items: Array<string>}} order - Order due today
+     * @param {Object} channel - Reminder channel
+     * @param {Date} today - The current date
+     * @returns {Promise<Object>} Record of the reminder: `{dueDate, phone, channel, status, messageId, message, error, sentAt}`
+     */
+    async sendReminder(order, channel, today) {
+        const record = {
+            dueDate: order.dueDate,
+            phone: null,
+            channel: channel.name,
+            status: 'failed',
+            messageId: null,
+            message: null,
+            error: null,
+            sentAt: this.clock.timestamp()
+        };
+
+        try {
+            const customer = await this.lookupCustomer(order.code);
+            record.phone = customer.phone;
+            if (!customer.phone) {
+                throw new Error('no valid phone number in KiotViet');
+            }
+
+            const params = {
+                customerName: customer.name || 'Quý khách',
+                code: order.code,
+                dueDate: order.dueDate,
+                items: order.items.join(', ')
+            };
+            record.message = renderTemplate(this.config.reminders.template, params);
+
+            const result = await channel.send({
+                phone: customer.phone,
+                message: record.message,
+                params,
+                trackingId: `${order.code}-${this.formatDateKey(today)}`
+            });
+            record.status = result.status;
+            record.messageId = result.messageId || null;
+            this.log(`✓ Reminder for ${order.code} ${result.status} via ${channel.name}`);
+        } catch (error) {
+            record.error = error.message;
+            this.logError(`Could not send the reminder for ${order.code}: ${error.message}`);
+        }
+
+        return record;
+    }
+
+    /**
+     * Find the customer of an invoice and their phone number
+     *
+     * @param {string} code - Invoice code
+     * @returns {Promise<{name: string, phone: string|null}>} Customer name and normalized phone
+     */
+    async lookupCustomer(code) {
+        const invoice = await this.kiotVietClient.getInvoiceByCode(code);
+        if (!invoice.customerId) {
+            // Walk-in sale without a customer
+            return { name: invoice.customerName || '', phone: null };
+        }
+
+        const customer = await this.kiotVietClient.getCustomer(invoice.customerId);
+        return {
+            name: customer.name || invoice.customerName || '',
+            phone: normalizePhone(customer.contactNumber)
+        };
+    }
+
+    /**
+     * Check whether an order was already reminded for its current due date
+     *
+     * @param {{sent: Object}} state - Reminder state
+     * @param {{code: string, dueDate: string}} order - Order due today
+     * @returns {boolean} True if a reminder went out for this due date
+     */
+    wasReminded(state, order) {
+        const record = state.sent[order.code];
+        return Boolean(record) && record.dueDate === order.dueDate && record.status === 'sent';
+    }
+
+    /**
+     * Read the recorded reminders, dropping the ones older than `config.reminders.keepDays`
+     *
+     * @param {Date} today - The current date
+     * @returns {{sent: Object<string, Object>}} Reminder records by invoice code
+     */
+    loadState(today) {
+        const stored = this.readSyncState(this.getStateFile(), this.getStateKey()) || {};
+        const sent = {};
+        Object.entries(stored.sent || {}).forEach(([code, record]) => {
+            const sentAt = this.clock.toWallClock(new Date(record.sentAt));
+            if (compareDays(today, sentAt) <= this.config.reminders.keepDays * MS_PER_DAY) {
+                sent[code] = record;
+            }
+        });
+        return { sent };
+    }
+
+    /**
+     * Persist the recorded reminders
+     *
+     * @param {{sent: Object<string, Object>}} state - Reminder records by invoice code
+     * @returns {void}
+     */
+    saveState(state) {
+        this.writeSyncState(this.getStateFile(), this.getStateKey(), { sent: state.sent, updatedAt: this.clock.timestamp() });
+    }
+
+    /**
+     * @returns {string} Key of this job's records, one per branch
+     */
+    getStateKey() {
+        return this.config.branch ? `${REMINDER_STATE_KEY}:${this.config.branch.id}` : REMINDER_STATE_KEY;
+    }
+
+    /**
+     * @returns {string} Configured sync state file path
+     */
+    getStateFile() {
+        return (this.config.sync && this.config.sync.stateFile) || 'state/sync-state.json';
+    }
+
+    /**
+     * @param {Date} date - A date
+     * @returns {string} yyyyMMdd
+     */
+    formatDateKey(date) {
+        return `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Static method to run the job, once per configured branch
+     *
+     * @param {Object} config - Configuration object
+     * @param {string} branchName - Optional branch to run for (defaults to all branches)
+     * @returns {Promise<boolean>} True if every branch completed successfully
+     */
+    static async run(config, branchName) {
+        let success = true;
+        for (const branchConfig of getBranchConfigs(config, branchName)) {
+            const job = new PickupReminderJob(branchConfig);
+            success = await job.main() && success;
+        }
+        return success;
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    PickupReminderJob.run(config);
+} else {
+    module.exports = PickupReminderJob;
+}
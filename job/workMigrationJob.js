@@ -1,8 +1,49 @@
 const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
 const qs = require('querystring');
 const { getKiotVietAccessToken } = require("../service/get-access-token");
 const { log, logError } = require("../service/log-service");
 const { getGoogleClient } = require('../service/get-client-service');
+const TelegramBot = require('../service/telegram-bot-service');
+const KiotVietClient = require('../service/kiotviet-client-service');
+const { getBranchConfigs, formatBranchHeader } = require('../service/branch-service');
+const { readSyncState, writeSyncState } = require('../service/sync-state-service');
+const { DescriptionParser } = require('../service/description-parser-service');
+const { parseReturnDate, formatReturnDate } = require('../service/return-date-service');
+const { SheetLayout, columnToLetter, compareHeaders, formatHeaderDiff } = require('../service/sheet-schema-service');
+const { clock } = require('../service/clock-service');
+
+// Key of this job's high-water mark in the sync state file
+const SYNC_STATE_KEY = 'workMigration';
+// KiotViet invoice status for cancelled invoices (1 = completed, 2 = cancelled, 3 = processing)
+const CANCELLED_INVOICE_STATUS = 2;
+// "Trạng thái" value written to the rows of a cancelled invoice
+const CANCELLED_ROW_STATUS = 'Huỷ đơn';
+// Google Sheets date serial numbers count days from 30/12/1899
+const SHEETS_EPOCH = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether an existing conditional format rule matches the expected one: same whole-column range
+ * and same colors (the API omits zero color components, hence the defaults)
+ * @param {Object} rule - Existing ConditionalFormatRule
+ * @param {Object} expected - Rule built by buildColorRule
+ * @returns {boolean} True if the rule can be kept
+ */
+function isSameColorRule(rule, expected) {
+    const range = rule.ranges[0];
+    if (range.startRowIndex !== undefined || range.endRowIndex !== undefined) {
+        return false;
+    }
+
+    const sameColor = (a = {}, b = {}) => ['red', 'green', 'blue']
+        .every(channel => Math.abs((a[channel] || 0) - (b[channel] || 0)) < 0.001);
+    const format = rule.booleanRule.format || {};
+    const expectedFormat = expected.booleanRule.format;
+    return sameColor(format.backgroundColor, expectedFormat.backgroundColor)
+        && sameColor((format.textFormat || {}).foregroundColor, expectedFormat.textFormat.foregroundColor);
+}
 
 /**
  * workMigrationJob Class
@@ -26,24 +67,63 @@ class workMigrationJob {
         this.log = options.log || log;
         this.logError = options.logError || logError;
         this.getGoogleClient = options.getGoogleClient || getGoogleClient;
+        this.readSyncState = options.readSyncState || readSyncState;
+        this.writeSyncState = options.writeSyncState || writeSyncState;
+        this.descriptionParser = options.descriptionParser || new DescriptionParser();
+        // Created on first alert, so the migration runs without Telegram configured
+        this.telegramBot = options.telegramBot || null;
+        this.clock = options.clock || clock;
+        this.kiotVietClient = options.kiotVietClient || new KiotVietClient(config, {
+            axios: this.axios,
+            getKiotVietAccessToken: this.getKiotVietAccessToken,
+            log: this.log,
+            logError: this.logError
+        });
     }
 
     /**
      * Main orchestration method
+     *
+     * With `dryRun` the invoices are fetched and parsed and the planned sheet changes are printed (or
+     * exported to `output`), without any Sheets write, Telegram alert or sync state update.
+     *
+     * @param {Object} options - `{ dryRun, format: 'table'|'json', output }`
      * @returns {Promise<boolean>} True if process completed successfully
      */
-    async main() {
+    async main(options = {}) {
         try {
-            // Step 1: Get access token
-            const accessToken = await this.getKiotVietAccessToken();
+            if (this.config.branch) {
+                this.log(`Running migration for branch "${this.config.branch.name}" into sheet "${this.config.spreadsheet.sheetName}"`);
+            }
+
+            // Step 1: Get access token (cached and shared with the other jobs)
+            await this.getKiotVietAccessToken({ log: this.log, logError: this.logError });
             this.log('✓ Access token obtained');
 
-            // Step 2: Fetch invoices
-            const invoices = await this.fetchInvoices(accessToken);
+            // Step 2: Fetch invoices since the last synced high-water mark
+            const syncState = this.loadSyncState();
+            const runDate = this.clock.now();
+            const invoices = await this.fetchInvoices(syncState, runDate);
             this.log(`✓ Retrieved ${invoices.length} invoices`);
+            const updatedInvoices = await this.fetchUpdatedInvoices(syncState);
+            this.log(`✓ Retrieved ${updatedInvoices.length} updated invoices`);
+
+            if (options.dryRun) {
+                const plan = await this.planMigration(invoices, updatedInvoices);
+                this.reportPlan(plan, options);
+                this.log('✓ Dry run completed, nothing was written');
+                return true;
+            }
 
-            // Step 3: Add to Google Sheet
-            await this.addToGoogleSheet(invoices);
+            // Step 3: Add new invoices and sync updates/cancellations into existing rows
+            const addedInvoices = await this.addToGoogleSheet(invoices);
+            await this.updateGoogleSheet(updatedInvoices);
+
+            // Tell the team about new invoices whose description could not be fully interpreted
+            await this.alertUnparsedInvoices(addedInvoices);
+
+            // Step 4: Only move the high-water mark once the sheet has been updated
+            this.saveSyncState(syncState, [...invoices, ...updatedInvoices], runDate);
             this.log('✓ Process completed successfully');
 
             return true;
@@ -53,110 +133,397 @@ class workMigrationJob {
         }
     }
 
+    /**
+     * Re-import all invoices purchased in a past date range into the sheet
+     *
+     * Invoices already in the sheet are skipped by the dedupe-by-code logic in addToGoogleSheet,
+     * so this only restores missing rows. The incremental sync state is left untouched.
+     *
+     * @param {string} fromDate - First purchase date (YYYY-MM-DD)
+     * @param {string} toDate - Last purchase date (YYYY-MM-DD)
+     * @returns {Promise<boolean>} True if process completed successfully
+     */
+    async backfill(fromDate, toDate) {
+        try {
+            workMigrationJob.validateBackfillRange(fromDate, toDate);
+            this.log(`Starting backfill for ${fromDate} → ${toDate}`);
+
+            await this.getKiotVietAccessToken({ log: this.log, logError: this.logError });
+            this.log('✓ Access token obtained');
+
+            const invoices = await this.fetchInvoicesInRange(fromDate, toDate);
+            this.log(`✓ Retrieved ${invoices.length} invoices`);
+
+            await this.addToGoogleSheet(invoices);
+            this.log('✓ Backfill completed successfully');
+
+            return true;
+        } catch (error) {
+            this.logError(`Error in backfill process: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Validate the --from/--to dates of a backfill
+     *
+     * @param {string} fromDate - First purchase date (YYYY-MM-DD)
+     * @param {string} toDate - Last purchase date (YYYY-MM-DD)
+     * @throws {Error} If a date is missing, malformed, does not exist or the range is reversed
+     */
+    static validateBackfillRange(fromDate, toDate) {
+        // Date() rolls impossible days over (2025-02-31 becomes 3 March), so check the parts survive
+        const isValidDate = (value) => {
+            const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+            if (!match) {
+                return false;
+            }
+            const [, year, month, day] = match.map(Number);
+            const date = new Date(year, month - 1, day);
+            return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+        };
+
+        if (!isValidDate(fromDate) || !isValidDate(toDate)) {
+            throw new Error(`Backfill dates must be real dates in YYYY-MM-DD format (from: ${fromDate}, to: ${toDate})`);
+        }
+        if (fromDate > toDate) {
+            throw new Error(`Backfill start date ${fromDate} is after end date ${toDate}`);
+        }
+    }
+
     /**
      * Fetch invoices from the KiotViet API
      *
-     * @param {string} accessToken - The API access token
+     * Invoices are fetched from the day of the last synced high-water mark up to today, so invoices
+     * created just before midnight or during downtime are caught up on the next run.
+     *
+     * @param {Object|null} syncState - Last persisted sync state ({syncedThroughDate, lastPurchaseDate, lastModifiedDate})
+     * @param {Date} today - Date the run is fetching up to
      * @returns {Promise<Array>} Array of processed invoices
      */
-    async fetchInvoices(accessToken) {
-        try {
-            // Get current date in YYYY-MM-DD format using LOCAL timezone, not UTC
-            const today = new Date();
-            const year = today.getFullYear();
-            const month = String(today.getMonth() + 1).padStart(2, '0');
-            const day = String(today.getDate()).padStart(2, '0');
-            const formattedDate = `${year}-${month}-${day}`;
-
-            this.log(`Fetching invoices for date: ${formattedDate}`);
-            const response = await this.axios.get('https://public.kiotapi.com/invoices', {
-                headers: {
-                    'Retailer': this.config.retailer,
-                    'Authorization': `Bearer ${accessToken}`
-                },
-                params: {
-                    pageSize: 200,
-                    status: '[1,3]',
-                    fromPurchaseDate: formattedDate, // 2025-03-02
-                    toPurchaseDate: formattedDate,
-                    orderBy: 'purchaseDate',
-                    orderDirection: 'Desc'
-                }
-            });
+    async fetchInvoices(syncState = null, today = this.clock.now()) {
+        const toDate = this.formatApiDate(today);
+        const fromDate = this.getSyncFromDate(syncState, today);
+
+        return this.fetchInvoicesInRange(fromDate, toDate);
+    }
 
-            const rawInvoices = response.data.data;
+    /**
+     * Fetch all invoices purchased within a date range (inclusive)
+     *
+     * @param {string} fromDate - First purchase date (YYYY-MM-DD)
+     * @param {string} toDate - Last purchase date (YYYY-MM-DD)
+     * @returns {Promise<Array>} Array of processed invoices
+     */
+    async fetchInvoicesInRange(fromDate, toDate) {
+        try {
+            this.log(`Fetching invoices for dates: ${fromDate} → ${toDate}`);
+            const rawInvoices = await this.kiotVietClient.getInvoices({
+                status: '[1,3]',
+                fromPurchaseDate: fromDate, // 2025-03-02
+                toPurchaseDate: toDate,
+                orderBy: 'purchaseDate',
+                orderDirection: 'Desc',
+                ...this.getBranchFilter()
+            }, this.config.invoices);
 
             // Process each invoice to extract structured data
-            return rawInvoices.map(invoice => {
-                const parsedDescription = this.parseDescription(invoice.description || '');
-
-                return {
-                    code: invoice.code || '',
-                    purchaseDate: invoice.purchaseDate || '',
-                    items: parsedDescription.items || [],
-                    paymentStatus: parsedDescription.paymentStatus || '',
-                    returnDate: parsedDescription.returnDate || ''
-                };
-            });
+            const invoices = rawInvoices.map(invoice => this.processInvoice(invoice));
+            this.logParseWarnings(invoices);
+            return invoices;
         } catch (error) {
-            this.logError('Error fetching invoices:', error.message);
+            this.logError(`Error fetching invoices: ${error.message}`);
             throw error;
         }
     }
 
     /**
-     * Parse the invoice description
+     * Fetch invoices modified (edited or cancelled) since the last synced modifiedDate
      *
-     * @param {string} description - The invoice description to parse
-     * @returns {Object} Parsed description with items, paymentStatus, and returnDate
+     * @param {Object|null} syncState - Last persisted sync state
+     * @returns {Promise<Array>} Array of processed invoices changed since the last run
      */
-    parseDescription(description) {
-        if (!description) {
-            return { items: [], paymentStatus: '', returnDate: '' };
+    async fetchUpdatedInvoices(syncState) {
+        try {
+            const lastModifiedFrom = syncState && (syncState.lastModifiedDate || syncState.syncedThroughDate);
+            if (!lastModifiedFrom) {
+                this.log('No sync state found, skipping invoice update check');
+                return [];
+            }
+
+            this.log(`Fetching invoices modified since: ${lastModifiedFrom}`);
+            const rawInvoices = await this.kiotVietClient.getInvoices({
+                status: '[1,2,3]', // Include cancelled invoices
+                lastModifiedFrom: lastModifiedFrom,
+                ...this.getBranchFilter()
+            }, this.config.invoices);
+
+            // lastModifiedFrom is inclusive, so drop the invoice(s) that set the mark last time
+            const invoices = rawInvoices
+                .filter(invoice => invoice.modifiedDate && invoice.modifiedDate > (syncState.lastModifiedDate || ''))
+                .map(invoice => this.processInvoice(invoice));
+            this.logParseWarnings(invoices);
+            return invoices;
+        } catch (error) {
+            this.logError(`Error fetching updated invoices: ${error.message}`);
+            throw error;
         }
+    }
 
-        // Split by new lines
-        const lines = description.split('\n').filter(line => line.trim() !== '');
+    /**
+     * KiotViet filter restricting invoices to this job's branch
+     *
+     * @returns {Object} `{ branchIds }` when running for a branch, otherwise an empty object
+     */
+    getBranchFilter() {
+        return this.config.branch ? { branchIds: JSON.stringify([this.config.branch.id]) } : {};
+    }
 
-        // Initialize result
-        const result = {
-            items: [],
-            paymentStatus: '',
-            returnDate: ''
+    /**
+     * Convert a raw KiotViet invoice into the structure written to the sheet
+     *
+     * @param {Object} invoice - Raw invoice from the KiotViet API
+     * @returns {Object} Processed invoice
+     */
+    processInvoice(invoice) {
+        const parsedDescription = this.parseDescription(invoice.description || '');
+
+        return {
+            code: invoice.code || '',
+            purchaseDate: invoice.purchaseDate || '',
+            modifiedDate: invoice.modifiedDate || '',
+            isCancelled: invoice.status === CANCELLED_INVOICE_STATUS,
+            items: parsedDescription.items || [],
+            paymentStatus: parsedDescription.paymentStatus || '',
+            returnDate: parsedDescription.returnDate || '',
+            // Resolved relative to the purchase date so a "5/1" typed in December lands in January next year
+            returnDateValue: parseReturnDate(parsedDescription.returnDate, new Date(invoice.purchaseDate)),
+            priority: parsedDescription.priority || false,
+            deposit: parsedDescription.deposit || 0,
+            notes: parsedDescription.notes || [],
+            warnings: parsedDescription.warnings || []
         };
+    }
 
-        // Process each line
-        lines.forEach(line => {
-            // Check if it's a numbered item (starts with number followed by period)
-            if (/^\d+\./.test(line.trim())) {
-                // It's a numbered item, extract product and work
-                const parts = line.split('+').map(part => part.trim());
-
-                // Remove the leading number and period from the product name
-                const productName = parts[0].replace(/^\d+\.\s*/, '').trim();
+    /**
+     * Log the description lines the parser could not interpret
+     *
+     * @param {Array} invoices - Processed invoices
+     * @returns {void}
+     */
+    logParseWarnings(invoices) {
+        invoices
+            .filter(invoice => invoice.warnings.length > 0)
+            .forEach(invoice => {
+                const lines = invoice.warnings.map(warning => `line ${warning.lineNumber}: "${warning.text}"`);
+                this.log(`Warning: invoice ${invoice.code} has unrecognized description lines - ${lines.join(', ')}`);
+            });
+    }
 
-                // The work part is after the +
-                const work = parts.length > 1 ? parts[1] : '';
+    /**
+     * List what is missing from an invoice's parsed description
+     *
+     * @param {Object} invoice - Processed invoice
+     * @returns {Array<string>} Problems found (empty if the description was fully understood)
+     */
+    getDescriptionIssues(invoice) {
+        const issues = [];
+        if (invoice.items.length === 0) {
+            issues.push('không có đồ dùng/công việc');
+        }
+        if (!invoice.returnDate) {
+            issues.push('thiếu ngày hẹn trả');
+        } else if (!invoice.returnDateValue) {
+            issues.push(`không đọc được ngày hẹn trả "${invoice.returnDate}"`);
+        }
+        if (!invoice.paymentStatus) {
+            issues.push('thiếu ĐTT/CTT');
+        }
+        return issues;
+    }
 
-                result.items.push({
-                    productName,
-                    work
-                });
-            }
-            // Check if it's the payment status
-            else if (line.trim() === 'ĐTT') {
-                result.paymentStatus = 'Đã thanh toán';
-            } else if (line.trim() === 'CTT') {
-                result.paymentStatus = 'Chưa thanh toán'
-            }
-            // Check if it's the return date
-            else if (line.trim().toLowerCase().startsWith('hẹn trả:')) {
-                // Extract just the date part using case-insensitive regex
-                result.returnDate = line.replace(/hẹn trả:/i, '').trim();
+    /**
+     * Format the alert message for invoices whose description could not be parsed
+     *
+     * @param {Array<{code: string, issues: Array<string>, warnings: Array<Object>}>} unparsedInvoices - Invoices with problems
+     * @returns {string} Formatted message
+     */
+    formatUnparsedInvoicesMessage(unparsedInvoices) {
+        // Using emojis that work well in Telegram
+        let message = `⚠️ HOÁ ĐƠN CHƯA ĐỌC ĐƯỢC MÔ TẢ ⚠️\n`;
+        message += `${formatBranchHeader(this.config)}\n`;
+        message += `📋 Các mã hóa đơn cần kiểm tra lại mô tả (${unparsedInvoices.length}):\n\n`;
+
+        unparsedInvoices.forEach((invoice, index) => {
+            message += `${index + 1}. ${invoice.code}`;
+            if (invoice.issues.length > 0) {
+                message += `: ${invoice.issues.join(', ')}`;
             }
+            message += '\n';
+
+            invoice.warnings.forEach(warning => {
+                message += `   - Dòng ${warning.lineNumber} không nhận diện được: "${warning.text}"\n`;
+            });
         });
 
-        return result;
+        message += '\n✏️ Vui lòng sửa lại mô tả các hoá đơn trên KiotViet.';
+
+        return message;
+    }
+
+    /**
+     * Post one consolidated Telegram alert for invoices with zero parsed items, no (readable) return date,
+     * no payment marker or unrecognized description lines
+     *
+     * @param {Array} invoices - Newly added invoices
+     * @returns {Promise<void>}
+     */
+    async alertUnparsedInvoices(invoices) {
+        const unparsedInvoices = invoices
+            .map(invoice => ({
+                code: invoice.code,
+                issues: this.getDescriptionIssues(invoice),
+                warnings: invoice.warnings || []
+            }))
+            .filter(invoice => invoice.issues.length > 0 || invoice.warnings.length > 0);
+
+        if (unparsedInvoices.length === 0) {
+            return;
+        }
+
+        // An alert failure must not fail the migration itself
+        try {
+            await this.getTelegramBot().sendToFeedbackTopic(this.formatUnparsedInvoicesMessage(unparsedInvoices));
+            this.log(`Sent unparsed description alert for ${unparsedInvoices.length} invoice(s)`);
+        } catch (error) {
+            this.logError(`Error sending unparsed description alert: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build the "Ghi chú" text for a new row from the parsed priority, deposit and notes
+     *
+     * @param {Object} invoice - Processed invoice
+     * @returns {string} Note text (empty if there is nothing to note)
+     */
+    buildNote(invoice) {
+        const parts = [];
+        if (invoice.priority) parts.push('Gấp');
+        if (invoice.deposit) parts.push(`Cọc ${invoice.deposit.toLocaleString('vi-VN')}đ`);
+        parts.push(...(invoice.notes || []));
+        return parts.join('; ');
+    }
+
+    /**
+     * Format a date as YYYY-MM-DD using the LOCAL timezone, not UTC (KiotViet filter format)
+     *
+     * @param {Date} date - The date to format
+     * @returns {string} Date formatted as YYYY-MM-DD
+     */
+    formatApiDate(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Work out the first purchase date to fetch from the persisted high-water mark
+     *
+     * Falls back to today on the first run, and never reaches back further than
+     * `config.sync.maxCatchUpDays` to keep a catch-up after long downtime bounded.
+     *
+     * @param {Object|null} syncState - Last persisted sync state
+     * @param {Date} today - Current date
+     * @returns {string} Start date formatted as YYYY-MM-DD
+     */
+    getSyncFromDate(syncState, today) {
+        const todayFormatted = this.formatApiDate(today);
+        const mark = syncState && (syncState.syncedThroughDate || syncState.lastPurchaseDate);
+        if (!mark) {
+            return todayFormatted;
+        }
+
+        // KiotViet returns local timestamps (2025-03-02T23:58:10.123), so the date part is the local day
+        const markDate = mark.slice(0, 10);
+
+        const maxCatchUpDays = (this.config.sync && this.config.sync.maxCatchUpDays) || 30;
+        const earliest = new Date(today);
+        earliest.setDate(earliest.getDate() - maxCatchUpDays);
+        const earliestFormatted = this.formatApiDate(earliest);
+
+        if (markDate < earliestFormatted) {
+            this.logError(`Sync mark ${markDate} is older than ${maxCatchUpDays} days, catching up from ${earliestFormatted} only`);
+            return earliestFormatted;
+        }
+        return markDate > todayFormatted ? todayFormatted : markDate;
+    }
+
+    /**
+     * Load this job's high-water mark from the sync state file
+     *
+     * @returns {Object|null} Last persisted sync state, or null on the first run
+     */
+    loadSyncState() {
+        const syncState = this.readSyncState(this.getSyncStateFile(), this.getSyncStateKey());
+        if (syncState) {
+            this.log(`Synced through ${syncState.syncedThroughDate}, last purchaseDate: ${syncState.lastPurchaseDate || '-'}, modifiedDate: ${syncState.lastModifiedDate || '-'}`);
+        } else {
+            this.log('No sync state found, starting from today');
+        }
+        return syncState;
+    }
+
+    /**
+     * Advance the high-water mark to the newest purchaseDate/modifiedDate that was synced
+     *
+     * `syncedThroughDate` is the day the run fetched up to; the next run starts from that day again,
+     * so invoices created later the same day (e.g. at 23:58) are still picked up.
+     *
+     * @param {Object|null} previousState - Sync state the run started from
+     * @param {Array} invoices - Invoices that were synced in this run
+     * @param {Date} runDate - Date the run fetched up to
+     * @returns {void}
+     */
+    saveSyncState(previousState, invoices, runDate) {
+        // ISO-like timestamps compare correctly as strings
+        const latest = (field, initial) => invoices.reduce(
+            (max, invoice) => (invoice[field] && invoice[field] > max ? invoice[field] : max),
+            initial || ''
+        );
+
+        const state = {
+            syncedThroughDate: this.formatApiDate(runDate),
+            lastPurchaseDate: latest('purchaseDate', previousState && previousState.lastPurchaseDate),
+            lastModifiedDate: latest('modifiedDate', previousState && previousState.lastModifiedDate),
+            lastSyncedAt: this.clock.timestamp()
+        };
+
+        this.writeSyncState(this.getSyncStateFile(), this.getSyncStateKey(), state);
+    }
+
+    /**
+     * @returns {string} Key of this job's high-water mark, one per branch
+     */
+    getSyncStateKey() {
+        return this.config.branch ? `${SYNC_STATE_KEY}:${this.config.branch.id}` : SYNC_STATE_KEY;
+    }
+
+    /**
+     * @returns {string} Configured sync state file path
+     */
+    getSyncStateFile() {
+        return (this.config.sync && this.config.sync.stateFile) || 'state/sync-state.json';
+    }
+
+    /**
+     * Parse the invoice description
+     *
+     * @param {string} description - The invoice description to parse
+     * @returns {Object} Normalized description with items, paymentStatus, returnDate, priority, deposit, notes and warnings
+     */
+    parseDescription(description) {
+        return this.descriptionParser.parse(description);
     }
 
     /**
@@ -187,86 +554,29 @@ class workMigrationJob {
      * Add invoices to Google Sheet
      *
      * @param {Array} invoices - Array of invoice objects to add
-     * @returns {Promise<void>}
+     * @returns {Promise<Array>} The invoices that were not in the sheet yet and have been added
      */
     async addToGoogleSheet(invoices) {
         try {
             // Set up authentication using the dedicated module
             const { sheets } = await this.getGoogleClient();
+            const sheetId = await this.getOrCreateSheet(sheets);
 
-            // Verify spreadsheet exists and is accessible
-            try {
-                await sheets.spreadsheets.get({
-                    spreadsheetId: this.config.spreadsheet.id
-                });
-                this.log(`Connected to spreadsheet: ${this.config.spreadsheet.id}`);
-            } catch (error) {
-                throw new Error(`Cannot access spreadsheet. Error: ${error.message}`);
-            }
-
-            // Check if sheet exists
-            const spreadsheet = await sheets.spreadsheets.get({
-                spreadsheetId: this.config.spreadsheet.id,
-                includeGridData: false
-            });
-
-            const sheetExists = spreadsheet.data.sheets.some(
-                sheet => sheet.properties.title === this.config.spreadsheet.sheetName
-            );
-
-            let sheetId = null;
-
-            if (!sheetExists) {
-                // Create the sheet if it doesn't exist
-                const response = await sheets.spreadsheets.batchUpdate({
-                    spreadsheetId: this.config.spreadsheet.id,
-                    requestBody: {
-                        requests: [
-                            {
-                                addSheet: {
-                                    properties: {
-                                        title: this.config.spreadsheet.sheetName
-                                    }
-                                }
-                            }
-                        ]
-                    }
-                });
-
-                // Get the sheet ID from the response
-                sheetId = response.data.replies[0].addSheet.properties.sheetId;
-
-                // Add headers
-                await sheets.spreadsheets.values.update({
-                    spreadsheetId: this.config.spreadsheet.id,
-                    range: `${this.config.spreadsheet.sheetName}!A1:L1`,
-                    valueInputOption: 'RAW',
-                    requestBody: {
-                        values: [this.config.spreadsheet.headers]
-                    }
-                });
-
-                this.log(`Created sheet "${this.config.spreadsheet.sheetName}" with headers`);
-            } else {
-                // Get the sheet ID if it already exists
-                sheetId = spreadsheet.data.sheets.find(
-                    sheet => sheet.properties.title === this.config.spreadsheet.sheetName
-                ).properties.sheetId;
-            }
-
-            // Get existing invoice codes to avoid duplicates
+            // Read existing rows once: the header row gives the column layout, codes avoid duplicates
+            // and the rest is needed for default dropdown values
             const existingData = await sheets.spreadsheets.values.get({
                 spreadsheetId: this.config.spreadsheet.id,
-                range: `${this.config.spreadsheet.sheetName}!A:A`
+                range: this.config.spreadsheet.sheetName
             });
+            const existingRows = existingData.data.values || [];
+            const layout = await this.resolveSheetLayout(sheets, existingRows);
 
             // Extract existing invoice codes
             const existingCodes = new Set();
-            if (existingData.data.values && existingData.data.values.length > 1) {
-                existingData.data.values.slice(1).forEach(row => {
-                    if (row[0]) existingCodes.add(row[0]);
-                });
-            }
+            existingRows.slice(1).forEach(row => {
+                const code = layout.get(row, 'code');
+                if (code) existingCodes.add(code);
+            });
 
             this.log(`Found ${existingCodes.size} existing invoice codes`);
 
@@ -275,597 +585,1123 @@ class workMigrationJob {
 
             if (newInvoices.length === 0) {
                 this.log('No new invoices to add');
-                return;
+                return [];
             }
 
             this.log(`Adding ${newInvoices.length} new invoices`);
 
             // Prepare rows - one row per product
             const rows = [];
+            newInvoices.forEach(invoice => rows.push(...this.buildInvoiceRows(invoice, layout)));
 
-            newInvoices.forEach(invoice => {
-                // Format created date with our custom formatter
-                const purchaseDate = this.formatDate(invoice.purchaseDate);
-                const returnDateAsText = invoice.returnDate ? `'${invoice.returnDate}` : '';
-                // If there are items, create a row for each item
-                if (invoice.items && invoice.items.length > 0) {
-                    invoice.items.forEach(item => {
-                        rows.push([
-                            invoice.code,           // Hoá đơn
-                            purchaseDate,            // Ngày nhận
-                            returnDateAsText,       // Ngày trả
-                            item.productName,       // Tên đồ dùng
-                            item.work,              // Công việc
-                            this.config.statusValues[0],       // Trạng thái (will be set via dropdown)
-                            '',                     // Thời gian (empty)
-                            this.config.peopleValues[0],       // Người làm (empty for dropdown selection)
-                            invoice.paymentStatus,  // Trạng thái thanh toán
-                            '',                     // Ghi chú (empty)
-                            this.config.delayValues[0],       // Lần Delay (default to first value)
-                            ''                      // Ngày trả mới (empty)
-                        ]);
-                    });
-                } else {
-                    // No items - create a single row with empty product and work
-                    rows.push([
-                        invoice.code,           // Hoá đơn
-                        purchaseDate,            // Ngày nhận
-                        returnDateAsText,       // Ngày trả
-                        '',                     // Tên đồ dùng (empty)
-                        '',                     // Công việc (empty)
-                        this.config.statusValues[0],       // Trạng thái (will be set via dropdown)
-                        '',                     // Thời gian (empty)
-                        this.config.peopleValues[0],       // Người làm (empty for dropdown selection)
-                        invoice.paymentStatus,  // Trạng thái thanh toán
-                        '',                     // Ghi chú (empty)
-                        this.config.delayValues[0],       // Lần Delay (default to first value)
-                        ''                      // Ngày trả mới (empty)
-                    ]);
+            await this.insertRows(sheets, sheetId, rows, existingRows, layout);
+            return newInvoices;
+        } catch (error) {
+            this.logError(`Error adding to Google Sheet: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Sync edited and cancelled invoices back into their existing sheet rows
+     *
+     * Only the columns derived from the invoice are rewritten: "Ngày trả", "Tên đồ dùng", "Công việc"
+     * and "Trạng thái thanh toán". Staff-owned columns are left alone, except that cancelled invoices
+     * get "Trạng thái" set to "Huỷ đơn".
+     *
+     * @param {Array} invoices - Invoices modified since the last run
+     * @returns {Promise<void>}
+     */
+    async updateGoogleSheet(invoices) {
+        if (invoices.length === 0) {
+            return;
+        }
+
+        try {
+            const { sheets } = await this.getGoogleClient();
+            const sheetName = this.config.spreadsheet.sheetName;
+
+            const response = await sheets.spreadsheets.values.get({
+                spreadsheetId: this.config.spreadsheet.id,
+                range: sheetName
+            });
+            const rows = response.data.values || [];
+            const layout = await this.resolveSheetLayout(sheets, rows);
+
+            // Map invoice code -> sheet row numbers (1-indexed, header is row 1)
+            const rowsByCode = new Map();
+            rows.slice(1).forEach((row, index) => {
+                const code = layout.get(row, 'code');
+                if (!code) return;
+                if (!rowsByCode.has(code)) {
+                    rowsByCode.set(code, []);
                 }
+                rowsByCode.get(code).push(index + 2);
             });
 
-            // Add data to sheet
-            if (rows.length > 0) {
-                // Calculate row count for new rows
-                const numRows = rows.length;
+            // A leading ' (force text) is not part of the cell value
+            const cellValue = (value) => String(value || '').replace(/^'/, '');
 
-                // STEP 1: Insert empty rows right after the header (row index 1)
-                await sheets.spreadsheets.batchUpdate({
-                    spreadsheetId: this.config.spreadsheet.id,
-                    requestBody: {
-                        requests: [
-                            {
-                                insertDimension: {
-                                    range: {
-                                        sheetId: sheetId,
-                                        dimension: "ROWS",
-                                        startIndex: 1,  // After header (0-indexed)
-                                        endIndex: 1 + numRows
-                                    },
-                                    inheritFromBefore: false
-                                }
-                            }
-                        ]
-                    }
-                });
+            const updates = [];
+            const extraRows = [];
+            const updatedCodes = [];
+            const cancelledCodes = [];
 
-                // STEP 2: Fill the newly inserted rows with data
-                await sheets.spreadsheets.values.update({
-                    spreadsheetId: this.config.spreadsheet.id,
-                    range: `${this.config.spreadsheet.sheetName}!A2:L${1 + numRows}`, // Start at row 2 (after header)
-                    valueInputOption: 'USER_ENTERED', // Handle dates properly
-                    requestBody: {
-                        values: rows
-                    }
+            invoices.forEach(invoice => {
+                const rowNumbers = rowsByCode.get(invoice.code);
+                if (!rowNumbers) {
+                    // Not in the sheet yet - new invoices are handled by addToGoogleSheet
+                    return;
+                }
+
+                if (invoice.isCancelled) {
+                    const openRows = rowNumbers.filter(rowNumber => layout.get(rows[rowNumber - 1], 'status') !== CANCELLED_ROW_STATUS);
+                    openRows.forEach(rowNumber => {
+                        updates.push({ rowNumber, field: 'status', value: CANCELLED_ROW_STATUS });
+                        // Keep the rows in step so insertRows does not fill a default status over it
+                        rows[rowNumber - 1][layout.index('status')] = CANCELLED_ROW_STATUS;
+                    });
+                    if (openRows.length > 0) cancelledCodes.push(invoice.code);
+                    return;
+                }
+
+                const expectedRows = this.buildInvoiceRows(invoice, layout);
+                let changed = false;
+
+                rowNumbers.slice(0, expectedRows.length).forEach((rowNumber, index) => {
+                    const current = rows[rowNumber - 1];
+                    const expected = expectedRows[index];
+
+                    ['dueDate', 'item', 'work', 'paymentStatus'].forEach(field => {
+                        const expectedValue = layout.get(expected, field);
+                        const currentValue = layout.get(current, field);
+                        const fieldChanged = field === 'dueDate'
+                            ? !this.isSameReturnDate(invoice, currentValue)
+                            : cellValue(expectedValue) !== cellValue(currentValue);
+                        if (!fieldChanged) return;
+
+                        updates.push({ rowNumber, field, value: expectedValue });
+                        changed = true;
+                    });
                 });
 
-                // The start and end rows for formatting (2-indexed for display, 1-indexed for API)
-                const startRow = 2;  // First row after header
-                const endRow = startRow + numRows - 1;
+                if (expectedRows.length > rowNumbers.length) {
+                    // Items were added to the invoice - they get new rows
+                    extraRows.push(...expectedRows.slice(rowNumbers.length));
+                    changed = true;
+                } else if (expectedRows.length < rowNumbers.length) {
+                    this.log(`Warning: invoice ${invoice.code} now has ${expectedRows.length} item(s) but ${rowNumbers.length} rows in the sheet, extra rows left untouched`);
+                }
+
+                if (changed) updatedCodes.push(invoice.code);
+            });
+
+            if (updates.length > 0 || extraRows.length > 0) {
+                const sheetId = await this.getOrCreateSheet(sheets);
+
+                // One batchUpdate, so the sheet is never left half-updated. Existing rows are updated
+                // before the insert, as inserting shifts row numbers
+                const requests = updates.map(({ rowNumber, field, value }) =>
+                    this.buildCellUpdateRequest(sheetId, rowNumber - 1, layout.index(field), field, value));
+                if (extraRows.length > 0) {
+                    requests.push(...await this.buildInsertRequests(sheets, sheetId, extraRows, rows, layout));
+                }
 
-                // Apply normal formatting and set number formats for date columns
                 await sheets.spreadsheets.batchUpdate({
                     spreadsheetId: this.config.spreadsheet.id,
-                    requestBody: {
-                        requests: [
-                            {
-                                // First, completely clear all formatting for the new rows
-                                updateCells: {
-                                    range: {
-                                        sheetId: sheetId,
-                                        startRowIndex: startRow - 1,  // 0-indexed
-                                        endRowIndex: endRow,
-                                        startColumnIndex: 0,
-                                        endColumnIndex: 12 // Updated for 12 columns
-                                    },
-                                    fields: "userEnteredFormat",
-                                    rows: Array(endRow - startRow + 1).fill({
-                                        values: Array(12).fill({ // Updated for 12 columns
-                                            userEnteredFormat: {}  // Empty format = clear formatting
-                                        })
-                                    })
-                                }
-                            },
-                            {
-                                // Then, explicitly set to plain text style for all cells
-                                repeatCell: {
-                                    range: {
-                                        sheetId: sheetId,
-                                        startRowIndex: startRow - 1,  // 0-indexed
-                                        endRowIndex: endRow,
-                                        startColumnIndex: 0,
-                                        endColumnIndex: 12 // Updated for 12 columns
-                                    },
-                                    cell: {
-                                        userEnteredFormat: {
-                                            textFormat: {
-                                                bold: false,
-                                                italic: false,
-                                                fontSize: 10,  // Normal font size
-                                                fontFamily: "Arial"
-                                            },
-                                            backgroundColor: {
-                                                red: 1,
-                                                green: 1,
-                                                blue: 1
-                                            },
-                                            horizontalAlignment: "LEFT",
-                                            verticalAlignment: "MIDDLE",
-                                            wrapStrategy: "WRAP"
-                                        }
-                                    },
-                                    fields: "userEnteredFormat"
-                                }
-                            },
-                            {
-                                // Set "Ngày nhận" column (B - index 1) to date format
-                                repeatCell: {
-                                    range: {
-                                        sheetId: sheetId,
-                                        startRowIndex: startRow - 1,
-                                        endRowIndex: endRow,
-                                        startColumnIndex: 1,
-                                        endColumnIndex: 2
-                                    },
-                                    cell: {
-                                        userEnteredFormat: {
-                                            numberFormat: {
-                                                type: "DATE_TIME",
-                                                pattern: "dd/MM/yyyy HH:mm"
-                                            }
-                                        }
-                                    },
-                                    fields: "userEnteredFormat.numberFormat"
-                                }
-                            },
-                            {
-                                // CRITICAL: Set "Ngày trả" column (C - index 2) as RAW TEXT
-                                repeatCell: {
-                                    range: {
-                                        sheetId: sheetId,
-                                        startRowIndex: startRow - 1,
-                                        endRowIndex: endRow,
-                                        startColumnIndex: 2,
-                                        endColumnIndex: 3
-                                    },
-                                    cell: {
-                                        userEnteredFormat: {
-                                            numberFormat: {
-                                                type: "TEXT"  // Force TEXT format to prevent date conversion
-                                            },
-                                            textFormat: {
-                                                bold: true,
-                                                fontSize: 24
-                                            }
-                                        }
-                                    },
-                                    fields: "userEnteredFormat.numberFormat,userEnteredFormat.textFormat"
-                                }
-                            },
-                            {
-                                // Style "Trạng thái" column (F - index 5) to look like a dropdown
-                                repeatCell: {
-                                    range: {
-                                        sheetId: sheetId,
-                                        startRowIndex: startRow - 1,
-                                        endRowIndex: endRow,
-                                        startColumnIndex: 5,
-                                        endColumnIndex: 6
-                                    },
-                                    cell: {
-                                        userEnteredFormat: {
-                                            // Add subtle formatting to indicate it's a dropdown
-                                            backgroundColor: {
-                                                red: 0.95,
-                                                green: 0.95,
-                                                blue: 0.95
-                                            },
-                                        }
-                                    },
-                                    fields: "userEnteredFormat.backgroundColor"
-                                }
-                            },
-                            {
-                                // Style "Người làm" column (H - index 7) to look like a dropdown
-                                repeatCell: {
-                                    range: {
-                                        sheetId: sheetId,
-                                        startRowIndex: startRow - 1,
-                                        endRowIndex: endRow,
-                                        startColumnIndex: 7,
-                                        endColumnIndex: 8
-                                    },
-                                    cell: {
-                                        userEnteredFormat: {
-                                            // Add subtle formatting to indicate it's a dropdown
-                                            backgroundColor: {
-                                                red: 0.95,
-                                                green: 0.95,
-                                                blue: 0.95
-                                            },
-                                            horizontalAlignment: "LEFT"
-                                        }
-                                    },
-                                    fields: "userEnteredFormat.backgroundColor,userEnteredFormat.horizontalAlignment"
-                                }
-                            },
-                            {
-                                // Style "Lần Delay" column (K - index 10) to look like a dropdown
-                                repeatCell: {
-                                    range: {
-                                        sheetId: sheetId,
-                                        startRowIndex: startRow - 1,
-                                        endRowIndex: endRow,
-                                        startColumnIndex: 10,
-                                        endColumnIndex: 11
-                                    },
-                                    cell: {
-                                        userEnteredFormat: {
-                                            // Add subtle formatting to indicate it's a dropdown
-                                            backgroundColor: {
-                                                red: 0.95,
-                                                green: 0.95,
-                                                blue: 0.95
-                                            },
-                                            horizontalAlignment: "LEFT"
-                                        }
-                                    },
-                                    fields: "userEnteredFormat.backgroundColor,userEnteredFormat.horizontalAlignment"
-                                }
-                            },
-                            {
-                                // CRITICAL: Set "Ngày trả mới" column (L - index 11) as RAW TEXT
-                                repeatCell: {
-                                    range: {
-                                        sheetId: sheetId,
-                                        startRowIndex: startRow - 1,
-                                        endRowIndex: endRow,
-                                        startColumnIndex: 11,
-                                        endColumnIndex: 12
-                                    },
-                                    cell: {
-                                        userEnteredFormat: {
-                                            numberFormat: {
-                                                type: "TEXT"  // Force TEXT format to prevent date conversion
-                                            }
-                                        }
-                                    },
-                                    fields: "userEnteredFormat.numberFormat"
-                                }
-                            }
-                        ]
-                    }
+                    requestBody: { requests }
                 });
-
-                this.log(`Applied formatting to rows ${startRow}-${endRow}`);
-
-                // Set up dropdowns for Status (column F), People (column H) and Delay (column K)
-                await this.setupDropdowns(sheets, this.config.spreadsheet.id, sheetId);
-                this.log(`Applied dropdown to all rows`);
             }
+
+            this.log(`Updated ${updatedCodes.length} invoice(s)${updatedCodes.length ? `: ${updatedCodes.join(', ')}` : ''}`);
+            this.log(`Cancelled ${cancelledCodes.length} invoice(s)${cancelledCodes.length ? `: ${cancelledCodes.join(', ')}` : ''}`);
         } catch (error) {
-            this.logError('Error adding to Google Sheet:', error.message);
+            this.logError(`Error updating Google Sheet: ${error.message}`);
             throw error;
         }
     }
 
     /**
-     * Setup dropdowns for status, people, and delay columns
+     * Verify the spreadsheet is accessible and create the work sheet (with headers) if it is missing
      *
      * @param {Object} sheets - Google Sheets API instance
-     * @param {string} spreadsheetId - Google Sheet ID
-     * @param {number} sheetId - The specific sheet ID
-     * @returns {Promise<void>}
+     * @returns {Promise<number>} The sheet ID of the work sheet
      */
-    async setupDropdowns(sheets, spreadsheetId, sheetId) {
+    async getOrCreateSheet(sheets) {
+        // Verify spreadsheet exists and is accessible, and check if the sheet exists
+        let spreadsheet;
         try {
-            // Create dropdown request for Status column (F - index 5)
-            const statusDropdownRequest = {
-                setDataValidation: {
-                    range: {
-                        sheetId: sheetId,
-                        startRowIndex: 1,  // Start from row after header
-                        endRowIndex: 1000, // Set a reasonable limit
-                        startColumnIndex: 5, // Column F (0-indexed)
-                        endColumnIndex: 6
+            spreadsheet = await sheets.spreadsheets.get({
+                spreadsheetId: this.config.spreadsheet.id,
+                includeGridData: false
+            });
+            this.log(`Connected to spreadsheet: ${this.config.spreadsheet.id}`);
+        } catch (error) {
+            throw new Error(`Cannot access spreadsheet. Error: ${error.message}`);
+        }
+
+        const sheetExists = spreadsheet.data.sheets.some(
+            sheet => sheet.properties.title === this.config.spreadsheet.sheetName
+        );
+
+        let sheetId = null;
+
+        if (!sheetExists) {
+            // Create the sheet if it doesn't exist
+            const response = await sheets.spreadsheets.batchUpdate({
+                spreadsheetId: this.config.spreadsheet.id,
+                requestBody: {
+                    requests: [
+                        {
+                            addSheet: {
+                                properties: {
+                                    title: this.config.spreadsheet.sheetName
+                                }
+                            }
+                        }
+                    ]
+                }
+            });
+
+            // Get the sheet ID from the response
+            sheetId = response.data.replies[0].addSheet.properties.sheetId;
+
+            // Add headers
+            await sheets.spreadsheets.values.update({
+                spreadsheetId: this.config.spreadsheet.id,
+                range: `${this.config.spreadsheet.sheetName}!A1:${columnToLetter(this.config.spreadsheet.headers.length - 1)}1`,
+                valueInputOption: 'RAW',
+                requestBody: {
+                    values: [this.config.spreadsheet.headers]
+                }
+            });
+
+            this.log(`Created sheet "${this.config.spreadsheet.sheetName}" with headers`);
+        } else {
+            // Get the sheet ID if it already exists
+            sheetId = spreadsheet.data.sheets.find(
+                sheet => sheet.properties.title === this.config.spreadsheet.sheetName
+            ).properties.sheetId;
+        }
+
+        return sheetId;
+    }
+
+    /**
+     * Resolve the sheet's column layout from its header row
+     *
+     * @param {Array<Array<string>>} rows - Sheet values, header row first (the configured headers are used if empty)
+     * @returns {SheetLayout} Column layout
+     */
+    getSheetLayout(rows) {
+        const headerRow = rows.length > 0 ? rows[0] : this.config.spreadsheet.headers;
+        return new SheetLayout(this.config.spreadsheet.columns, headerRow);
+    }
+
+    /**
+     * Verify the sheet's header row before writing and resolve its column layout
+     *
+     * Missing columns are appended to the header row. Renamed or duplicated headers make the column of
+     * a field ambiguous, so the run refuses to write and alerts Telegram instead.
+     *
+     * @param {Object} sheets - Google Sheets API instance
+     * @param {Array<Array<string>>} rows - Sheet values, header row first (row 1 is updated in place when healed)
+     * @returns {Promise<SheetLayout>} Column layout
+     * @throws {Error} If the header row is incompatible with the configured columns
+     */
+    async resolveSheetLayout(sheets, rows) {
+        const { columns, headers, sheetName } = this.config.spreadsheet;
+        const headerRow = rows.length > 0 ? rows[0] : [];
+        const comparison = compareHeaders(columns, headerRow);
+
+        if (comparison.compatible && comparison.missing.length === 0) {
+            return this.getSheetLayout(rows);
+        }
+
+        const diff = formatHeaderDiff(headers, headerRow, comparison);
+        if (!comparison.compatible) {
+            this.logError(`Header row of sheet "${sheetName}" does not match the configured columns:\n${diff.join('\n')}`);
+            await this.alertIncompatibleHeaders(comparison);
+            throw new Error(`Header row of sheet "${sheetName}" is incompatible with the configured columns, nothing was written`);
+        }
+
+        this.log(`Header row of sheet "${sheetName}" is missing ${comparison.missing.length} column(s):\n${diff.join('\n')}`);
+        const healedHeaderRow = await this.appendHeaderColumns(sheets, headerRow, comparison.missing.map(({ header }) => header));
+        if (rows.length > 0) {
+            rows[0] = healedHeaderRow;
+        } else {
+            rows.push(healedHeaderRow);
+        }
+
+        return this.getSheetLayout(rows);
+    }
+
+    /**
+     * Append columns to the end of the header row, growing the sheet if it has no free columns left
+     *
+     * @param {Object} sheets - Google Sheets API instance
+     * @param {Array<string>} headerRow - Current row 1
+     * @param {Array<string>} newHeaders - Headers to append
+     * @returns {Promise<Array<string>>} The new header row
+     */
+    async appendHeaderColumns(sheets, headerRow, newHeaders) {
+        const sheetId = await this.getOrCreateSheet(sheets);
+
+        await sheets.spreadsheets.batchUpdate({
+            spreadsheetId: this.config.spreadsheet.id,
+            requestBody: {
+                requests: [
+                    {
+                        // Extra columns at the end of the grid, so the headers always fit
+                        appendDimension: {
+                            sheetId: sheetId,
+                            dimension: "COLUMNS",
+                            length: newHeaders.length
+                        }
                     },
-                    rule: {
-                        condition: {
-                            type: "ONE_OF_LIST",
-                            values: this.config.statusValues.map(value => ({ userEnteredValue: value }))
-                        },
-                        strict: true,
-                        showCustomUi: true,
-                        inputMessage: "Chọn trạng thái công việc"
+                    {
+                        updateCells: {
+                            start: {
+                                sheetId: sheetId,
+                                rowIndex: 0,
+                                columnIndex: headerRow.length
+                            },
+                            rows: [{ values: newHeaders.map(header => ({ userEnteredValue: { stringValue: header } })) }],
+                            fields: "userEnteredValue"
+                        }
                     }
-                }
-            };
+                ]
+            }
+        });
 
-            // Create dropdown request for People column (H - index 7)
-            const peopleDropdownRequest = {
-                setDataValidation: {
+        this.log(`Appended column(s) ${newHeaders.map(header => `"${header}"`).join(', ')} to the header row`);
+        return [...headerRow, ...newHeaders];
+    }
+
+    /**
+     * Format the alert message for a header row the job refuses to write to
+     *
+     * @param {Object} comparison - Result of compareHeaders
+     * @returns {string} Formatted message
+     */
+    formatIncompatibleHeadersMessage(comparison) {
+        let message = `⛔ SHEET "${this.config.spreadsheet.sheetName}" SAI TIÊU ĐỀ CỘT ⛔\n`;
+        message += `${formatBranchHeader(this.config)}\n`;
+        message += `Đã dừng ghi hoá đơn vào sheet cho đến khi tiêu đề được sửa lại:\n\n`;
+
+        comparison.renamed.forEach(({ expected, actual, column }) => {
+            message += `- Cột ${column}: "${actual}" (cần là "${expected}")\n`;
+        });
+        comparison.duplicates.forEach(({ header, columns }) => {
+            message += `- Cột "${header}" bị trùng (${columns.join(', ')})\n`;
+        });
+
+        message += '\n✏️ Vui lòng đổi lại tên cột hoặc xoá cột trùng trên Google Sheet.';
+
+        return message;
+    }
+
+    /**
+     * Get the Telegram bot, creating it on first use
+     *
+     * @returns {TelegramBot} The bot; throws if Telegram is not configured
+     */
+    getTelegramBot() {
+        if (!this.telegramBot) {
+            this.telegramBot = new TelegramBot();
+        }
+        return this.telegramBot;
+    }
+
+    /**
+     * Alert Telegram about an incompatible header row
+     *
+     * @param {Object} comparison - Result of compareHeaders
+     * @returns {Promise<void>}
+     */
+    async alertIncompatibleHeaders(comparison) {
+        // The run fails either way, an alert failure is only logged
+        try {
+            await this.getTelegramBot().sendToFeedbackTopic(this.formatIncompatibleHeadersMessage(comparison));
+        } catch (error) {
+            this.logError(`Error sending header alert: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build the sheet rows for an invoice - one row per product
+     *
+     * @param {Object} invoice - Processed invoice
+     * @param {SheetLayout} layout - Column layout of the sheet
+     * @returns {Array<Array<string>>} Rows in sheet column order
+     */
+    buildInvoiceRows(invoice, layout) {
+        // Format created date with our custom formatter
+        const purchaseDate = this.formatDate(invoice.purchaseDate);
+        const returnDate = this.formatReturnDateCell(invoice);
+        const note = this.buildNote(invoice);
+
+        // No items - create a single row with empty product and work
+        const items = invoice.items && invoice.items.length > 0
+            ? invoice.items
+            : [{ productName: '', work: '' }];
+
+        return items.map(item => layout.toRow({
+            code: invoice.code,
+            receivedDate: purchaseDate,
+            dueDate: returnDate,
+            item: item.quantity > 1 ? `${item.productName} x${item.quantity}` : item.productName,
+            work: item.work,
+            status: this.config.statusValues[0],       // Will be set via dropdown
+            duration: '',
+            assignee: this.config.peopleValues[0],     // Placeholder for dropdown selection
+            paymentStatus: invoice.paymentStatus,
+            note: note,                                // Priority, deposit and notes from the description
+            delay: this.config.delayValues[0],         // Default to first value
+            newDueDate: ''
+        }));
+    }
+
+    /**
+     * Format the "Ngày trả" cell value: a real date when the text could be parsed,
+     * otherwise the original text forced to text with a leading '
+     *
+     * @param {Object} invoice - Processed invoice
+     * @returns {string} Cell value for USER_ENTERED input
+     */
+    formatReturnDateCell(invoice) {
+        if (invoice.returnDateValue) {
+            return formatReturnDate(invoice.returnDateValue);
+        }
+        return invoice.returnDate ? `'${invoice.returnDate}` : '';
+    }
+
+    /**
+     * Build the request rewriting one cell of an existing row
+     *
+     * A rewritten "Ngày trả" cell also gets the number format of its new value, so dates are not
+     * stored as text.
+     *
+     * @param {number} sheetId - The specific sheet ID
+     * @param {number} rowIndex - 0-indexed row
+     * @param {number} columnIndex - 0-indexed column
+     * @param {string} field - Logical field of the column
+     * @param {string} value - Cell value, with the USER_ENTERED conventions of buildInvoiceRows
+     * @returns {Object} updateCells request
+     */
+    buildCellUpdateRequest(sheetId, rowIndex, columnIndex, field, value) {
+        const cell = {};
+        const userEnteredValue = this.toExtendedValue(value);
+        if (userEnteredValue) {
+            cell.userEnteredValue = userEnteredValue;
+        }
+        if (field === 'dueDate') {
+            cell.userEnteredFormat = { numberFormat: this.getReturnDateNumberFormat(value) };
+        }
+
+        return {
+            updateCells: {
+                start: { sheetId: sheetId, rowIndex: rowIndex, columnIndex: columnIndex },
+                rows: [{ values: [cell] }],
+                fields: field === 'dueDate' ? "userEnteredValue,userEnteredFormat.numberFormat" : "userEnteredValue"
+            }
+        };
+    }
+
+    /**
+     * Number format of a "Ngày trả" cell: a date, a date and time, or text for unparsed return dates
+     *
+     * @param {string} value - Cell value as produced by formatReturnDateCell
+     * @returns {Object} Sheets number format
+     */
+    getReturnDateNumberFormat(value) {
+        if (!value || value.startsWith("'")) {
+            return { type: "TEXT" };
+        }
+        return value.includes(':')
+            ? { type: "DATE_TIME", pattern: "dd/MM/yyyy HH:mm" }
+            : { type: "DATE", pattern: "dd/MM/yyyy" };
+    }
+
+    /**
+     * Check whether the "Ngày trả" cell in the sheet already holds the invoice's return date
+     *
+     * @param {Object} invoice - Processed invoice
+     * @param {string} currentValue - Formatted cell value read from the sheet
+     * @returns {boolean} True if the cell does not need to be rewritten
+     */
+    isSameReturnDate(invoice, currentValue) {
+        const current = parseReturnDate(currentValue, new Date(invoice.purchaseDate));
+        if (invoice.returnDateValue && current) {
+            return invoice.returnDateValue.date.getTime() === current.date.getTime()
+                && invoice.returnDateValue.hasTime === current.hasTime;
+        }
+        if (invoice.returnDateValue || current) {
+            return false;
+        }
+        return (invoice.returnDate || '') === (currentValue || '');
+    }
+
+    /**
+     * Insert rows right after the header with their values, formatting and dropdowns
+     *
+     * Everything - the inserted rows, their formatting, the dropdown rules and the default dropdown
+     * values of existing rows - goes into a single batchUpdate, so a run either fully lands or leaves
+     * the sheet untouched.
+     *
+     * @param {Object} sheets - Google Sheets API instance
+     * @param {number} sheetId - The specific sheet ID
+     * @param {Array<Array<string>>} rows - Rows to insert
+     * @param {Array<Array<string>>} existingRows - Current sheet values (header included)
+     * @param {SheetLayout} layout - Column layout of the sheet
+     * @returns {Promise<void>}
+     */
+    async insertRows(sheets, sheetId, rows, existingRows, layout) {
+        if (rows.length === 0) {
+            return;
+        }
+
+        const numRows = rows.length;
+        await sheets.spreadsheets.batchUpdate({
+            spreadsheetId: this.config.spreadsheet.id,
+            requestBody: {
+                requests: await this.buildInsertRequests(sheets, sheetId, rows, existingRows, layout)
+            }
+        });
+
+        this.log(`Inserted and formatted rows 2-${1 + numRows}`);
+    }
+
+    /**
+     * Build the requests inserting rows right after the header with their values, formatting and
+     * dropdowns, and filling the default dropdown values of the existing rows
+     *
+     * @param {Object} sheets - Google Sheets API instance
+     * @param {number} sheetId - The specific sheet ID
+     * @param {Array<Array<string>>} rows - Rows to insert
+     * @param {Array<Array<string>>} existingRows - Current sheet values (header included)
+     * @param {SheetLayout} layout - Column layout of the sheet
+     * @returns {Promise<Array<Object>>} batchUpdate requests
+     */
+    async buildInsertRequests(sheets, sheetId, rows, existingRows, layout) {
+        const numRows = rows.length;
+        const dropdownRequests = await this.setupDropdowns(sheets, sheetId, layout);
+
+        return [
+            {
+                // Insert empty rows right after the header (row index 1)
+                insertDimension: {
                     range: {
                         sheetId: sheetId,
-                        startRowIndex: 1,  // Start from row after header
-                        endRowIndex: 1000, // Set a reasonable limit
-                        startColumnIndex: 7, // Column H (0-indexed)
-                        endColumnIndex: 8
+                        dimension: "ROWS",
+                        startIndex: 1,  // After header (0-indexed)
+                        endIndex: 1 + numRows
+                    },
+                    inheritFromBefore: false
+                }
+            },
+            {
+                // Fill the new rows, replacing any formatting with the row style and adding their dropdowns
+                updateCells: {
+                    start: {
+                        sheetId: sheetId,
+                        rowIndex: 1,
+                        columnIndex: 0
+                    },
+                    rows: rows.map(row => ({
+                        values: row.map((value, columnIndex) => this.buildCellData(value, columnIndex, layout))
+                    })),
+                    fields: "userEnteredValue,userEnteredFormat,dataValidation"
+                }
+            },
+            ...dropdownRequests,
+            // Existing rows have moved down by the inserted rows
+            ...this.buildDefaultValueRequests(sheetId, existingRows, numRows, layout)
+        ];
+    }
+
+    /**
+     * Build the cell data (value, format and dropdown) of one cell of a new row
+     *
+     * Values follow the USER_ENTERED conventions of buildInvoiceRows: MM/dd/yyyy[ HH:mm] is a date and
+     * a leading ' forces text.
+     *
+     * @param {string} value - Cell value
+     * @param {number} columnIndex - 0-indexed column
+     * @param {SheetLayout} layout - Column layout of the sheet
+     * @returns {Object} CellData for an updateCells request
+     */
+    buildCellData(value, columnIndex, layout) {
+        const format = {
+            textFormat: {
+                bold: false,
+                italic: false,
+                fontSize: 10,  // Normal font size
+                fontFamily: "Arial"
+            },
+            backgroundColor: {
+                red: 1,
+                green: 1,
+                blue: 1
+            },
+            horizontalAlignment: "LEFT",
+            verticalAlignment: "MIDDLE",
+            wrapStrategy: "WRAP"
+        };
+
+        const field = layout.fieldAt(columnIndex);
+        const dropdown = this.getDropdownColumns(layout).find(d => d.field === field);
+
+        if (field === 'receivedDate') {
+            format.numberFormat = { type: "DATE_TIME", pattern: "dd/MM/yyyy HH:mm" };
+        } else if (field === 'dueDate') {
+            // Make "Ngày trả" stand out; a date (with time if known) or text if it could not be parsed
+            format.textFormat = { ...format.textFormat, bold: true, fontSize: 24 };
+            format.numberFormat = this.getReturnDateNumberFormat(value);
+        } else if (dropdown) {
+            // Subtle background to indicate "Trạng thái", "Người làm" and "Lần Delay" are dropdowns
+            format.backgroundColor = { red: 0.95, green: 0.95, blue: 0.95 };
+        } else if (field === 'newDueDate') {
+            // CRITICAL: "Ngày trả mới" is raw text to prevent date conversion
+            format.numberFormat = { type: "TEXT" };
+        }
+
+        const cell = { userEnteredFormat: format };
+        if (dropdown) {
+            cell.dataValidation = this.buildDataValidationRule(dropdown);
+        }
+        const userEnteredValue = this.toExtendedValue(value);
+        if (userEnteredValue) {
+            cell.userEnteredValue = userEnteredValue;
+        }
+        return cell;
+    }
+
+    /**
+     * Convert a USER_ENTERED style value into a typed Sheets value
+     *
+     * @param {string} value - Cell value
+     * @returns {Object|null} ExtendedValue, or null for an empty cell
+     */
+    toExtendedValue(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+
+        const text = String(value);
+        if (text.startsWith("'")) {
+            return { stringValue: text.slice(1) };
+        }
+
+        // MM/dd/yyyy or MM/dd/yyyy HH:mm becomes a date serial number (days since 30/12/1899)
+        const dateMatch = text.match(/^(\d{2})\/(\d{2})\/(\d{4})(?: (\d{2}):(\d{2}))?$/);
+        if (dateMatch) {
+            const [, month, day, year, hours, minutes] = dateMatch.map(Number);
+            return { numberValue: (Date.UTC(year, month - 1, day, hours || 0, minutes || 0) - SHEETS_EPOCH) / MS_PER_DAY };
+        }
+
+        return { stringValue: text };
+    }
+
+    /**
+     * Dropdown columns: status, people and delay with their values and colors
+     *
+     * @param {SheetLayout} layout - Column layout of the sheet
+     * @returns {Array<{field: string, columnIndex: number, values: Array<string>, colors: Object, inputMessage: string}>} Dropdowns
+     */
+    getDropdownColumns(layout) {
+        return [
+            {
+                field: 'status',
+                columnIndex: layout.index('status'),
+                values: this.config.statusValues,
+                colors: this.config.statusColors,
+                inputMessage: "Chọn trạng thái công việc"
+            },
+            {
+                field: 'assignee',
+                columnIndex: layout.index('assignee'),
+                values: this.config.peopleValues,
+                colors: this.config.peopleColors,
+                inputMessage: "Chọn người thực hiện"
+            },
+            {
+                field: 'delay',
+                columnIndex: layout.index('delay'),
+                values: this.config.delayValues,
+                colors: this.config.delayColors,
+                inputMessage: "Chọn lần delay"
+            }
+        ];
+    }
+
+    /**
+     * Build the data validation rule of a dropdown column
+     *
+     * @param {Object} dropdown - Dropdown column (see getDropdownColumns)
+     * @returns {Object} DataValidationRule
+     */
+    buildDataValidationRule(dropdown) {
+        return {
+            condition: {
+                type: "ONE_OF_LIST",
+                values: dropdown.values.map(value => ({ userEnteredValue: value }))
+            },
+            strict: true,
+            showCustomUi: true,
+            inputMessage: dropdown.inputMessage
+        };
+    }
+
+    /**
+     * Build the conditional format rule coloring one dropdown value
+     *
+     * The rule covers the whole column, so rows inserted later are colored without touching the rule.
+     *
+     * @param {number} sheetId - The specific sheet ID
+     * @param {Object} dropdown - Dropdown column (see getDropdownColumns)
+     * @param {string} value - Dropdown value
+     * @param {Array<number>} rgb - Background color (0-255)
+     * @returns {Object} ConditionalFormatRule
+     */
+    buildColorRule(sheetId, dropdown, value, [r, g, b]) {
+        // White text on dark backgrounds
+        const foreground = (r < 128 && g < 128 && b < 128) ? 1 : 0;
+
+        return {
+            ranges: [{
+                sheetId: sheetId,
+                startColumnIndex: dropdown.columnIndex,
+                endColumnIndex: dropdown.columnIndex + 1
+            }],
+            booleanRule: {
+                condition: {
+                    type: "TEXT_EQ",
+                    values: [{ userEnteredValue: value }]
+                },
+                format: {
+                    backgroundColor: {
+                        red: r / 255,
+                        green: g / 255,
+                        blue: b / 255
                     },
-                    rule: {
-                        condition: {
-                            type: "ONE_OF_LIST",
-                            values: this.config.peopleValues.map(value => ({ userEnteredValue: value }))
-                        },
-                        strict: true,
-                        showCustomUi: true,
-                        inputMessage: "Chọn người thực hiện"
+                    textFormat: {
+                        foregroundColor: {
+                            red: foreground,
+                            green: foreground,
+                            blue: foreground
+                        }
                     }
                 }
-            };
+            }
+        };
+    }
 
-            // Create dropdown request for Delay column (K - index 10)
-            const delayDropdownRequest = {
+    /**
+     * Build the requests that bring the dropdowns and their colors in line with the config
+     *
+     * Reads the sheet's existing conditional formats and data validation first, so repeated runs do not
+     * pile up duplicate rules: matching rules are kept, duplicates and rules for values that are no longer
+     * configured are deleted, and only missing rules are added. Validation is only re-applied when some
+     * existing row is missing it or has an outdated list.
+     *
+     * @param {Object} sheets - Google Sheets API instance
+     * @param {number} sheetId - The specific sheet ID
+     * @param {SheetLayout} layout - Column layout of the sheet
+     * @returns {Promise<Array<Object>>} batchUpdate requests (empty when everything is up to date)
+     */
+    async setupDropdowns(sheets, sheetId, layout) {
+        const sheetName = this.config.spreadsheet.sheetName;
+        const dropdowns = this.getDropdownColumns(layout);
+
+        const response = await sheets.spreadsheets.get({
+            spreadsheetId: this.config.spreadsheet.id,
+            ranges: dropdowns.map(({ columnIndex }) => {
+                const column = columnToLetter(columnIndex);
+                return `${sheetName}!${column}2:${column}`;
+            }),
+            includeGridData: true,
+            fields: "sheets(properties(sheetId),conditionalFormats,data(startColumn,rowData(values(dataValidation))))"
+        });
+        const sheet = (response.data.sheets || []).find(s => s.properties.sheetId === sheetId) || {};
+
+        const validationRequests = this.buildValidationRequests(sheetId, dropdowns, sheet.data || []);
+        const colorRequests = this.buildColorRuleRequests(sheetId, dropdowns, sheet.conditionalFormats || []);
+
+        this.log(`Dropdowns: ${validationRequests.length} validation rule(s) re-applied, `
+            + `${colorRequests.deleted} stale color rule(s) removed, ${colorRequests.added} added`);
+        return [...validationRequests, ...colorRequests.requests];
+    }
+
+    /**
+     * Build setDataValidation requests for the dropdown columns whose existing rows lack the configured rule
+     *
+     * @param {number} sheetId - The specific sheet ID
+     * @param {Array<Object>} dropdowns - Dropdown columns
+     * @param {Array<Object>} gridData - GridData read for the dropdown columns (data validation only)
+     * @returns {Array<Object>} batchUpdate requests
+     */
+    buildValidationRequests(sheetId, dropdowns, gridData) {
+        return dropdowns
+            .filter(dropdown => {
+                const expected = JSON.stringify(dropdown.values);
+                const data = gridData.find(d => (d.startColumn || 0) === dropdown.columnIndex);
+                const rowData = (data && data.rowData) || [];
+                return rowData.some(row => {
+                    const validation = row.values && row.values[0] && row.values[0].dataValidation;
+                    const values = validation && validation.condition && validation.condition.type === "ONE_OF_LIST"
+                        ? (validation.condition.values || []).map(v => v.userEnteredValue)
+                        : null;
+                    return JSON.stringify(values) !== expected;
+                });
+            })
+            .map(dropdown => ({
                 setDataValidation: {
                     range: {
                         sheetId: sheetId,
-                        startRowIndex: 1,  // Start from row after header
-                        endRowIndex: 1000, // Set a reasonable limit
-                        startColumnIndex: 10, // Column K (0-indexed)
-                        endColumnIndex: 11
+                        startRowIndex: 1,  // Start from row after header, down to the last row
+                        startColumnIndex: dropdown.columnIndex,
+                        endColumnIndex: dropdown.columnIndex + 1
                     },
-                    rule: {
-                        condition: {
-                            type: "ONE_OF_LIST",
-                            values: this.config.delayValues.map(value => ({ userEnteredValue: value }))
-                        },
-                        strict: true,
-                        showCustomUi: true,
-                        inputMessage: "Chọn lần delay"
-                    }
+                    rule: this.buildDataValidationRule(dropdown)
                 }
-            };
+            }));
+    }
 
-            // Create color formatting requests for each status value
-            const colorRequests = Object.entries(this.config.statusColors).map(([status, [r, g, b]]) => {
-                return {
-                    addConditionalFormatRule: {
-                        rule: {
-                            ranges: [{
-                                sheetId: sheetId,
-                                startRowIndex: 1,
-                                endRowIndex: 1000,
-                                startColumnIndex: 5,
-                                endColumnIndex: 6
-                            }],
-                            booleanRule: {
-                                condition: {
-                                    type: "TEXT_EQ",
-                                    values: [{ userEnteredValue: status }]
-                                },
-                                format: {
-                                    backgroundColor: {
-                                        red: r / 255,
-                                        green: g / 255,
-                                        blue: b / 255
-                                    },
-                                    textFormat: {
-                                        foregroundColor: {
-                                            red: (r < 128 && g < 128 && b < 128) ? 1 : 0,
-                                            green: (r < 128 && g < 128 && b < 128) ? 1 : 0,
-                                            blue: (r < 128 && g < 128 && b < 128) ? 1 : 0
-                                        }
-                                    }
-                                }
-                            }
-                        },
-                        index: 0
-                    }
-                };
-            });
+    /**
+     * Diff the sheet's conditional formats against the configured dropdown colors
+     *
+     * Only single-range TEXT_EQ rules on a dropdown column are considered ours; any other rule is left alone.
+     *
+     * @param {number} sheetId - The specific sheet ID
+     * @param {Array<Object>} dropdowns - Dropdown columns
+     * @param {Array<Object>} conditionalFormats - The sheet's existing conditional format rules, in order
+     * @returns {{requests: Array<Object>, added: number, deleted: number}} batchUpdate requests and counts
+     */
+    buildColorRuleRequests(sheetId, dropdowns, conditionalFormats) {
+        const kept = new Set();
+        const staleIndexes = [];
+
+        conditionalFormats.forEach((rule, index) => {
+            const range = rule.ranges && rule.ranges.length === 1 ? rule.ranges[0] : null;
+            const condition = rule.booleanRule && rule.booleanRule.condition;
+            const dropdown = range && dropdowns.find(d =>
+                (range.startColumnIndex || 0) === d.columnIndex && range.endColumnIndex === d.columnIndex + 1);
+            if (!dropdown || !condition || condition.type !== "TEXT_EQ") {
+                return;
+            }
 
-            // Create color formatting requests for each person
-            const peopleColorRequests = Object.entries(this.config.peopleColors).map(([person, [r, g, b]]) => {
-                return {
-                    addConditionalFormatRule: {
-                        rule: {
-                            ranges: [{
-                                sheetId: sheetId,
-                                startRowIndex: 1,
-                                endRowIndex: 1000,
-                                startColumnIndex: 7,
-                                endColumnIndex: 8
-                            }],
-                            booleanRule: {
-                                condition: {
-                                    type: "TEXT_EQ",
-                                    values: [{ userEnteredValue: person }]
-                                },
-                                format: {
-                                    backgroundColor: {
-                                        red: r / 255,
-                                        green: g / 255,
-                                        blue: b / 255
-                                    },
-                                    textFormat: {
-                                        foregroundColor: {
-                                            red: (r < 128 && g < 128 && b < 128) ? 1 : 0,
-                                            green: (r < 128 && g < 128 && b < 128) ? 1 : 0,
-                                            blue: (r < 128 && g < 128 && b < 128) ? 1 : 0
-                                        }
-                                    }
-                                }
-                            }
-                        },
-                        index: 0
-                    }
-                };
-            });
+            const value = condition.values && condition.values[0] ? condition.values[0].userEnteredValue : '';
+            const key = `${dropdown.columnIndex}:${value}`;
+            const color = dropdown.values.includes(value) ? dropdown.colors[value] : null;
+            const expected = color ? this.buildColorRule(sheetId, dropdown, value, color) : null;
+
+            if (expected && !kept.has(key) && isSameColorRule(rule, expected)) {
+                kept.add(key);
+            } else {
+                staleIndexes.push(index);
+            }
+        });
 
-            // Create color formatting requests for each delay level
-            const delayColorRequests = Object.entries(this.config.delayColors).map(([delay, [r, g, b]]) => {
-                return {
+        const requests = [];
+        // Delete from the last rule backwards so earlier indexes stay valid
+        staleIndexes.reverse().forEach(index => requests.push({
+            deleteConditionalFormatRule: { sheetId: sheetId, index: index }
+        }));
+
+        let added = 0;
+        dropdowns.forEach(dropdown => {
+            dropdown.values.forEach(value => {
+                const color = dropdown.colors[value];
+                if (!color || kept.has(`${dropdown.columnIndex}:${value}`)) return;
+                requests.push({
                     addConditionalFormatRule: {
-                        rule: {
-                            ranges: [{
-                                sheetId: sheetId,
-                                startRowIndex: 1,
-                                endRowIndex: 1000,
-                                startColumnIndex: 10,
-                                endColumnIndex: 11
-                            }],
-                            booleanRule: {
-                                condition: {
-                                    type: "TEXT_EQ",
-                                    values: [{ userEnteredValue: delay }]
-                                },
-                                format: {
-                                    backgroundColor: {
-                                        red: r / 255,
-                                        green: g / 255,
-                                        blue: b / 255
-                                    },
-                                    textFormat: {
-                                        foregroundColor: {
-                                            red: (r < 128 && g < 128 && b < 128) ? 1 : 0,
-                                            green: (r < 128 && g < 128 && b < 128) ? 1 : 0,
-                                            blue: (r < 128 && g < 128 && b < 128) ? 1 : 0
-                                        }
-                                    }
-                                }
-                            }
-                        },
+                        rule: this.buildColorRule(sheetId, dropdown, value, color),
                         index: 0
                     }
-                };
+                });
+                added++;
             });
+        });
 
-            // Apply all rules (dropdowns and colors)
-            await sheets.spreadsheets.batchUpdate({
-                spreadsheetId: spreadsheetId,
-                requestBody: {
-                    requests: [
-                        statusDropdownRequest,
-                        peopleDropdownRequest,
-                        delayDropdownRequest,
-                        ...colorRequests,
-                        ...peopleColorRequests,
-                        ...delayColorRequests
-                    ]
-                }
+        return { requests, added, deleted: staleIndexes.length };
+    }
+
+    /**
+     * Build the requests setting default values for empty status, people, and delay cells of existing rows
+     *
+     * @param {number} sheetId - The specific sheet ID
+     * @param {Array<Array<string>>} rows - Sheet values (header included)
+     * @param {number} rowOffset - Number of rows inserted above these rows in the same batch
+     * @param {SheetLayout} layout - Column layout of the sheet
+     * @returns {Array<Object>} batchUpdate requests
+     */
+    buildDefaultValueRequests(sheetId, rows, rowOffset, layout) {
+        return this.findMissingDefaults(rows, layout).map(({ rowIndex, columnIndex, value }) => ({
+            updateCells: {
+                range: {
+                    sheetId: sheetId,
+                    startRowIndex: rowIndex + rowOffset,
+                    endRowIndex: rowIndex + rowOffset + 1,
+                    startColumnIndex: columnIndex,
+                    endColumnIndex: columnIndex + 1
+                },
+                rows: [{ values: [{ userEnteredValue: { stringValue: value } }] }],
+                fields: "userEnteredValue"
+            }
+        }));
+    }
+
+    /**
+     * Find the empty dropdown cells of existing rows, which get the dropdown's first value
+     *
+     * @param {Array<Array<string>>} rows - Sheet values, header row first
+     * @param {SheetLayout} layout - Column layout of the sheet
+     * @returns {Array<{rowIndex: number, field: string, columnIndex: number, value: string}>} Cells to fill (0-indexed rows)
+     */
+    findMissingDefaults(rows, layout) {
+        const dropdowns = this.getDropdownColumns(layout);
+        const cells = [];
+
+        // Start from row 2 (index 1) to skip the header
+        for (let i = 1; i < rows.length; i++) {
+            const row = rows[i];
+            // Only rows with content (at least an invoice code) get defaults
+            if (!row || !layout.get(row, 'code')) continue;
+
+            dropdowns.forEach(({ field, columnIndex, values }) => {
+                if (row[columnIndex]) return;
+                cells.push({ rowIndex: i, field: field, columnIndex: columnIndex, value: values[0] });
             });
+        }
+
+        return cells;
+    }
+
+    /**
+     * Work out what a run would change in the sheet, using read-only Sheets calls
+     *
+     * Mirrors addToGoogleSheet: the same dedupe, rows, dropdown defaults and dropdown rules. Updated
+     * invoices are only listed.
+     *
+     * @param {Array} invoices - Fetched invoices
+     * @param {Array} updatedInvoices - Invoices modified since the last run
+     * @returns {Promise<Object>} Migration plan
+     */
+    async planMigration(invoices, updatedInvoices) {
+        const { id: spreadsheetId, sheetName, columns, headers } = this.config.spreadsheet;
+        const { sheets } = await this.getGoogleClient();
 
-            // Set default values for empty cells in the status, people, and delay columns
-            // First, get all existing data
+        const spreadsheet = await sheets.spreadsheets.get({
+            spreadsheetId: spreadsheetId,
+            includeGridData: false
+        });
+        const sheet = spreadsheet.data.sheets.find(s => s.properties.title === sheetName);
+
+        let existingRows = [];
+        if (sheet) {
             const response = await sheets.spreadsheets.values.get({
                 spreadsheetId: spreadsheetId,
-                range: `${this.config.spreadsheet.sheetName}!A:L`
+                range: sheetName
             });
+            existingRows = response.data.values || [];
+        }
 
-            if (response.data.values && response.data.values.length > 1) {
-                const rows = response.data.values;
-                const defaultStatusUpdates = [];
-                const defaultPeopleUpdates = [];
-                const defaultDelayUpdates = [];
-
-                // Start from row 2 (index 1) to skip the header
-                for (let i = 1; i < rows.length; i++) {
-                    const row = rows[i];
-                    // Check if the row has any content (at least column A has data)
-                    if (row && row[0]) {
-                        // Check if Status column (F, index 5) is empty and should have a default
-                        if (!row[5] || row[5] === '') {
-                            defaultStatusUpdates.push({
-                                range: `${this.config.spreadsheet.sheetName}!F${i + 1}`,
-                                values: [[this.config.statusValues[0]]]
-                            });
-                        }
+        const headerRow = existingRows.length > 0 ? existingRows[0] : (sheet ? [] : headers);
+        const comparison = compareHeaders(columns, headerRow);
+        const plan = {
+            spreadsheetId: spreadsheetId,
+            sheetName: sheetName,
+            branch: this.config.branch ? this.config.branch.name : null,
+            createSheet: !sheet,
+            existingRowCount: Math.max(existingRows.length - 1, 0),
+            headers: {
+                compatible: comparison.compatible,
+                append: comparison.missing.map(({ header }) => header),
+                diff: comparison.compatible && comparison.missing.length === 0 ? [] : formatHeaderDiff(headers, headerRow, comparison)
+            },
+            inserts: [],
+            defaults: [],
+            dropdownRules: null,
+            updatedInvoices: updatedInvoices.map(invoice => invoice.code)
+        };
 
-                        // Check if People column (H, index 7) is empty and should have a default
-                        if (!row[7] || row[7] === '') {
-                            defaultPeopleUpdates.push({
-                                range: `${this.config.spreadsheet.sheetName}!H${i + 1}`,
-                                values: [[this.config.peopleValues[0]]]
-                            });
-                        }
+        // A real run stops here without writing anything
+        if (!comparison.compatible) {
+            return plan;
+        }
 
-                        // Check if Delay column (K, index 10) is empty and should have a default
-                        if (!row[10] || row[10] === '') {
-                            defaultDelayUpdates.push({
-                                range: `${this.config.spreadsheet.sheetName}!K${i + 1}`,
-                                values: [[this.config.delayValues[0]]]
-                            });
-                        }
-                    }
-                }
+        const layout = new SheetLayout(columns, [...headerRow, ...plan.headers.append]);
+        const existingCodes = new Set(existingRows.slice(1).map(row => layout.get(row, 'code')).filter(Boolean));
+        const fields = Object.keys(columns).filter(field => layout.has(field));
 
-                // Apply the default values if we have any updates
-                if (defaultStatusUpdates.length > 0) {
-                    await sheets.spreadsheets.values.batchUpdate({
-                        spreadsheetId: spreadsheetId,
-                        requestBody: {
-                            valueInputOption: 'USER_ENTERED',
-                            data: defaultStatusUpdates
-                        }
-                    });
-                }
+        invoices.filter(invoice => !existingCodes.has(invoice.code)).forEach(invoice => {
+            this.buildInvoiceRows(invoice, layout).forEach(row => {
+                const values = {};
+                fields.forEach(field => {
+                    values[field] = layout.get(row, field);
+                });
+                plan.inserts.push(values);
+            });
+        });
 
-                if (defaultPeopleUpdates.length > 0) {
-                    await sheets.spreadsheets.values.batchUpdate({
-                        spreadsheetId: spreadsheetId,
-                        requestBody: {
-                            valueInputOption: 'USER_ENTERED',
-                            data: defaultPeopleUpdates
-                        }
-                    });
-                }
+        // Defaults and dropdown rules are only written together with new rows
+        if (plan.inserts.length === 0) {
+            return plan;
+        }
 
-                if (defaultDelayUpdates.length > 0) {
-                    await sheets.spreadsheets.values.batchUpdate({
-                        spreadsheetId: spreadsheetId,
-                        requestBody: {
-                            valueInputOption: 'USER_ENTERED',
-                            data: defaultDelayUpdates
-                        }
-                    });
-                }
+        plan.defaults = this.findMissingDefaults(existingRows, layout).map(({ rowIndex, field, value }) => ({
+            row: rowIndex + 1,
+            code: layout.get(existingRows[rowIndex], 'code'),
+            column: columns[field],
+            value: value
+        }));
+
+        // Columns that do not exist yet cannot be read; their rules would all be created
+        if (sheet && plan.headers.append.length === 0) {
+            const requests = await this.setupDropdowns(sheets, sheet.properties.sheetId, layout);
+            const count = type => requests.filter(request => request[type]).length;
+            plan.dropdownRules = {
+                validationsReapplied: count('setDataValidation'),
+                colorRulesAdded: count('addConditionalFormatRule'),
+                colorRulesDeleted: count('deleteConditionalFormatRule')
+            };
+        }
+
+        return plan;
+    }
+
+    /**
+     * Print a migration plan, or write it to a file
+     *
+     * @param {Object} plan - Result of planMigration
+     * @param {Object} options - `{ format: 'table'|'json', output }`; with several branches the branch name is
+     *   added to the output file name
+     * @returns {void}
+     */
+    reportPlan(plan, options = {}) {
+        const text = options.format === 'json' ? JSON.stringify(plan, null, 2) : this.formatMigrationPlan(plan);
+
+        if (!options.output) {
+            this.log(`\n${text}`);
+            return;
+        }
+
+        let file = options.output;
+        if (this.config.branch) {
+            const { dir, name, ext } = path.parse(file);
+            file = path.join(dir, `${name}-${this.config.branch.name}${ext}`);
+        }
+        fs.writeFileSync(file, text + '\n');
+        this.log(`Dry run plan written to ${file}`);
+    }
+
+    /**
+     * Format a migration plan as text tables
+     *
+     * @param {Object} plan - Result of planMigration
+     * @returns {string} Readable plan
+     */
+    formatMigrationPlan(plan) {
+        const { columns } = this.config.spreadsheet;
+        const lines = [`DRY RUN - sheet "${plan.sheetName}"${plan.branch ? ` (branch ${plan.branch})` : ''}, nothing is written`];
+
+        lines.push(plan.createSheet
+            ? 'Sheet: does not exist, would be created with the configured headers'
+            : `Sheet: ${plan.existingRowCount} existing row(s)`);
+
+        if (!plan.headers.compatible) {
+            lines.push('Header row is incompatible, a real run would stop without writing:', ...plan.headers.diff);
+            return lines.join('\n');
+        }
+        if (plan.headers.append.length > 0) {
+            lines.push(`Header row: would append ${plan.headers.append.map(header => `"${header}"`).join(', ')}`);
+        }
+
+        const invoiceCount = new Set(plan.inserts.map(row => row.code)).size;
+        lines.push('', `New rows: ${plan.inserts.length} from ${invoiceCount} invoice(s), inserted below the header`);
+        if (plan.inserts.length > 0) {
+            const fields = Object.keys(plan.inserts[0]);
+            lines.push(...formatTable(fields.map(field => columns[field]), plan.inserts.map(row => fields.map(field => row[field]))));
+        }
+
+        if (plan.inserts.length > 0) {
+            lines.push('', `Dropdown defaults for existing rows: ${plan.defaults.length} cell(s)`);
+            if (plan.defaults.length > 0) {
+                lines.push(...formatTable(['Dòng', 'Hoá đơn', 'Cột', 'Giá trị'],
+                    plan.defaults.map(({ row, code, column, value }) => [row, code, column, value])));
             }
 
-            this.log("✓ Dropdowns and conditional formatting set up successfully");
-        } catch (error) {
-            this.logError("Error setting up dropdowns:", error.message);
+            lines.push('', plan.dropdownRules
+                ? `Dropdown rules: ${plan.dropdownRules.validationsReapplied} validation(s) re-applied, `
+                    + `${plan.dropdownRules.colorRulesDeleted} color rule(s) removed, ${plan.dropdownRules.colorRulesAdded} added`
+                : 'Dropdown rules: would be created');
         }
+
+        if (plan.updatedInvoices.length > 0) {
+            lines.push('', `Updated invoices to re-sync into existing rows (${plan.updatedInvoices.length}): ${plan.updatedInvoices.join(', ')}`);
+        }
+
+        return lines.join('\n');
     }
 
     /**
-     * Static method to run the integration
+     * Static method to run the integration, once per configured branch
      *
      * @param {Object} config - Configuration object
-     * @returns {Promise<boolean>} Result of the integration process
+     * @param {string} branchName - Optional branch to run for (defaults to all branches)
+     * @param {Object} options - Run options passed to main (e.g. `{ dryRun: true }`)
+     * @returns {Promise<boolean>} True if every branch completed successfully
      */
-    static async run(config) {
-        const integration = new workMigrationJob(config);
-        return integration.main();
+    static async run(config, branchName, options = {}) {
+        let success = true;
+        for (const branchConfig of getBranchConfigs(config, branchName)) {
+            const integration = new workMigrationJob(branchConfig);
+            success = await integration.main(options) && success;
+        }
+        return success;
     }
+
+    /**
+     * Static method to backfill a date range of invoices
+     *
+     * @param {Object} config - Configuration object
+     * @param {string} fromDate - First purchase date (YYYY-MM-DD)
+     * @param {string} toDate - Last purchase date (YYYY-MM-DD)
+     * @param {string} branchName - Optional branch to backfill (defaults to all branches)
+     * @returns {Promise<boolean>} True if every branch was backfilled successfully
+     * @throws {Error} If the date range is invalid, before any branch is backfilled
+     */
+    static async runBackfill(config, fromDate, toDate, branchName) {
+        // Checked once rather than failing the same way for every branch
+        workMigrationJob.validateBackfillRange(fromDate, toDate);
+
+        let success = true;
+        for (const branchConfig of getBranchConfigs(config, branchName)) {
+            const integration = new workMigrationJob(branchConfig);
+            success = await integration.backfill(fromDate, toDate) && success;
+        }
+        return success;
+    }
+}
+
+/**
+ * Format rows as a plain text table, truncating long cells
+ * @param {Array<string>} headers - Column titles
+ * @param {Array<Array<*>>} rows - Cell values
+ * @returns {Array<string>} Table lines
+ */
+function formatTable(headers, rows) {
+    const MAX_WIDTH = 30;
+    const cell = value => {
+        const text = String(value === undefined || value === null ? '' : value).replace(/\s+/g, ' ');
+        return text.length > MAX_WIDTH ? `${text.slice(0, MAX_WIDTH - 1)}…` : text;
+    };
+    const table = [headers, ...rows].map(row => row.map(cell));
+    const widths = headers.map((_, column) => Math.max(...table.map(row => row[column].length)));
+    const line = row => row.map((value, column) => value.padEnd(widths[column])).join(' | ').trimEnd();
+
+    return [line(table[0]), widths.map(width => '-'.repeat(width)).join('-+-'), ...table.slice(1).map(line)];
 }
 
 // Export the class
@@ -1,8 +1,12 @@
 const workMigrationJob = require("./job/workMigrationJob");
 const dataMigrationJob = require("./job/dataMigrationJob");
 const DailyReportJob = require("./job/dailyReportJob");
+const ArchiveJob = require("./job/archiveJob");
+const PerformanceReportJob = require("./job/performanceReportJob");
+const PickupReminderJob = require("./job/pickupReminderJob");
 const config = require('./config');
 const TelegramBot = require("./service/telegram-bot-service");
+const { logError } = require("./service/log-service");
 
 class Main {
     async runDataMigrationJob() {
@@ -21,28 +25,47 @@ class Main {
         //await dataMigration.main('invoices');
     }
 
-    async runWorkMigrationJob() {
-        const workMigration = new workMigrationJob(config);
-        await workMigration.main();
+    // Jobs below run once per configured branch, or only for `branchName` when given, and resolve to
+    // false when a branch failed
+
+    async runWorkMigrationJob(branchName, options = {}) {
+        return workMigrationJob.run(config, branchName, options);
+    }
+
+    async runBackfillJob(fromDate, toDate, branchName) {
+        return workMigrationJob.runBackfill(config, fromDate, toDate, branchName);
     }
-    async runAllDailyReportJob() {
-        const dailyReport = new DailyReportJob(config)
-        await dailyReport.main();
+
+    async runArchiveJob(branchName) {
+        return ArchiveJob.run(config, branchName);
+    }
+
+    async runAllDailyReportJob(branchName) {
+        return DailyReportJob.run(config, branchName);
     }
 
-    async runUnestimatedReport() {
-        const dailyReport = new DailyReportJob(config)
-        await dailyReport.runUnestimatedReport();
+    async runUnestimatedReport(branchName) {
+        return DailyReportJob.runUnestimated(config, branchName);
     }
 
-    async runDueOverDueReport() {
-        const dailyReport = new DailyReportJob(config)
-        await dailyReport.runDueAndOverdueReport();
+    async runDueOverDueReport(branchName) {
+        return DailyReportJob.runDueAndOverdue(config, branchName);
     }
 
-    async runPhatSinhReport() {
-        const dailyReport = new DailyReportJob(config)
-        await dailyReport.runPhatSinhReport();
+    async runPhatSinhReport(branchName) {
+        return DailyReportJob.runPhatSinh(config, branchName);
+    }
+
+    async runWorkloadReport(branchName) {
+        return DailyReportJob.runWorkload(config, branchName);
+    }
+
+    async runPerformanceReport(periodType, branchName, options = {}) {
+        return PerformanceReportJob.run(config, periodType, branchName, options);
+    }
+
+    async runPickupReminders(branchName) {
+        return PickupReminderJob.run(config, branchName);
     }
 
     async testTeleBot() {
@@ -55,6 +78,31 @@ class Main {
 
 const main = new Main();
 
+// Read a CLI flag value, supporting both "--from 2025-09-01" and "--from=2025-09-01"
+function getArg(name) {
+    const args = process.argv.slice(2);
+    const index = args.findIndex(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+    if (index === -1) return undefined;
+    return args[index].includes('=') ? args[index].split('=')[1] : args[index + 1];
+}
+
+// Check for a CLI flag without a value, e.g. "--dry-run"
+function hasFlag(name) {
+    return process.argv.slice(2).includes(`--${name}`);
+}
+
+// Run a CLI command; one that throws or reports a failure exits non-zero, so cron and CI can tell
+async function runCommand(command) {
+    try {
+        if (await command() === false) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        logError(`Error running "${process.argv[2]}": ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
 /*Migrate work from KiotViet to Google Sheet*/
 //main.runWorkMigrationJob();
 
@@ -70,7 +118,31 @@ const main = new Main();
 /*Report due&overdue job*/
 //main.runDueOverDueReport();
 
+/*Report workload per technician job*/
+//main.runWorkloadReport();
+
 /*Test telegram bot*/
 //main.testTeleBot();
 
-main.runDataMigrationJob();
\ No newline at end of file
+/*Backfill a date range of invoices: node main.js backfill --from 2025-09-01 --to 2025-09-07 [--branch "Vườn Đào"]*/
+/*Archive old closed orders: node main.js archive [--branch "Vườn Đào"]*/
+/*Weekly or monthly performance summary: node main.js performance [--period week|month] [--csv summary.csv] [--branch "Vườn Đào"]*/
+/*Remind customers of orders due today: node main.js reminders [--branch "Vườn Đào"]*/
+/*Migrate work, or only print the plan: node main.js migrate [--dry-run] [--format json] [--output plan.json] [--branch "Vườn Đào"]*/
+if (process.argv[2] === 'backfill') {
+    runCommand(() => main.runBackfillJob(getArg('from'), getArg('to'), getArg('branch')));
+} else if (process.argv[2] === 'archive') {
+    runCommand(() => main.runArchiveJob(getArg('branch')));
+} else if (process.argv[2] === 'performance') {
+    runCommand(() => main.runPerformanceReport(getArg('period') || 'week', getArg('branch'), { csv: getArg('csv') }));
+} else if (process.argv[2] === 'reminders') {
+    runCommand(() => main.runPickupReminders(getArg('branch')));
+} else if (process.argv[2] === 'migrate') {
+    runCommand(() => main.runWorkMigrationJob(getArg('branch'), {
+        dryRun: hasFlag('dry-run'),
+        format: getArg('format'),
+        output: getArg('output')
+    }));
+} else {
+    main.runDataMigrationJob();
+}
@@ -0,0 +1,419 @@
+const http = require('http');
+const qs = require('querystring');
+const { log } = require('../service/log-service');
+
+const DEFAULT_PORT = 4010;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_PAGE_SIZE = 20;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * List endpoints: path -> fixture file and the query filters KiotViet supports on it
+ */
+const LIST_ENDPOINTS = {
+    '/invoices': {
+        fixture: 'invoices',
+        filter: (invoice, query) => matchesList(invoice.status, query.status)
+            && matchesList(invoice.branchId, query.branchIds)
+            && (!query.fromPurchaseDate || invoice.purchaseDate.slice(0, 10) >= query.fromPurchaseDate.slice(0, 10))
+            && (!query.toPurchaseDate || invoice.purchaseDate.slice(0, 10) <= query.toPurchaseDate.slice(0, 10))
+            && (!query.lastModifiedFrom || (invoice.modifiedDate || invoice.createdDate) >= query.lastModifiedFrom)
+            && (!query.customerCode || invoice.customerCode === query.customerCode)
+    },
+    '/customers': {
+        fixture: 'customers',
+        filter: (customer, query) => (!query.code || customer.code === query.code)
+            && (!query.contactNumber || customer.contactNumber === query.contactNumber)
+    },
+    '/products': {
+        fixture: 'products',
+        filter: (product, query) => (!query.productType || product.productType === parseInt(query.productType, 10))
+            && (query.isActive === undefined || product.isActive === (query.isActive === 'true'))
+    },
+    '/categories': { fixture: 'categories', filter: () => true },
+    '/branches': { fixture: 'branches', filter: () => true },
+    '/orders': { fixture: 'orders', filter: () => true }
+};
+
+/**
+ * Check a value against a KiotViet list filter such as status=[1,3] or branchIds=[101]
+ * @param {*} value - Field value
+ * @param {string} filter - JSON array (or single value) from the query string, or undefined
+ * @returns {boolean} True if there is no filter or the value is in it
+ */
+function matchesList(value, filter) {
+    if (filter === undefined || filter === '') return true;
+    const values = String(filter).trim().startsWith('[') ? JSON.parse(filter) : [filter];
+    return values.map(String).includes(String(value));
+}
+
+/**
+ * Move a KiotViet date ("2026-10-19T16:40:12.0000000") by a number of days, keeping the time
+ * @param {string} value - Date as stored in the fixtures
+ * @param {number} days - Days to add
+ * @returns {string} Shifted date in the same format
+ */
+function shiftDate(value, days) {
+    const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})(.*)$/);
+    if (!match || days === 0) return value;
+
+    const date = new Date(Date.UTC(+match[1], match[2] - 1, +match[3]) + days * MS_PER_DAY);
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}${match[4]}`;
+}
+
+/**
+ * KiotVietMockServer Class
+ *
+ * Local stand-in for the KiotViet token endpoint (id.kiotviet.vn/connect/token) and the public API
+ * (public.kiotapi.com), serving fixtures from mock-server/fixtures so the jobs can run end-to-end offline.
+ * Point the jobs at it with KIOTVIET_BASE_URL=http://localhost:4010 and
+ * KIOTVIET_TOKEN_URL=http://localhost:4010/connect/token.
+ *
+ * Like the real API it pages with pageSize/currentItem/total, answers 401 to a missing, unknown or expired
+ * token and 429 (with Retry-After) past the rate limit. `failNext`, `expireTokens` and the `rateLimit`
+ * option script those failures for tests: test/get-access-token.test.js and
+ * test/kiotviet-client-service.test.js start it on a free port (`port: 0`) and inspect `requests`.
+ *
+ * Fixture dates are moved by whole days so the newest invoice was purchased today, which keeps relative
+ * return dates ("chiều mai") and the "today" sheet reports meaningful.
+ */
+class KiotVietMockServer {
+    /**
+     * Create a mock server
+     *
+     * @param {Object} options - `{ port, fixtures, today, rebaseDates, tokenExpiresIn, clientId, clientSecret,
+     *   retailer, rateLimit: { limit, windowMs }, log }`
+     */
+    constructor(options = {}) {
+        this.port = options.port !== undefined ? options.port : DEFAULT_PORT;
+        this.tokenExpiresIn = options.tokenExpiresIn || 86400;
+        this.clientId = options.clientId;
+        this.clientSecret = options.clientSecret;
+        this.retailer = options.retailer;
+        this.rateLimit = options.rateLimit || null;
+        this.log = options.log || log;
+
+        this.fixtures = options.fixtures || KiotVietMockServer.loadFixtures();
+        if (options.rebaseDates !== false) {
+            this.rebaseDates(options.today || new Date());
+        }
+
+        // Issued tokens: token -> expiry time (ms)
+        this.tokens = new Map();
+        this.tokenCount = 0;
+        // Scripted failures, consumed in order by matching requests
+        this.failures = [];
+        // Request times within the current rate limit window
+        this.recentRequests = [];
+        // Every request received, as { method, path, query }, so tests can inspect them
+        this.requests = [];
+        this.server = null;
+    }
+
+    /**
+     * Load the fixture files
+     *
+     * @returns {Object<string, Array<Object>>} Fixture name -> records
+     */
+    static loadFixtures() {
+        return {
+            invoices: require('./fixtures/invoices.json'),
+            customers: require('./fixtures/customers.json'),
+            products: require('./fixtures/products.json'),
+            branches: require('./fixtures/branches.json'),
+            categories: [],
+            orders: []
+        };
+    }
+
+    /**
+     * Move every invoice date by the same number of days so the newest invoice is purchased on `today`
+     *
+     * @param {Date} today - Date the newest invoice should fall on
+     * @returns {void}
+     */
+    rebaseDates(today) {
+        const invoices = this.fixtures.invoices || [];
+        if (invoices.length === 0) return;
+
+        const newest = invoices.map(invoice => invoice.purchaseDate).sort().pop();
+        const [year, month, day] = newest.slice(0, 10).split('-').map(Number);
+        const days = Math.round((Date.UTC(today.getFullYear(), today.getMonth(), today.getDate())
+            - Date.UTC(year, month - 1, day)) / MS_PER_DAY);
+
+        this.fixtures.invoices = invoices.map(invoice => ({
+            ...invoice,
+            purchaseDate: shiftDate(invoice.purchaseDate, days),
+            createdDate: shiftDate(invoice.createdDate, days),
+            modifiedDate: shiftDate(invoice.modifiedDate, days)
+        }));
+    }
+
+    /**
+     * Make the next matching request(s) fail
+     *
+     * @param {number} status - HTTP status to answer with (e.g. 401, 429, 500)
+     * @param {Object} options - `{ path, times, retryAfter }`: only fail requests to `path` (default: any API
+     *   request), `times` requests in a row (default 1), with a Retry-After header in seconds
+     * @returns {KiotVietMockServer} The server, for chaining
+     */
+    failNext(status, options = {}) {
+        this.failures.push({ status, path: options.path, remaining: options.times || 1, retryAfter: options.retryAfter });
+        return this;
+    }
+
+    /**
+     * Expire every issued token, so the next API request gets a 401
+     *
+     * @returns {void}
+     */
+    expireTokens() {
+        this.tokens.clear();
+    }
+
+    /**
+     * Start listening
+     *
+     * @returns {Promise<string>} Base URL of the server (e.g. http://localhost:4010)
+     */
+    start() {
+        this.server = http.createServer((request, response) => {
+            this.handle(request, response).catch(error => {
+                this.send(response, 500, { responseStatus: { errorCode: 'InternalServerError', message: error.message } });
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, () => {
+                this.port = this.server.address().port;
+                this.log(`KiotViet mock server listening on ${this.url}`);
+                resolve(this.url);
+            });
+        });
+    }
+
+    /**
+     * Stop listening
+     *
+     * @returns {Promise<void>}
+     */
+    stop() {
+        if (!this.server) return Promise.resolve();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * @returns {string} Base URL of the server
+     */
+    get url() {
+        return `http://localhost:${this.port}`;
+    }
+
+    /**
+     * Route a request
+     *
+     * @param {http.IncomingMessage} request - The request
+     * @param {http.ServerResponse} response - The response
+     * @returns {Promise<void>}
+     */
+    async handle(request, response) {
+        const url = new URL(request.url, this.url);
+        const query = Object.fromEntries(url.searchParams);
+        const path = url.pathname.replace(/\/$/, '');
+        this.requests.push({ method: request.method, path, query });
+
+        if (request.method === 'POST' && path === '/connect/token') {
+            return this.handleToken(qs.parse(await readBody(request)), response);
+        }
+        if (request.method !== 'GET') {
+            return this.send(response, 405, { responseStatus: { errorCode: 'MethodNotAllowed', message: `${request.method} is not supported` } });
+        }
+
+        const failure = this.takeFailure(path);
+        if (failure) {
+            const headers = failure.retryAfter !== undefined ? { 'Retry-After': String(failure.retryAfter) } : {};
+            return this.send(response, failure.status, { responseStatus: { errorCode: String(failure.status), message: 'Scripted failure' } }, headers);
+        }
+
+        if (this.isRateLimited()) {
+            return this.send(response, 429, { responseStatus: { errorCode: 'TooManyRequests', message: 'Rate limit exceeded' } }, { 'Retry-After': '1' });
+        }
+
+        const authError = this.checkAuthorization(request);
+        if (authError) {
+            return this.send(response, 401, { responseStatus: { errorCode: 'Unauthorized', message: authError } });
+        }
+
+        if (LIST_ENDPOINTS[path]) {
+            return this.send(response, 200, this.list(path, query));
+        }
+
+        // Single records: /invoices/100112, /invoices/code/HD100112, /customers/501, /customers/code/KH000501
+        const recordMatch = path.match(/^\/(invoices|customers|products)\/(?:(code)\/)?([^/]+)$/);
+        if (recordMatch) {
+            const [, fixture, byCode, key] = recordMatch;
+            const record = (this.fixtures[fixture] || []).find(item => byCode
+                ? item.code === decodeURIComponent(key)
+                : String(item.id) === key);
+            if (record) {
+                return this.send(response, 200, record);
+            }
+            return this.send(response, 404, { responseStatus: { errorCode: 'NotFound', message: `${fixture} ${key} not found` } });
+        }
+
+        return this.send(response, 404, { responseStatus: { errorCode: 'NotFound', message: `Unknown endpoint ${path}` } });
+    }
+
+    /**
+     * POST /connect/token (client credentials)
+     *
+     * @param {Object} body - Form fields
+     * @param {http.ServerResponse} response - The response
+     * @returns {void}
+     */
+    handleToken(body, response) {
+        if (body.grant_type !== 'client_credentials') {
+            return this.send(response, 400, { error: 'unsupported_grant_type' });
+        }
+        if ((this.clientId && body.client_id !== this.clientId) || (this.clientSecret && body.client_secret !== this.clientSecret)) {
+            return this.send(response, 400, { error: 'invalid_client' });
+        }
+
+        const accessToken = `mock-token-${++this.tokenCount}`;
+        this.tokens.set(accessToken, Date.now() + this.tokenExpiresIn * 1000);
+        return this.send(response, 200, {
+            access_token: accessToken,
+            expires_in: this.tokenExpiresIn,
+            token_type: 'Bearer',
+            scope: 'PublicApi.Access'
+        });
+    }
+
+    /**
+     * Check the Retailer and Authorization headers
+     *
+     * @param {http.IncomingMessage} request - The request
+     * @returns {string|null} Error message, or null when the request is authorized
+     */
+    checkAuthorization(request) {
+        const retailer = request.headers['retailer'];
+        if (!retailer || (this.retailer && retailer !== this.retailer)) {
+            return 'Retailer header is missing or unknown';
+        }
+
+        const match = (request.headers['authorization'] || '').match(/^Bearer\s+(.+)$/);
+        const expiresAt = match ? this.tokens.get(match[1]) : undefined;
+        if (!expiresAt || expiresAt <= Date.now()) {
+            return 'Access token is missing, invalid or expired';
+        }
+        return null;
+    }
+
+    /**
+     * Take the next scripted failure for a path, if any
+     *
+     * @param {string} path - Request path
+     * @returns {Object|null} The failure
+     */
+    takeFailure(path) {
+        const failure = this.failures.find(f => !f.path || f.path === path);
+        if (!failure) return null;
+
+        failure.remaining--;
+        if (failure.remaining <= 0) {
+            this.failures.splice(this.failures.indexOf(failure), 1);
+        }
+        return failure;
+    }
+
+    /**
+     * Count the request against the rate limit
+     *
+     * @returns {boolean} True if the request is over the limit
+     */
+    isRateLimited() {
+        if (!this.rateLimit) return false;
+
+        const now = Date.now();
+        this.recentRequests = this.recentRequests.filter(time => now - time < this.rateLimit.windowMs);
+        if (this.recentRequests.length >= this.rateLimit.limit) {
+            return true;
+        }
+        this.recentRequests.push(now);
+        return false;
+    }
+
+    /**
+     * Filter, sort and page a list endpoint
+     *
+     * @param {string} path - List endpoint path
+     * @param {Object} query - Query parameters
+     * @returns {{total: number, pageSize: number, data: Array<Object>, timestamp: string}} Page in KiotViet's format
+     */
+    list(path, query) {
+        const endpoint = LIST_ENDPOINTS[path];
+        let items = (this.fixtures[endpoint.fixture] || []).filter(item => endpoint.filter(item, query));
+
+        if (query.orderBy) {
+            const direction = String(query.orderDirection || 'Asc').toLowerCase() === 'desc' ? -1 : 1;
+            items = [...items].sort((a, b) => {
+                const left = a[query.orderBy];
+                const right = b[query.orderBy];
+                return left === right ? 0 : (left > right ? direction : -direction);
+            });
+        }
+
+        const pageSize = Math.min(parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+        const currentItem = parseInt(query.currentItem, 10) || 0;
+
+        return {
+            total: items.length,
+            pageSize: pageSize,
+            data: items.slice(currentItem, currentItem + pageSize),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Send a JSON response
+     *
+     * @param {http.ServerResponse} response - The response
+     * @param {number} status - HTTP status
+     * @param {Object} body - JSON body
+     * @param {Object} headers - Extra headers
+     * @returns {void}
+     */
+    send(response, status, body, headers = {}) {
+        response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+        response.end(JSON.stringify(body));
+    }
+}
+
+/**
+ * Read a request body
+ * @param {http.IncomingMessage} request - The request
+ * @returns {Promise<string>} Body text
+ */
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => resolve(body));
+        request.on('error', reject);
+    });
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const rateLimit = parseInt(process.env.KIOTVIET_MOCK_RATE_LIMIT);
+    new KiotVietMockServer({
+        port: parseInt(process.env.KIOTVIET_MOCK_PORT) || DEFAULT_PORT,
+        tokenExpiresIn: parseInt(process.env.KIOTVIET_MOCK_TOKEN_EXPIRES_IN) || undefined,
+        // Requests allowed per second, unlimited when not set
+        rateLimit: rateLimit ? { limit: rateLimit, windowMs: 1000 } : null
+    }).start();
+} else {
+    module.exports = KiotVietMockServer;
+}
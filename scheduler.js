@@ -2,9 +2,15 @@
 const cron = require('node-cron');
 const workMigrationJob = require('./job/workMigrationJob');
 const DailyReportJob = require('./job/dailyReportJob');
+const ArchiveJob = require('./job/archiveJob');
+const PerformanceReportJob = require('./job/performanceReportJob');
+const PickupReminderJob = require('./job/pickupReminderJob');
 const { log, logError } = require('./service/log-service');
 const config = require('./config');
 
+// Run the schedules in the shop's timezone, whatever the machine's timezone is
+const scheduleOptions = { timezone: config.timezone };
+
 // Main function to run the invoice sync
 async function runInvoiceSync() {
     try {
@@ -53,6 +59,50 @@ async function runAdditionalWorkReport() {
     }
 }
 
+// Main function to run the per-technician workload report (8:45)
+async function runWorkloadReport() {
+    try {
+        log('Starting workload report process...');
+        await DailyReportJob.runWorkload(config);
+        log('Workload report completed successfully');
+    } catch (error) {
+        logError(`Error running workload report: ${error.message}`);
+    }
+}
+
+// Main function to run the performance summary of the previous week or month
+async function runPerformanceReport(periodType) {
+    try {
+        log(`Starting ${periodType} performance report process...`);
+        await PerformanceReportJob.run(config, periodType);
+        log(`${periodType} performance report completed successfully`);
+    } catch (error) {
+        logError(`Error running ${periodType} performance report: ${error.message}`);
+    }
+}
+
+// Main function to remind customers of the orders due today (9:30)
+async function runPickupReminders() {
+    try {
+        log('Starting pickup reminder process...');
+        await PickupReminderJob.run(config);
+        log('Pickup reminders completed successfully');
+    } catch (error) {
+        logError(`Error running pickup reminders: ${error.message}`);
+    }
+}
+
+// Main function to move old closed orders into the archive tabs (2:05)
+async function runArchive() {
+    try {
+        log('Starting archive process...');
+        await ArchiveJob.run(config);
+        log('Archive completed successfully');
+    } catch (error) {
+        logError(`Error running archive: ${error.message}`);
+    }
+}
+
 // Prevent crashes from unhandled exceptions
 process.on('uncaughtException', (error) => {
     logError(`Uncaught exception: ${error.message}`);
@@ -68,7 +118,7 @@ cron.schedule('*/15 * * * *', () => {
     runInvoiceSync().then(() => {
         log('Scheduled migration task completed');
     });
-});
+}, scheduleOptions);
 
 // Schedule the due/overdue report to run at 8:30 AM every day
 // Cron format: 30 8 * * * = At 8:30 AM, every day
@@ -79,7 +129,18 @@ cron.schedule('30 8 * * *', () => {
     runDueAndOverdueReport().then(() => {
         log('Due/overdue report task completed');
     });
-});
+}, scheduleOptions);
+
+// Schedule the workload report to run at 8:45 AM every day
+// Cron format: 45 8 * * * = At 8:45 AM, every day
+log('Workload report scheduler started - will run at 8:45 AM every day');
+cron.schedule('45 8 * * *', () => {
+    log('>>>>>>>>>>>>>>>>>>> START RUNNING WORKLOAD JOB >>>>>>>>>>>>>>>>>>>')
+    log('Running scheduled workload report task...');
+    runWorkloadReport().then(() => {
+        log('Workload report task completed');
+    });
+}, scheduleOptions);
 
 // Schedule the unestimated items report to run at 9:00 every day
 // Cron format: 0 9 * * * = At 9:00 AM, every day
@@ -90,7 +151,7 @@ cron.schedule('0 9 * * *', () => {
     runUnestimatedReport().then(() => {
         log('Unestimated items report task completed');
     });
-});
+}, scheduleOptions);
 
 // Schedule the additional work items report to run at 9:00 AM every day
 // Cron format: 0 9 * * * = At 9:00 AM, every day
@@ -101,7 +162,51 @@ cron.schedule('5 9 * * *', () => {
     runAdditionalWorkReport().then(() => {
         log('Additional work items report task completed');
     });
-});
+}, scheduleOptions);
+
+// Schedule the customer pickup reminders to run at 9:30 AM every day, once the shop is open
+// Cron format: 30 9 * * * = At 9:30 AM, every day
+log('Pickup reminder scheduler started - will run at 9:30 AM every day');
+cron.schedule('30 9 * * *', () => {
+    log('>>>>>>>>>>>>>>>>>>> START RUNNING PICKUP REMINDER JOB >>>>>>>>>>>>>>>>>>>')
+    log('Running scheduled pickup reminder task...');
+    runPickupReminders().then(() => {
+        log('Pickup reminder task completed');
+    });
+}, scheduleOptions);
+
+// Schedule the weekly performance summary to run at 8:15 AM every Monday, for the previous week
+// Cron format: 15 8 * * 1 = At 8:15 AM, on Monday
+log('Weekly performance report scheduler started - will run at 8:15 AM every Monday');
+cron.schedule('15 8 * * 1', () => {
+    log('>>>>>>>>>>>>>>>>>>> START RUNNING WEEKLY PERFORMANCE JOB >>>>>>>>>>>>>>>>>>>')
+    log('Running scheduled weekly performance report task...');
+    runPerformanceReport('week').then(() => {
+        log('Weekly performance report task completed');
+    });
+}, scheduleOptions);
+
+// Schedule the monthly performance summary to run at 8:20 AM on the 1st, for the previous month
+// Cron format: 20 8 1 * * = At 8:20 AM, on day 1 of the month
+log('Monthly performance report scheduler started - will run at 8:20 AM on the 1st of every month');
+cron.schedule('20 8 1 * *', () => {
+    log('>>>>>>>>>>>>>>>>>>> START RUNNING MONTHLY PERFORMANCE JOB >>>>>>>>>>>>>>>>>>>')
+    log('Running scheduled monthly performance report task...');
+    runPerformanceReport('month').then(() => {
+        log('Monthly performance report task completed');
+    });
+}, scheduleOptions);
+
+// Schedule the archive to run at 2:05 AM every day, between two invoice syncs
+// Cron format: 5 2 * * * = At 2:05 AM, every day
+log('Archive scheduler started - will run at 2:05 AM every day');
+cron.schedule('5 2 * * *', () => {
+    log('>>>>>>>>>>>>>>>>>>> START RUNNING ARCHIVE JOB >>>>>>>>>>>>>>>>>>>')
+    log('Running scheduled archive task...');
+    runArchive().then(() => {
+        log('Archive task completed');
+    });
+}, scheduleOptions);
 
 // Run invoice sync immediately on startup
 log('---------------------------------------')
@@ -0,0 +1,76 @@
+/**
+ * Read the configured KiotViet branches
+ *
+ * `config.branches` holds the KIOTVIET_BRANCHES JSON text, parsed here rather than when the config is
+ * loaded so a malformed value fails the jobs that need the branches with a clear error, not every
+ * entry point at require time. An already parsed list is returned as is.
+ *
+ * @param {Object} config - Configuration
+ * @returns {Array<Object>} The branches, empty when none are configured
+ * @throws {Error} If KIOTVIET_BRANCHES is not a JSON list
+ */
+function getBranches(config) {
+    const branches = config.branches;
+    if (!branches) {
+        return [];
+    }
+    if (Array.isArray(branches)) {
+        return branches;
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(branches);
+    } catch (error) {
+        throw new Error(`KIOTVIET_BRANCHES is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(parsed)) {
+        throw new Error('KIOTVIET_BRANCHES must be a JSON list, e.g. [{"id": 12345, "name": "Vườn Đào"}]');
+    }
+    return parsed;
+}
+
+/**
+ * Derive one job configuration per configured KiotViet branch
+ *
+ * Each branch config points `spreadsheet.sheetName` at the branch's own tab and carries the branch
+ * in `config.branch`. Without configured branches the base config is returned as is, so a
+ * single-branch setup keeps using `config.spreadsheet.sheetName`.
+ *
+ * @param {Object} config - Base configuration
+ * @param {string} branchName - Optional branch name to run for a single branch only
+ * @returns {Array<Object>} One configuration per branch
+ */
+function getBranchConfigs(config, branchName) {
+    const branches = getBranches(config);
+    if (branches.length === 0) {
+        return [config];
+    }
+
+    const selected = branchName ? branches.filter(branch => branch.name === branchName) : branches;
+    if (selected.length === 0) {
+        throw new Error(`Unknown branch "${branchName}", configured branches: ${branches.map(b => b.name).join(', ')}`);
+    }
+
+    return selected.map(branch => ({
+        ...config,
+        branches,
+        branch,
+        spreadsheet: {
+            ...config.spreadsheet,
+            sheetName: branch.sheetName || branch.name
+        }
+    }));
+}
+
+/**
+ * Header line naming the branch a Telegram message is about
+ *
+ * @param {Object} config - Job configuration
+ * @returns {string} "🏪 Chi nhánh: <name>" followed by a newline, or an empty string without a branch
+ */
+function formatBranchHeader(config) {
+    return config.branch ? `🏪 Chi nhánh: ${config.branch.name}\n` : '';
+}
+
+module.exports = { getBranches, getBranchConfigs, formatBranchHeader };
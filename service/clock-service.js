@@ -0,0 +1,101 @@
+const config = require('../config');
+
+/**
+ * Clock Class
+ *
+ * Tells the jobs what time it is in the configured timezone (`config.timezone`, Asia/Ho_Chi_Minh by
+ * default), whatever the timezone of the machine they run on.
+ *
+ * The returned dates are wall-clock dates: their local fields (getDate(), getHours(), ...) hold the time
+ * in the configured timezone. This is how the rest of the code already treats dates - the sheet's
+ * "19/10/2026 10:30" and KiotViet's "2026-10-19T10:30:00" are both read as local dates - so "today",
+ * "yesterday" and the date comparisons line up without converting anything else.
+ *
+ * Tests pin the date by passing `now`:
+ *   new Clock({ now: () => new Date('2026-10-19T08:00:00+07:00') })
+ */
+class Clock {
+    /**
+     * Create a clock
+     *
+     * @param {Object} options - `{ timeZone, now }`: IANA timezone (defaults to config.timezone) and a
+     *   function returning the current instant (defaults to the system time)
+     */
+    constructor(options = {}) {
+        this.timeZone = options.timeZone || config.timezone;
+        this.currentInstant = options.now || (() => new Date());
+
+        // Throws a RangeError for an unknown timezone, so a typo in the config fails at startup
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+
+    /**
+     * Current time in the configured timezone
+     *
+     * @returns {Date} Wall-clock date (a new instance on every call)
+     */
+    now() {
+        return this.toWallClock(this.currentInstant());
+    }
+
+    /**
+     * Start of today in the configured timezone
+     *
+     * @returns {Date} Wall-clock date at 00:00
+     */
+    today() {
+        const now = this.now();
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    }
+
+    /**
+     * Same time yesterday in the configured timezone
+     *
+     * @returns {Date} Wall-clock date one day ago
+     */
+    yesterday() {
+        const date = this.now();
+        date.setDate(date.getDate() - 1);
+        return date;
+    }
+
+    /**
+     * Current instant as an ISO 8601 UTC timestamp, for the times the jobs store
+     *
+     * Use this rather than now().toISOString(): now() is a wall-clock date, so its toISOString() would
+     * be off by the timezone offset.
+     *
+     * @returns {string} e.g. "2026-10-19T01:30:00.000Z"
+     */
+    timestamp() {
+        return this.currentInstant().toISOString();
+    }
+
+    /**
+     * Convert an instant to the wall-clock date of the configured timezone
+     *
+     * @param {Date} instant - A point in time
+     * @returns {Date} Date whose local fields are the time in the configured timezone
+     */
+    toWallClock(instant) {
+        const parts = {};
+        this.formatter.formatToParts(instant).forEach(({ type, value }) => {
+            parts[type] = parseInt(value, 10);
+        });
+        return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, instant.getMilliseconds());
+    }
+}
+
+// Shared clock used by the jobs unless one is injected
+const clock = new Clock();
+
+module.exports = { Clock, clock };
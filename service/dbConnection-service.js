@@ -83,6 +83,8 @@ class DatabaseService {
     async close() {
         if (this.pool) {
             await this.pool.end();
+            // Let a later connect() open a new pool
+            this.pool = null;
             log('Database connection closed');
         }
     }
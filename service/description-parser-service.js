@@ -0,0 +1,176 @@
+/**
+ * Invoice description parser
+ *
+ * Cashiers type the work order into the KiotViet invoice description, one instruction per line:
+ *
+ *   1. Giày Nike x2 + vệ sinh + sơn đế (gấp)
+ *   2. Túi LV + thay khoá
+ *   Cọc 200k
+ *   Ghi chú: khách dặn không dùng hoá chất
+ *   ĐTT
+ *   Hẹn trả: tối 7/3
+ *
+ * Each line is matched against an ordered list of rules; the first rule that matches handles the line.
+ * Lines no rule recognizes are reported in `warnings` instead of being dropped silently.
+ *
+ * A rule is `{ name, match(line) => match|null, apply(result, match, line) }`.
+ */
+
+// Priority markers accepted at the end of an item line or on a line of their own
+const PRIORITY_PATTERN = /\s*(\(\s*(?:gấp|ưu tiên)\s*\)|(?:^|\s)(?:gấp|ưu tiên)|!{2,})\s*$/i;
+
+// Quantity suffix of a product name: "Giày x2", "Giày x 2", "Giày *2", "Giày (SL: 2)"
+const QUANTITY_PATTERN = /\s*(?:\(\s*)?(?:[x*×]\s*|sl\s*:?\s*)(\d+)(?:\s*\))?\s*$/i;
+
+/**
+ * Parse an amount such as "200k", "200.000", "200,000đ" into a number of VND
+ * @param {string} amount - Amount as typed
+ * @param {string} unit - Optional unit suffix ("k" means thousands)
+ * @returns {number} Amount in VND
+ */
+function parseAmount(amount, unit) {
+    const value = parseInt(amount.replace(/[.,\s]/g, ''), 10) || 0;
+    return unit && unit.toLowerCase() === 'k' ? value * 1000 : value;
+}
+
+/**
+ * Split the priority marker off the end of a text
+ * @param {string} text - Text that may end with a priority marker
+ * @returns {{text: string, priority: boolean}} Text without the marker and whether it was present
+ */
+function extractPriority(text) {
+    const priority = PRIORITY_PATTERN.test(text);
+    return { text: priority ? text.replace(PRIORITY_PATTERN, '').trim() : text, priority };
+}
+
+const defaultRules = [
+    {
+        // "1. Giày x2 + vệ sinh + sơn đế (gấp)" or "- Giày + vệ sinh"
+        name: 'item',
+        match: line => line.match(/^(?:\d+\s*[.)]|[-•*])\s*(.+)$/),
+        apply: (result, match) => {
+            const { text, priority } = extractPriority(match[1].trim());
+            const [product, ...works] = text.split('+').map(part => part.trim());
+
+            const quantityMatch = product.match(QUANTITY_PATTERN);
+            const productName = quantityMatch ? product.replace(QUANTITY_PATTERN, '').trim() : product;
+            const workList = works.filter(work => work !== '');
+
+            result.items.push({
+                productName,
+                quantity: quantityMatch ? parseInt(quantityMatch[1], 10) : 1,
+                works: workList,
+                work: workList.join(' + '),
+                priority
+            });
+            if (priority) result.priority = true;
+        }
+    },
+    {
+        name: 'paymentStatus',
+        match: line => line.match(/^(đtt|dtt|đã thanh toán|ctt|chưa thanh toán)$/i),
+        apply: (result, match) => {
+            const marker = match[1].toLowerCase();
+            result.paymentStatus = marker.startsWith('c') ? 'Chưa thanh toán' : 'Đã thanh toán';
+        }
+    },
+    {
+        // "Hẹn trả: tối 7/3" (the colon is optional)
+        name: 'returnDate',
+        match: line => line.match(/^hẹn trả\s*:?\s*(.+)$/i),
+        apply: (result, match) => {
+            result.returnDate = match[1].trim();
+        }
+    },
+    {
+        // "Cọc 200k", "Đặt cọc: 200.000đ"
+        name: 'deposit',
+        match: line => line.match(/^(?:đặt\s+)?cọc\s*:?\s*([\d.,\s]+?)\s*(k|đ|d|vnd)?$/i),
+        apply: (result, match) => {
+            result.deposit += parseAmount(match[1], match[2]);
+        }
+    },
+    {
+        // "Gấp", "Ưu tiên", "!!!" on a line of their own
+        name: 'priority',
+        match: line => line.match(/^(gấp|ưu tiên|!{2,})$/i),
+        apply: result => {
+            result.priority = true;
+        }
+    },
+    {
+        // "Ghi chú: ...", "Lưu ý: ...", "Note: ..."
+        name: 'note',
+        match: line => line.match(/^(?:ghi chú|gc|lưu ý|note)\s*:?\s*(.+)$/i),
+        apply: (result, match) => {
+            result.notes.push(match[1].trim());
+        }
+    }
+];
+
+class DescriptionParser {
+    /**
+     * Create a parser
+     * @param {Array<Object>} rules - Ordered line rules, defaults to the built-in rules
+     */
+    constructor(rules = defaultRules) {
+        this.rules = [...rules];
+    }
+
+    /**
+     * Register an extra line rule
+     * @param {Object} rule - Line rule ({name, match, apply})
+     * @param {Object} options - `{ first: true }` to try the rule before the existing ones
+     * @returns {DescriptionParser} The parser, for chaining
+     */
+    addRule(rule, options = {}) {
+        if (options.first) {
+            this.rules.unshift(rule);
+        } else {
+            this.rules.push(rule);
+        }
+        return this;
+    }
+
+    /**
+     * Parse an invoice description
+     * @param {string} description - The invoice description to parse
+     * @returns {{items: Array<{productName: string, quantity: number, works: Array<string>, work: string, priority: boolean}>,
+     *   paymentStatus: string, returnDate: string, priority: boolean, deposit: number, notes: Array<string>,
+     *   warnings: Array<{lineNumber: number, text: string, message: string}>}} Normalized description
+     */
+    parse(description) {
+        const result = {
+            items: [],
+            paymentStatus: '',
+            returnDate: '',
+            priority: false,
+            deposit: 0,
+            notes: [],
+            warnings: []
+        };
+
+        if (!description) {
+            return result;
+        }
+
+        description.split('\n').forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (line === '') return;
+
+            for (const rule of this.rules) {
+                const match = rule.match(line);
+                if (match) {
+                    rule.apply(result, match, line);
+                    return;
+                }
+            }
+
+            result.warnings.push({ lineNumber: index + 1, text: line, message: 'Unrecognized line' });
+        });
+
+        return result;
+    }
+}
+
+module.exports = { DescriptionParser, defaultRules };
@@ -3,10 +3,26 @@ const qs = require('querystring');
 const config = require('../config');
 const { log, logError } = require('./log-service');
 
-async function getKiotVietAccessToken() {
+const DEFAULT_TOKEN_URL = 'https://id.kiotviet.vn/connect/token';
+
+// Refresh the token this long before it actually expires
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Token shared by every job in this process: { accessToken, expiresAt }
+let cachedToken = null;
+// In-flight token request, so concurrent callers share a single request
+let pendingRequest = null;
+
+/**
+ * Request a new access token from the token endpoint
+ * @param {Object} logger - `{ log, logError }` to report with
+ * @returns {Promise<{accessToken: string, expiresAt: number}>} The token and when it expires
+ */
+async function requestKiotVietAccessToken({ log, logError }) {
     try {
         log('Requesting KiotViet access token...');
         const { clientId, clientSecret } = config;
+        const tokenUrl = (config.kiotviet && config.kiotviet.tokenUrl) || DEFAULT_TOKEN_URL;
 
         // Define the request data
         const requestData = qs.stringify({
@@ -17,7 +33,7 @@ async function getKiotVietAccessToken() {
         });
 
         // Make the request to get the token
-        const response = await axios.post('https://id.kiotviet.vn/connect/token', requestData, {
+        const response = await axios.post(tokenUrl, requestData, {
             headers: {
                 'Content-Type': 'application/x-www-form-urlencoded'
             }
@@ -26,8 +42,11 @@ async function getKiotVietAccessToken() {
         // Check if the response is valid
         if (response.data && response.data.access_token) {
             log('✓ KiotViet access token obtained successfully');
-            // Return just the token
-            return response.data.access_token;
+            return {
+                accessToken: response.data.access_token,
+                // expires_in is in seconds
+                expiresAt: Date.now() + (response.data.expires_in || 0) * 1000
+            };
         } else {
             throw new Error('Invalid response from token endpoint');
         }
@@ -41,4 +60,59 @@ async function getKiotVietAccessToken() {
     }
 }
 
-module.exports = { getKiotVietAccessToken };
\ No newline at end of file
+/**
+ * Get a KiotViet access token, reusing the cached one until shortly before it expires
+ * @param {Object} options - `{ forceRefresh: true }` to ignore the cached token; `log` and `logError`
+ *   replace the log service (for testing/DI)
+ * @returns {Promise<string>} The access token
+ */
+async function getKiotVietAccessToken({ forceRefresh = false, log: logMessage = log, logError: logErrorMessage = logError } = {}) {
+    if (!forceRefresh && cachedToken && Date.now() < cachedToken.expiresAt - REFRESH_MARGIN_MS) {
+        return cachedToken.accessToken;
+    }
+
+    if (!pendingRequest) {
+        pendingRequest = requestKiotVietAccessToken({ log: logMessage, logError: logErrorMessage })
+            .then(token => {
+                cachedToken = token;
+                return token;
+            })
+            .finally(() => {
+                pendingRequest = null;
+            });
+    }
+
+    const token = await pendingRequest;
+    return token.accessToken;
+}
+
+/**
+ * Drop the cached token so the next call requests a new one
+ * @returns {void}
+ */
+function invalidateKiotVietAccessToken() {
+    cachedToken = null;
+}
+
+/**
+ * Run a KiotViet API request with an access token, refreshing the token and retrying once on a 401
+ * @param {function(string): Promise<*>} request - Performs the request with the given token
+ * @param {function(Object=): Promise<string>} getToken - Token getter (overridable for testing/DI)
+ * @param {Object} logger - `{ log, logError }` replacing the log service, also passed to getToken
+ * @returns {Promise<*>} The request result
+ */
+async function withKiotVietToken(request, getToken = getKiotVietAccessToken, logger = { log, logError }) {
+    try {
+        return await request(await getToken(logger));
+    } catch (error) {
+        if (!error.response || error.response.status !== 401) {
+            throw error;
+        }
+
+        logger.log('KiotViet API returned 401, refreshing access token and retrying once...');
+        invalidateKiotVietAccessToken();
+        return request(await getToken({ ...logger, forceRefresh: true }));
+    }
+}
+
+module.exports = { getKiotVietAccessToken, invalidateKiotVietAccessToken, withKiotVietToken };
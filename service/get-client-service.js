@@ -1,12 +1,19 @@
 const { google } = require('googleapis');
 const { GoogleAuth } = require('google-auth-library');
 const { log, logError } = require('./log-service');
+const { getLocalSpreadsheet } = require('./in-memory-sheets-service');
 
 /**
  * Create a Google API client with proper authentication
  * @returns {Promise<{auth: GoogleAuth, sheets: any}>} The authenticated Google API clients
  */
 async function getGoogleClient() {
+    // Local development: run the jobs against an in-memory spreadsheet instead of Google
+    if (process.env.GOOGLE_SHEETS_IN_MEMORY === 'true') {
+        log('Using in-memory Google Sheets (GOOGLE_SHEETS_IN_MEMORY=true)');
+        return getLocalSpreadsheet(process.env.SPREADSHEET_ID).getGoogleClient();
+    }
+
     try {
         // Check if service account credentials are provided in environment variables
         if (!process.env.GOOGLE_SERVICE_ACCOUNT_CREDENTIALS) {
@@ -0,0 +1,911 @@
+/**
+ * In-memory Google Sheets API
+ *
+ * A stand-in for `google.sheets({ version: 'v4' })` implementing the subset the jobs use, so they can run
+ * end-to-end without a real spreadsheet:
+ *
+ *   spreadsheets.get, spreadsheets.batchUpdate, spreadsheets.values.get/update/batchUpdate
+ *
+ * batchUpdate supports addSheet, duplicateSheet, insertDimension, deleteDimension, appendDimension,
+ * updateCells, repeatCell, setDataValidation, addConditionalFormatRule, deleteConditionalFormatRule and
+ * copyPaste. Like the real API a batchUpdate is atomic: when one request fails nothing is applied.
+ *
+ * Cells keep a value (string or number), a userEnteredFormat and a dataValidation. values.get returns
+ * formatted values, so dates come back the way the sheet shows them (e.g. "19/10/2026 10:30").
+ *
+ *   const spreadsheet = new InMemorySpreadsheet({ id: 'test', sheets: { 'Công việc': [headers, ...rows] } });
+ *   const job = new workMigrationJob(config, { getGoogleClient: spreadsheet.getGoogleClient });
+ */
+
+// Google Sheets date serial numbers count days from 30/12/1899
+const SHEETS_EPOCH = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Size of a sheet created without gridProperties, as in Google Sheets
+const DEFAULT_ROW_COUNT = 1000;
+const DEFAULT_COLUMN_COUNT = 26;
+
+/**
+ * Error shaped like the errors thrown by googleapis (message and HTTP status code)
+ */
+class SheetsApiError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} code - HTTP status code
+     */
+    constructor(message, code = 400) {
+        super(message);
+        this.name = 'SheetsApiError';
+        this.code = code;
+    }
+}
+
+/**
+ * Convert a column letter to a 0-indexed column (A -> 0, AA -> 26)
+ * @param {string} letters - Column letters
+ * @returns {number} 0-indexed column
+ */
+function letterToColumn(letters) {
+    return letters.toUpperCase().split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Parse an A1 range such as "Sheet", "Sheet!A:L", "'My sheet'!A1:L1", "Sheet!1:1", "Sheet!F2:F" or "Sheet!E2"
+ * @param {string} range - A1 notation
+ * @returns {{sheetName: string, startRow: number, endRow: (number|null), startColumn: number, endColumn: (number|null)}}
+ *   0-indexed bounds, end exclusive; null means up to the end of the grid
+ */
+function parseA1Range(range) {
+    const separator = range.lastIndexOf('!');
+    let sheetName = separator === -1 ? range : range.slice(0, separator);
+    const cells = separator === -1 ? '' : range.slice(separator + 1);
+
+    if (sheetName.startsWith("'") && sheetName.endsWith("'")) {
+        sheetName = sheetName.slice(1, -1).replace(/''/g, "'");
+    }
+
+    const whole = { sheetName, startRow: 0, endRow: null, startColumn: 0, endColumn: null };
+    if (cells === '') {
+        return whole;
+    }
+
+    const match = cells.match(/^([A-Za-z]*)(\d*)(?::([A-Za-z]*)(\d*))?$/);
+    if (!match || (!match[1] && !match[2])) {
+        throw new SheetsApiError(`Unable to parse range: ${range}`);
+    }
+
+    const [, startLetters, startDigits, endLetters, endDigits] = match;
+    const isRange = match[0].includes(':');
+    const startColumn = startLetters ? letterToColumn(startLetters) : 0;
+    const startRow = startDigits ? parseInt(startDigits, 10) - 1 : 0;
+
+    if (!isRange) {
+        // A single cell ("E2"), a column ("E") or a row ("2")
+        return {
+            sheetName,
+            startRow,
+            endRow: startDigits ? startRow + 1 : null,
+            startColumn,
+            endColumn: startLetters ? startColumn + 1 : null
+        };
+    }
+
+    return {
+        sheetName,
+        startRow,
+        endRow: endDigits ? parseInt(endDigits, 10) : null,
+        startColumn,
+        endColumn: endLetters ? letterToColumn(endLetters) + 1 : null
+    };
+}
+
+/**
+ * Deep copy a JSON-like value
+ * @param {*} value - Value to copy
+ * @returns {*} Copy
+ */
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Render a date serial number with a Sheets date pattern (yyyy, MM, M, dd, d, HH, H, mm, ss)
+ * @param {number} serial - Days since 30/12/1899
+ * @param {string} pattern - Date/time pattern
+ * @returns {string} Formatted date
+ */
+function formatSerialDate(serial, pattern) {
+    const date = new Date(SHEETS_EPOCH + Math.round(serial * MS_PER_DAY / 1000) * 1000);
+    const pad = value => String(value).padStart(2, '0');
+    const tokens = {
+        yyyy: String(date.getUTCFullYear()),
+        MM: pad(date.getUTCMonth() + 1),
+        M: String(date.getUTCMonth() + 1),
+        dd: pad(date.getUTCDate()),
+        d: String(date.getUTCDate()),
+        HH: pad(date.getUTCHours()),
+        H: String(date.getUTCHours()),
+        mm: pad(date.getUTCMinutes()),
+        ss: pad(date.getUTCSeconds())
+    };
+    return pattern.replace(/yyyy|MM|M|dd|d|HH|H|mm|ss/g, token => tokens[token]);
+}
+
+/**
+ * Interpret a typed value the way Sheets does for USER_ENTERED input (en-US locale):
+ * a leading ' forces text, numbers and M/d/yyyy[ H:mm] dates become numbers
+ * @param {*} value - Value as written
+ * @returns {{value: (string|number|boolean), numberFormat: (Object|undefined)}} Stored value and the number
+ *   format Sheets applies automatically to recognized dates
+ */
+function parseUserEnteredValue(value) {
+    if (typeof value !== 'string') {
+        return { value };
+    }
+    if (value.startsWith("'")) {
+        return { value: value.slice(1) };
+    }
+    if (/^-?\d+(\.\d+)?$/.test(value.trim())) {
+        return { value: parseFloat(value) };
+    }
+
+    const dateMatch = value.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (dateMatch) {
+        const [, month, day, year, hours, minutes, seconds] = dateMatch;
+        const time = Date.UTC(+year, month - 1, +day, +(hours || 0), +(minutes || 0), +(seconds || 0));
+        // Not a valid US date (e.g. "19/10/2026"): Sheets keeps it as text
+        if (new Date(time).getUTCMonth() !== month - 1 || new Date(time).getUTCDate() !== +day) {
+            return { value };
+        }
+        return {
+            value: (time - SHEETS_EPOCH) / MS_PER_DAY,
+            numberFormat: hours
+                ? { type: 'DATE_TIME', pattern: 'M/d/yyyy H:mm:ss' }
+                : { type: 'DATE', pattern: 'M/d/yyyy' }
+        };
+    }
+
+    return { value };
+}
+
+/**
+ * Convert an ExtendedValue ({stringValue}, {numberValue}, ...) to a stored value
+ * @param {Object} extendedValue - ExtendedValue from updateCells/repeatCell
+ * @returns {string|number|boolean|undefined} Stored value
+ */
+function fromExtendedValue(extendedValue) {
+    if (!extendedValue) return undefined;
+    if ('stringValue' in extendedValue) return extendedValue.stringValue;
+    if ('numberValue' in extendedValue) return extendedValue.numberValue;
+    if ('boolValue' in extendedValue) return extendedValue.boolValue;
+    if ('formulaValue' in extendedValue) return extendedValue.formulaValue;
+    return undefined;
+}
+
+/**
+ * Convert a stored value to an ExtendedValue
+ * @param {*} value - Stored value
+ * @returns {Object|undefined} ExtendedValue
+ */
+function toExtendedValue(value) {
+    if (value === undefined || value === '') return undefined;
+    if (typeof value === 'number') return { numberValue: value };
+    if (typeof value === 'boolean') return { boolValue: value };
+    return { stringValue: String(value) };
+}
+
+/**
+ * Render a cell the way values.get returns it (FORMATTED_VALUE)
+ * @param {Object} cell - Stored cell
+ * @returns {string} Formatted value ('' for an empty cell)
+ */
+function formatCell(cell) {
+    if (!cell || cell.value === undefined || cell.value === null) return '';
+    if (typeof cell.value === 'boolean') return cell.value ? 'TRUE' : 'FALSE';
+    if (typeof cell.value !== 'number') return String(cell.value);
+
+    const numberFormat = cell.format && cell.format.numberFormat;
+    if (numberFormat && (numberFormat.type === 'DATE' || numberFormat.type === 'DATE_TIME' || numberFormat.type === 'TIME')) {
+        const pattern = numberFormat.pattern
+            || (numberFormat.type === 'DATE' ? 'M/d/yyyy' : numberFormat.type === 'TIME' ? 'H:mm:ss' : 'M/d/yyyy H:mm:ss');
+        return formatSerialDate(cell.value, pattern);
+    }
+    return String(cell.value);
+}
+
+/**
+ * Check whether a cell holds nothing at all (no value, format or validation)
+ * @param {Object} cell - Stored cell
+ * @returns {boolean} True if the cell is empty
+ */
+function isBlankCell(cell) {
+    return !cell || ((cell.value === undefined || cell.value === '') && !cell.format && !cell.dataValidation);
+}
+
+/**
+ * Apply the `fields` mask of an updateCells/repeatCell request to one cell
+ * @param {Object} cell - Stored cell, modified in place
+ * @param {Object} cellData - CellData from the request (may be empty to clear the masked fields)
+ * @param {string} fields - Field mask, e.g. "userEnteredValue,userEnteredFormat.numberFormat" or "*"
+ */
+function applyCellData(cell, cellData, fields) {
+    const masks = fields === '*' ? ['userEnteredValue', 'userEnteredFormat', 'dataValidation'] : fields.split(',').map(f => f.trim());
+
+    masks.forEach(mask => {
+        const [root, ...path] = mask.split('.');
+        if (root === 'userEnteredValue') {
+            cell.value = fromExtendedValue(cellData.userEnteredValue);
+        } else if (root === 'dataValidation') {
+            cell.dataValidation = clone(cellData.dataValidation);
+        } else if (root === 'userEnteredFormat') {
+            const source = cellData.userEnteredFormat || {};
+            if (path.length === 0) {
+                cell.format = Object.keys(source).length > 0 ? clone(source) : undefined;
+                return;
+            }
+            // Nested mask such as userEnteredFormat.textFormat.bold
+            cell.format = cell.format || {};
+            let target = cell.format;
+            let value = source;
+            path.slice(0, -1).forEach(key => {
+                target[key] = target[key] || {};
+                target = target[key];
+                value = value ? value[key] : undefined;
+            });
+            const key = path[path.length - 1];
+            if (value && value[key] !== undefined) {
+                target[key] = clone(value[key]);
+            } else {
+                delete target[key];
+            }
+        } else {
+            throw new SheetsApiError(`Unsupported field mask: ${mask}`);
+        }
+    });
+}
+
+class InMemorySpreadsheet {
+    /**
+     * Create a spreadsheet
+     * @param {Object} options - `{ id, title, sheets, valueInputOption }` where sheets maps a tab title to its
+     *   rows of values, entered as USER_ENTERED by default ("'text" stays text, "10/19/2026" becomes a date)
+     *   or as RAW text (to seed values exactly as values.get returns them)
+     */
+    constructor(options = {}) {
+        this.id = options.id || 'in-memory';
+        this.title = options.title || 'In-memory spreadsheet';
+        this.sheets = [];
+        // Every API call made, as { method, params }, so tests can count and inspect them
+        this.calls = [];
+        this.nextSheetId = 0;
+
+        Object.entries(options.sheets || {}).forEach(([title, rows]) => {
+            const sheet = this.createSheet({ title });
+            this.writeValues(sheet, 0, 0, rows, options.valueInputOption || 'USER_ENTERED');
+        });
+
+        this.api = this.createApi();
+        // Drop-in replacement for getGoogleClient()
+        this.getGoogleClient = async () => ({ auth: null, sheets: this.api });
+    }
+
+    /**
+     * Build the `sheets` API object (the part of google.sheets() the jobs use)
+     * @returns {Object} Sheets API
+     */
+    createApi() {
+        const call = (method, handler) => async (params = {}) => {
+            this.calls.push({ method, params: clone(params) });
+            if (params.spreadsheetId !== undefined && params.spreadsheetId !== this.id) {
+                throw new SheetsApiError(`Requested entity was not found: spreadsheet ${params.spreadsheetId}`, 404);
+            }
+            return { data: handler(params) };
+        };
+
+        return {
+            spreadsheets: {
+                get: call('spreadsheets.get', params => this.get(params)),
+                batchUpdate: call('spreadsheets.batchUpdate', params => this.batchUpdate(params)),
+                values: {
+                    get: call('spreadsheets.values.get', params => this.getValues(params.range)),
+                    update: call('spreadsheets.values.update', params => this.updateValues(params)),
+                    batchUpdate: call('spreadsheets.values.batchUpdate', params => this.batchUpdateValues(params))
+                }
+            }
+        };
+    }
+
+    /**
+     * Add a tab
+     * @param {Object} properties - SheetProperties (title, optional sheetId, index and gridProperties)
+     * @returns {Object} The new sheet
+     */
+    createSheet(properties) {
+        if (!properties.title) {
+            throw new SheetsApiError('A sheet title is required');
+        }
+        if (this.findSheet(properties.title)) {
+            throw new SheetsApiError(`A sheet with the name "${properties.title}" already exists. Please enter another name.`);
+        }
+        const sheetId = properties.sheetId !== undefined ? properties.sheetId : this.nextSheetId;
+        if (this.sheets.some(sheet => sheet.sheetId === sheetId)) {
+            throw new SheetsApiError(`Invalid requests: sheet ID ${sheetId} already exists`);
+        }
+        this.nextSheetId = Math.max(this.nextSheetId, sheetId + 1);
+
+        const gridProperties = properties.gridProperties || {};
+        const sheet = {
+            sheetId,
+            title: properties.title,
+            rowCount: gridProperties.rowCount || DEFAULT_ROW_COUNT,
+            columnCount: gridProperties.columnCount || DEFAULT_COLUMN_COUNT,
+            rows: [],
+            conditionalFormats: []
+        };
+
+        const index = properties.index !== undefined ? properties.index : this.sheets.length;
+        this.sheets.splice(index, 0, sheet);
+        return sheet;
+    }
+
+    /**
+     * @param {string} title - Tab title
+     * @returns {Object|undefined} The sheet
+     */
+    findSheet(title) {
+        return this.sheets.find(sheet => sheet.title === title);
+    }
+
+    /**
+     * @param {string} title - Tab title
+     * @returns {Object} The sheet
+     * @throws {SheetsApiError} If there is no such tab
+     */
+    getSheetByTitle(title) {
+        const sheet = this.findSheet(title);
+        if (!sheet) {
+            throw new SheetsApiError(`Unable to parse range: ${title}`);
+        }
+        return sheet;
+    }
+
+    /**
+     * @param {number} sheetId - Sheet ID
+     * @returns {Object} The sheet
+     * @throws {SheetsApiError} If there is no such sheet
+     */
+    getSheetById(sheetId) {
+        const sheet = this.sheets.find(s => s.sheetId === (sheetId || 0));
+        if (!sheet) {
+            throw new SheetsApiError(`No grid with id: ${sheetId}`);
+        }
+        return sheet;
+    }
+
+    /**
+     * Get a cell, creating it when `create` is set
+     * @param {Object} sheet - The sheet
+     * @param {number} row - 0-indexed row
+     * @param {number} column - 0-indexed column
+     * @param {boolean} create - Create the cell if it does not exist
+     * @returns {Object|undefined} The cell
+     */
+    cell(sheet, row, column, create = false) {
+        if (create) {
+            this.checkGrid(sheet, row + 1, column + 1);
+            sheet.rows[row] = sheet.rows[row] || [];
+            sheet.rows[row][column] = sheet.rows[row][column] || {};
+        }
+        return sheet.rows[row] ? sheet.rows[row][column] : undefined;
+    }
+
+    /**
+     * Fail like the real API when a write goes past the grid
+     * @param {Object} sheet - The sheet
+     * @param {number} endRow - Exclusive end row
+     * @param {number} endColumn - Exclusive end column
+     */
+    checkGrid(sheet, endRow, endColumn) {
+        if (endRow > sheet.rowCount || endColumn > sheet.columnCount) {
+            throw new SheetsApiError(`Range exceeds grid limits. Max rows: ${sheet.rowCount}, max columns: ${sheet.columnCount}`);
+        }
+    }
+
+    /**
+     * Resolve a GridRange to bounds within the sheet's grid
+     * @param {Object} range - GridRange
+     * @returns {{sheet: Object, startRow: number, endRow: number, startColumn: number, endColumn: number}} Bounds
+     */
+    resolveGridRange(range) {
+        const sheet = this.getSheetById(range.sheetId);
+        const bounds = {
+            sheet,
+            startRow: range.startRowIndex || 0,
+            endRow: range.endRowIndex !== undefined ? range.endRowIndex : sheet.rowCount,
+            startColumn: range.startColumnIndex || 0,
+            endColumn: range.endColumnIndex !== undefined ? range.endColumnIndex : sheet.columnCount
+        };
+        this.checkGrid(sheet, bounds.endRow, bounds.endColumn);
+        return bounds;
+    }
+
+    /**
+     * Write values starting at a cell
+     * @param {Object} sheet - The sheet
+     * @param {number} startRow - 0-indexed row
+     * @param {number} startColumn - 0-indexed column
+     * @param {Array<Array<*>>} values - Rows of values
+     * @param {string} valueInputOption - 'RAW' or 'USER_ENTERED'
+     */
+    writeValues(sheet, startRow, startColumn, values, valueInputOption) {
+        values.forEach((row, rowOffset) => {
+            row.forEach((value, columnOffset) => {
+                const cell = this.cell(sheet, startRow + rowOffset, startColumn + columnOffset, true);
+                if (value === null || value === undefined || value === '') {
+                    cell.value = undefined;
+                    return;
+                }
+                if (valueInputOption === 'USER_ENTERED') {
+                    const parsed = parseUserEnteredValue(value);
+                    cell.value = parsed.value;
+                    // Sheets formats recognized dates, unless the cell already has a date format
+                    const numberFormat = cell.format && cell.format.numberFormat;
+                    if (parsed.numberFormat && (!numberFormat || !/DATE|TIME/.test(numberFormat.type))) {
+                        cell.format = { ...(cell.format || {}), numberFormat: parsed.numberFormat };
+                    }
+                } else {
+                    cell.value = typeof value === 'string' ? value : String(value);
+                }
+            });
+        });
+    }
+
+    /**
+     * spreadsheets.get
+     * @param {Object} params - `{ ranges, includeGridData }` (the `fields` mask is ignored, everything is returned)
+     * @returns {Object} Spreadsheet resource
+     */
+    get(params) {
+        const ranges = (params.ranges || []).map(parseA1Range);
+        const sheets = ranges.length > 0
+            ? this.sheets.filter(sheet => ranges.some(range => range.sheetName === sheet.title))
+            : this.sheets;
+
+        return {
+            spreadsheetId: this.id,
+            properties: { title: this.title },
+            sheets: sheets.map(sheet => {
+                const resource = {
+                    properties: this.sheetProperties(sheet),
+                    conditionalFormats: clone(sheet.conditionalFormats)
+                };
+                if (params.includeGridData) {
+                    const sheetRanges = ranges.filter(range => range.sheetName === sheet.title);
+                    resource.data = (sheetRanges.length > 0 ? sheetRanges : [parseA1Range(sheet.title)])
+                        .map(range => this.gridData(sheet, range));
+                }
+                return resource;
+            })
+        };
+    }
+
+    /**
+     * @param {Object} sheet - The sheet
+     * @returns {Object} SheetProperties
+     */
+    sheetProperties(sheet) {
+        return {
+            sheetId: sheet.sheetId,
+            title: sheet.title,
+            index: this.sheets.indexOf(sheet),
+            sheetType: 'GRID',
+            gridProperties: { rowCount: sheet.rowCount, columnCount: sheet.columnCount }
+        };
+    }
+
+    /**
+     * Build the GridData of a range (trailing empty rows are omitted, like the real API)
+     * @param {Object} sheet - The sheet
+     * @param {Object} range - Parsed A1 range
+     * @returns {Object} GridData
+     */
+    gridData(sheet, range) {
+        const endRow = Math.min(range.endRow === null ? sheet.rowCount : range.endRow, sheet.rows.length);
+        const endColumn = range.endColumn === null ? sheet.columnCount : range.endColumn;
+        const rowData = [];
+
+        for (let row = range.startRow; row < endRow; row++) {
+            const values = [];
+            for (let column = range.startColumn; column < endColumn; column++) {
+                const cell = this.cell(sheet, row, column);
+                const cellData = {};
+                if (cell && !isBlankCell(cell)) {
+                    if (toExtendedValue(cell.value)) {
+                        cellData.userEnteredValue = toExtendedValue(cell.value);
+                        cellData.formattedValue = formatCell(cell);
+                    }
+                    if (cell.format) cellData.userEnteredFormat = clone(cell.format);
+                    if (cell.dataValidation) cellData.dataValidation = clone(cell.dataValidation);
+                }
+                values.push(cellData);
+            }
+            rowData.push({ values });
+        }
+
+        while (rowData.length > 0 && rowData[rowData.length - 1].values.every(value => Object.keys(value).length === 0)) {
+            rowData.pop();
+        }
+
+        return { startRow: range.startRow, startColumn: range.startColumn, rowData };
+    }
+
+    /**
+     * spreadsheets.values.get (FORMATTED_VALUE, ROWS): trailing empty cells and rows are omitted
+     * @param {string} a1Range - A1 range
+     * @returns {Object} ValueRange
+     */
+    getValues(a1Range) {
+        const range = parseA1Range(a1Range);
+        const sheet = this.getSheetByTitle(range.sheetName);
+        const endRow = Math.min(range.endRow === null ? sheet.rowCount : range.endRow, sheet.rows.length);
+        const endColumn = range.endColumn === null ? sheet.columnCount : range.endColumn;
+
+        const values = [];
+        for (let row = range.startRow; row < endRow; row++) {
+            const rowValues = [];
+            for (let column = range.startColumn; column < endColumn; column++) {
+                rowValues.push(formatCell(this.cell(sheet, row, column)));
+            }
+            while (rowValues.length > 0 && rowValues[rowValues.length - 1] === '') {
+                rowValues.pop();
+            }
+            values.push(rowValues);
+        }
+        while (values.length > 0 && values[values.length - 1].length === 0) {
+            values.pop();
+        }
+
+        const result = { range: a1Range, majorDimension: 'ROWS' };
+        if (values.length > 0) {
+            result.values = values;
+        }
+        return result;
+    }
+
+    /**
+     * spreadsheets.values.update
+     * @param {Object} params - `{ range, valueInputOption, requestBody: { values } }`
+     * @returns {Object} UpdateValuesResponse
+     */
+    updateValues(params) {
+        return this.atomically(() => this.writeRange(params.range, params.requestBody.values, params.valueInputOption));
+    }
+
+    /**
+     * spreadsheets.values.batchUpdate
+     * @param {Object} params - `{ requestBody: { valueInputOption, data: [{ range, values }] } }`
+     * @returns {Object} BatchUpdateValuesResponse
+     */
+    batchUpdateValues(params) {
+        const { valueInputOption, data } = params.requestBody;
+        return this.atomically(() => {
+            const responses = data.map(({ range, values }) => this.writeRange(range, values, valueInputOption));
+            return {
+                spreadsheetId: this.id,
+                totalUpdatedCells: responses.reduce((total, response) => total + response.updatedCells, 0),
+                responses
+            };
+        });
+    }
+
+    /**
+     * Write values to an A1 range
+     * @param {string} a1Range - A1 range (the top-left cell is where writing starts)
+     * @param {Array<Array<*>>} values - Rows of values
+     * @param {string} valueInputOption - 'RAW' or 'USER_ENTERED'
+     * @returns {Object} UpdateValuesResponse
+     */
+    writeRange(a1Range, values, valueInputOption) {
+        if (!valueInputOption) {
+            throw new SheetsApiError("'valueInputOption' is required but not specified");
+        }
+        const range = parseA1Range(a1Range);
+        const sheet = this.getSheetByTitle(range.sheetName);
+        this.writeValues(sheet, range.startRow, range.startColumn, values || [], valueInputOption);
+
+        return {
+            spreadsheetId: this.id,
+            updatedRange: a1Range,
+            updatedRows: (values || []).length,
+            updatedColumns: Math.max(0, ...(values || []).map(row => row.length)),
+            updatedCells: (values || []).reduce((total, row) => total + row.length, 0)
+        };
+    }
+
+    /**
+     * Run a change on a copy of the sheets and keep it only if it succeeds
+     * @param {function(): *} change - The change
+     * @returns {*} The change's result
+     */
+    atomically(change) {
+        const snapshot = { sheets: clone(this.sheets), nextSheetId: this.nextSheetId };
+        try {
+            return change();
+        } catch (error) {
+            this.sheets = snapshot.sheets;
+            this.nextSheetId = snapshot.nextSheetId;
+            throw error;
+        }
+    }
+
+    /**
+     * spreadsheets.batchUpdate
+     * @param {Object} params - `{ requestBody: { requests } }`
+     * @returns {Object} BatchUpdateSpreadsheetResponse
+     */
+    batchUpdate(params) {
+        const requests = params.requestBody.requests || [];
+        return this.atomically(() => ({
+            spreadsheetId: this.id,
+            replies: requests.map((request, index) => {
+                const [type] = Object.keys(request);
+                const handler = this.requestHandlers()[type];
+                if (!handler) {
+                    throw new SheetsApiError(`Invalid requests[${index}]: unsupported request ${type}`);
+                }
+                return handler(request[type]);
+            })
+        }));
+    }
+
+    /**
+     * @returns {Object<string, function(Object): Object>} batchUpdate request type -> handler returning its reply
+     */
+    requestHandlers() {
+        return {
+            addSheet: ({ properties }) => ({ addSheet: { properties: this.sheetProperties(this.createSheet(properties || {})) } }),
+            duplicateSheet: request => this.duplicateSheet(request),
+            insertDimension: ({ range, inheritFromBefore }) => this.insertDimension(range, inheritFromBefore),
+            deleteDimension: ({ range }) => this.deleteDimension(range),
+            appendDimension: ({ sheetId, dimension, length }) => {
+                const sheet = this.getSheetById(sheetId);
+                if (dimension === 'COLUMNS') sheet.columnCount += length;
+                else sheet.rowCount += length;
+                return {};
+            },
+            updateCells: request => this.updateCells(request),
+            repeatCell: ({ range, cell, fields }) => {
+                const bounds = this.resolveGridRange(range);
+                this.forEachCell(bounds, (row, column) => applyCellData(this.cell(bounds.sheet, row, column, true), cell || {}, fields));
+                return {};
+            },
+            setDataValidation: ({ range, rule }) => {
+                const bounds = this.resolveGridRange(range);
+                this.forEachCell(bounds, (row, column) => {
+                    this.cell(bounds.sheet, row, column, true).dataValidation = clone(rule);
+                });
+                return {};
+            },
+            addConditionalFormatRule: ({ rule, index }) => {
+                const sheet = this.getSheetById(rule.ranges[0].sheetId);
+                sheet.conditionalFormats.splice(index || 0, 0, clone(rule));
+                return {};
+            },
+            deleteConditionalFormatRule: ({ sheetId, index }) => {
+                const sheet = this.getSheetById(sheetId);
+                if (index >= sheet.conditionalFormats.length) {
+                    throw new SheetsApiError(`No conditional format on sheet ${sheetId} at index ${index}`);
+                }
+                const [rule] = sheet.conditionalFormats.splice(index, 1);
+                return { deleteConditionalFormatRule: { rule } };
+            },
+            copyPaste: request => this.copyPaste(request)
+        };
+    }
+
+    /**
+     * Call a function for every cell of a resolved range
+     * @param {Object} bounds - Result of resolveGridRange
+     * @param {function(number, number)} callback - Called with (row, column)
+     */
+    forEachCell(bounds, callback) {
+        for (let row = bounds.startRow; row < bounds.endRow; row++) {
+            for (let column = bounds.startColumn; column < bounds.endColumn; column++) {
+                callback(row, column);
+            }
+        }
+    }
+
+    /**
+     * duplicateSheet: copy a tab with its cells and conditional formats
+     * @param {Object} request - DuplicateSheetRequest
+     * @returns {Object} Reply
+     */
+    duplicateSheet({ sourceSheetId, insertSheetIndex, newSheetId, newSheetName }) {
+        const source = this.getSheetById(sourceSheetId);
+        const sheet = this.createSheet({
+            title: newSheetName || `Copy of ${source.title}`,
+            sheetId: newSheetId,
+            index: insertSheetIndex,
+            gridProperties: { rowCount: source.rowCount, columnCount: source.columnCount }
+        });
+        sheet.rows = clone(source.rows);
+        sheet.conditionalFormats = clone(source.conditionalFormats).map(rule => ({
+            ...rule,
+            ranges: rule.ranges.map(range => ({ ...range, sheetId: sheet.sheetId }))
+        }));
+        return { duplicateSheet: { properties: this.sheetProperties(sheet) } };
+    }
+
+    /**
+     * insertDimension: new rows/columns take the format and validation of their neighbour
+     * @param {Object} range - DimensionRange
+     * @param {boolean} inheritFromBefore - Inherit from the row/column before instead of after
+     * @returns {Object} Reply
+     */
+    insertDimension(range, inheritFromBefore) {
+        const sheet = this.getSheetById(range.sheetId);
+        const count = range.endIndex - range.startIndex;
+        const neighbourIndex = inheritFromBefore ? range.startIndex - 1 : range.startIndex;
+        const inherit = cell => cell && (cell.format || cell.dataValidation)
+            ? { format: clone(cell.format), dataValidation: clone(cell.dataValidation) }
+            : undefined;
+
+        if (range.dimension === 'COLUMNS') {
+            if (range.startIndex > sheet.columnCount) throw new SheetsApiError('Insert range exceeds grid limits');
+            sheet.rows.forEach(row => {
+                if (!row) return;
+                const neighbour = row[neighbourIndex];
+                row.splice(range.startIndex, 0, ...Array.from({ length: count }, () => inherit(neighbour)));
+            });
+            sheet.columnCount += count;
+        } else {
+            if (range.startIndex > sheet.rowCount) throw new SheetsApiError('Insert range exceeds grid limits');
+            const neighbour = sheet.rows[neighbourIndex] || [];
+            while (sheet.rows.length < range.startIndex) sheet.rows.push(undefined);
+            sheet.rows.splice(range.startIndex, 0, ...Array.from({ length: count }, () => neighbour.map(inherit)));
+            sheet.rowCount += count;
+        }
+
+        this.shiftConditionalFormats(sheet, range.dimension, range.startIndex, count);
+        return {};
+    }
+
+    /**
+     * deleteDimension
+     * @param {Object} range - DimensionRange
+     * @returns {Object} Reply
+     */
+    deleteDimension(range) {
+        const sheet = this.getSheetById(range.sheetId);
+        const count = range.endIndex - range.startIndex;
+        const size = range.dimension === 'COLUMNS' ? sheet.columnCount : sheet.rowCount;
+        if (range.endIndex > size) {
+            throw new SheetsApiError('Delete range exceeds grid limits');
+        }
+        if (count >= size) {
+            throw new SheetsApiError("You can't delete all the rows on the sheet.");
+        }
+
+        if (range.dimension === 'COLUMNS') {
+            sheet.rows.forEach(row => row && row.splice(range.startIndex, count));
+            sheet.columnCount -= count;
+        } else {
+            sheet.rows.splice(range.startIndex, count);
+            sheet.rowCount -= count;
+        }
+
+        this.shiftConditionalFormats(sheet, range.dimension, range.startIndex, -count);
+        return {};
+    }
+
+    /**
+     * Move conditional format ranges when rows/columns are inserted (count > 0) or deleted (count < 0)
+     * @param {Object} sheet - The sheet
+     * @param {string} dimension - 'ROWS' or 'COLUMNS'
+     * @param {number} index - Where rows/columns were inserted or deleted
+     * @param {number} count - Number inserted (positive) or deleted (negative)
+     */
+    shiftConditionalFormats(sheet, dimension, index, count) {
+        const [startKey, endKey] = dimension === 'COLUMNS'
+            ? ['startColumnIndex', 'endColumnIndex']
+            : ['startRowIndex', 'endRowIndex'];
+        const shift = value => {
+            if (value === undefined || value < index) return value;
+            return count > 0 ? value + count : Math.max(index, value + count);
+        };
+
+        sheet.conditionalFormats.forEach(rule => rule.ranges.forEach(range => {
+            range[startKey] = shift(range[startKey]);
+            if (range[endKey] !== undefined && range[endKey] > index) {
+                range[endKey] = count > 0 ? range[endKey] + count : Math.max(index, range[endKey] + count);
+            }
+        }));
+    }
+
+    /**
+     * updateCells, addressed with `start` (only the given cells) or `range` (cells outside `rows` are cleared)
+     * @param {Object} request - UpdateCellsRequest
+     * @returns {Object} Reply
+     */
+    updateCells({ rows, fields, start, range }) {
+        if (!fields) {
+            throw new SheetsApiError("'fields' is required in updateCells");
+        }
+
+        if (start) {
+            const sheet = this.getSheetById(start.sheetId);
+            (rows || []).forEach((rowData, rowOffset) => {
+                (rowData.values || []).forEach((cellData, columnOffset) => {
+                    const cell = this.cell(sheet, (start.rowIndex || 0) + rowOffset, (start.columnIndex || 0) + columnOffset, true);
+                    applyCellData(cell, cellData, fields);
+                });
+            });
+            return {};
+        }
+
+        const bounds = this.resolveGridRange(range);
+        this.forEachCell(bounds, (row, column) => {
+            const rowData = (rows || [])[row - bounds.startRow];
+            const cellData = (rowData && rowData.values && rowData.values[column - bounds.startColumn]) || {};
+            applyCellData(this.cell(bounds.sheet, row, column, true), cellData, fields);
+        });
+        return {};
+    }
+
+    /**
+     * copyPaste: the source is tiled over the destination
+     * @param {Object} request - CopyPasteRequest
+     * @returns {Object} Reply
+     */
+    copyPaste({ source, destination, pasteType = 'PASTE_NORMAL' }) {
+        const from = this.resolveGridRange(source);
+        const to = this.resolveGridRange(destination);
+        const height = from.endRow - from.startRow;
+        const width = from.endColumn - from.startColumn;
+
+        // Read the source first, the ranges may overlap
+        const copied = [];
+        this.forEachCell(from, (row, column) => {
+            copied.push({ row: row - from.startRow, column: column - from.startColumn, cell: clone(this.cell(from.sheet, row, column)) || {} });
+        });
+        const sourceCell = (row, column) => copied.find(c => c.row === row && c.column === column).cell;
+
+        const endRow = Math.max(to.endRow, to.startRow + height);
+        const endColumn = Math.max(to.endColumn, to.startColumn + width);
+        this.forEachCell({ ...to, endRow, endColumn }, (row, column) => {
+            const cell = sourceCell((row - to.startRow) % height, (column - to.startColumn) % width);
+            const target = this.cell(to.sheet, row, column, true);
+
+            if (pasteType === 'PASTE_NORMAL' || pasteType === 'PASTE_VALUES') {
+                target.value = cell.value;
+            }
+            if (pasteType === 'PASTE_NORMAL' || pasteType === 'PASTE_FORMAT') {
+                target.format = clone(cell.format);
+            }
+            if (pasteType === 'PASTE_DATA_VALIDATION') {
+                target.dataValidation = clone(cell.dataValidation);
+            }
+        });
+        return {};
+    }
+}
+
+/**
+ * Shared in-memory spreadsheet used by getGoogleClient when GOOGLE_SHEETS_IN_MEMORY=true
+ */
+let localSpreadsheet = null;
+
+/**
+ * Get the process-wide in-memory spreadsheet, created empty on first use
+ * @param {string} id - Spreadsheet ID the jobs are configured with
+ * @returns {InMemorySpreadsheet} The spreadsheet
+ */
+function getLocalSpreadsheet(id) {
+    if (!localSpreadsheet) {
+        localSpreadsheet = new InMemorySpreadsheet({ id });
+    }
+    return localSpreadsheet;
+}
+
+module.exports = { InMemorySpreadsheet, SheetsApiError, parseA1Range, parseUserEnteredValue, getLocalSpreadsheet };
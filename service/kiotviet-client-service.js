@@ -0,0 +1,208 @@
+const axios = require('axios');
+const { getKiotVietAccessToken, withKiotVietToken } = require('./get-access-token');
+const { log, logError } = require('./log-service');
+
+const DEFAULT_BASE_URL = 'https://public.kiotapi.com';
+
+// Network errors worth retrying (timeouts and dropped connections)
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ERR_NETWORK'];
+
+/**
+ * KiotVietClient Class
+ *
+ * Single entry point for the KiotViet public API. Centralizes the Retailer/Authorization headers,
+ * pagination, request timeouts, exponential backoff on 429/5xx and structured error logging.
+ * New endpoints only need a one-line method calling `getAll` or `get`.
+ */
+class KiotVietClient {
+    /**
+     * Create a new client
+     *
+     * @param {Object} config - Configuration (retailer and the `kiotviet` client settings)
+     * @param {Object} options - Optional dependencies for testing/DI
+     */
+    constructor(config, options = {}) {
+        this.config = config;
+        const clientConfig = config.kiotviet || {};
+        this.baseUrl = clientConfig.baseUrl || DEFAULT_BASE_URL;
+        this.timeout = clientConfig.timeout || 30000;
+        this.maxRetries = clientConfig.maxRetries !== undefined ? clientConfig.maxRetries : 3;
+        this.retryDelay = clientConfig.retryDelay || 1000;
+        this.maxPages = clientConfig.maxPages || 100;
+
+        // Set up dependencies with support for dependency injection
+        this.axios = options.axios || axios;
+        this.getKiotVietAccessToken = options.getKiotVietAccessToken || getKiotVietAccessToken;
+        this.log = options.log || log;
+        this.logError = options.logError || logError;
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    }
+
+    /**
+     * GET a KiotViet endpoint, retrying with exponential backoff on 429, 5xx and network timeouts
+     *
+     * @param {string} path - Endpoint path (e.g. '/invoices')
+     * @param {Object} params - Query parameters
+     * @returns {Promise<Object>} Response body
+     */
+    async get(path, params = {}) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const response = await withKiotVietToken(accessToken => this.axios.get(`${this.baseUrl}${path}`, {
+                    headers: {
+                        'Retailer': this.config.retailer,
+                        'Authorization': `Bearer ${accessToken}`
+                    },
+                    params: params,
+                    timeout: this.timeout
+                }), this.getKiotVietAccessToken, { log: this.log, logError: this.logError });
+
+                return response.data;
+            } catch (error) {
+                const status = error.response ? error.response.status : null;
+                const retryable = status === 429 || status >= 500 || RETRYABLE_ERROR_CODES.includes(error.code);
+
+                this.logError(`KiotViet GET ${path} failed (attempt ${attempt}/${this.maxRetries + 1}, `
+                    + `status: ${status || error.code || 'n/a'}, params: ${JSON.stringify(params)}): ${error.message}`);
+                if (error.response && error.response.data) {
+                    this.logError(`Response data: ${JSON.stringify(error.response.data)}`);
+                }
+
+                if (!retryable || attempt > this.maxRetries) {
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(error, attempt);
+                this.log(`Retrying KiotViet GET ${path} in ${delay}ms...`);
+                await this.sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Work out how long to wait before the next attempt
+     *
+     * @param {Error} error - The failed request's error
+     * @param {number} attempt - Attempt that just failed (1-based)
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(error, attempt) {
+        // Honour Retry-After (seconds) on 429 when the API sends it
+        const retryAfter = error.response && error.response.headers && error.response.headers['retry-after'];
+        if (retryAfter && !isNaN(parseInt(retryAfter, 10))) {
+            return parseInt(retryAfter, 10) * 1000;
+        }
+        return this.retryDelay * Math.pow(2, attempt - 1);
+    }
+
+    /**
+     * GET every page of a list endpoint by walking `currentItem` until `total` is exhausted
+     *
+     * @param {string} path - Endpoint path (e.g. '/invoices')
+     * @param {Object} params - Query parameters (filters and ordering) sent with every page
+     * @param {Object} options - `{ pageSize, maxPages }` (maxPages is a safety cap)
+     * @returns {Promise<Array>} Items from all pages
+     */
+    async getAll(path, params = {}, options = {}) {
+        const pageSize = options.pageSize || 100;
+        const maxPages = options.maxPages || this.maxPages;
+        const items = [];
+        let currentItem = 0;
+        let total = 0;
+        let pages = 0;
+
+        while (pages < maxPages) {
+            const body = await this.get(path, { ...params, pageSize: pageSize, currentItem: currentItem });
+
+            const pageData = body.data || [];
+            total = body.total || 0;
+            pages++;
+            items.push(...pageData);
+            currentItem += pageData.length;
+
+            // Stop when the page is empty or every item has been read
+            if (pageData.length === 0 || currentItem >= total) {
+                break;
+            }
+        }
+
+        if (currentItem < total) {
+            this.logError(`KiotViet ${path} page limit (${maxPages}) reached: fetched ${items.length} of ${total} items`);
+        }
+
+        this.log(`Fetched ${items.length} items from ${path} in ${pages} page(s) (total reported: ${total})`);
+        return items;
+    }
+
+    /**
+     * @param {Object} params - Query parameters
+     * @param {Object} options - Pagination options
+     * @returns {Promise<Array>} All matching customers
+     */
+    async getCustomers(params = {}, options = {}) {
+        return this.getAll('/customers', params, options);
+    }
+
+    /**
+     * @param {number} id - KiotViet customer ID
+     * @returns {Promise<Object>} The customer
+     */
+    async getCustomer(id) {
+        return this.get(`/customers/${id}`);
+    }
+
+    /**
+     * @param {Object} params - Query parameters
+     * @param {Object} options - Pagination options
+     * @returns {Promise<Array>} All matching products
+     */
+    async getProducts(params = {}, options = {}) {
+        return this.getAll('/products', params, options);
+    }
+
+    /**
+     * @param {Object} params - Query parameters
+     * @param {Object} options - Pagination options
+     * @returns {Promise<Array>} All matching invoices
+     */
+    async getInvoices(params = {}, options = {}) {
+        return this.getAll('/invoices', params, options);
+    }
+
+    /**
+     * @param {string} code - Invoice code (e.g. 'HD000123')
+     * @returns {Promise<Object>} The invoice
+     */
+    async getInvoiceByCode(code) {
+        return this.get(`/invoices/code/${encodeURIComponent(code)}`);
+    }
+
+    /**
+     * @param {Object} params - Query parameters
+     * @param {Object} options - Pagination options
+     * @returns {Promise<Array>} All matching orders
+     */
+    async getOrders(params = {}, options = {}) {
+        return this.getAll('/orders', params, options);
+    }
+
+    /**
+     * @param {Object} params - Query parameters
+     * @param {Object} options - Pagination options
+     * @returns {Promise<Array>} All product categories
+     */
+    async getCategories(params = {}, options = {}) {
+        return this.getAll('/categories', params, options);
+    }
+
+    /**
+     * @param {Object} params - Query parameters
+     * @param {Object} options - Pagination options
+     * @returns {Promise<Array>} All branches
+     */
+    async getBranches(params = {}, options = {}) {
+        return this.getAll('/branches', params, options);
+    }
+}
+
+module.exports = KiotVietClient;
@@ -1,6 +1,8 @@
 // logService.js - Centralized logging module
 const fs = require('fs');
 const path = require('path');
+const config = require('../config');
+const { clock } = require('./clock-service');
 
 // Use logs directory in the root folder
 const logsDir = path.join(process.cwd(), 'logs');
@@ -9,7 +11,7 @@ if (!fs.existsSync(logsDir)) {
 }
 // Log file path - one file per day
 function getLogFilePath() {
-    const date = new Date();
+    const date = clock.now();
     const year = date.getFullYear();
     const month = String(date.getMonth() + 1).padStart(2, '0');
     const day = String(date.getDate()).padStart(2, '0');
@@ -18,8 +20,8 @@ function getLogFilePath() {
 
 // Log message to both console and file
 function logService(message) {
-    // Get timestamp in Vietnamese timezone
-    const now = new Date().toLocaleString('vi-VN', { timeZone: 'Asia/Ho_Chi_Minh' });
+    // Get timestamp in the configured timezone
+    const now = new Date().toLocaleString('vi-VN', { timeZone: config.timezone });
     const logMessage = `[${now}] ${message}`;
 
     // Log to console
@@ -35,8 +37,8 @@ function logService(message) {
 
 // Replacement for console.error that also logs to file
 function logError(message) {
-    // Get timestamp in Vietnamese timezone
-    const now = new Date().toLocaleString('vi-VN', { timeZone: 'Asia/Ho_Chi_Minh' });
+    // Get timestamp in the configured timezone
+    const now = new Date().toLocaleString('vi-VN', { timeZone: config.timezone });
     const logMessage = `[${now}] ERROR: ${message}`;
 
     // Log to console with error formatting
@@ -0,0 +1,154 @@
+const axios = require('axios');
+const { log } = require('./log-service');
+
+/**
+ * Customer reminder channels
+ *
+ * Every channel has `name` and `send({ phone, message, params, trackingId })`, which resolves to
+ * `{ status, messageId }` or throws when the message could not be sent. `phone` is a Vietnamese number
+ * in national format (0xxxxxxxxx), `params` the values the message was rendered from.
+ */
+
+/**
+ * Normalize a Vietnamese phone number to national format
+ * @param {string} phone - Number as stored in KiotViet ("090 123 4567", "+84901234567", ...)
+ * @returns {string|null} 0xxxxxxxxx, or null if it is not a valid mobile number
+ */
+function normalizePhone(phone) {
+    let digits = String(phone || '').replace(/\D/g, '');
+    if (digits.startsWith('84') && digits.length === 11) {
+        digits = `0${digits.slice(2)}`;
+    }
+    return /^0\d{9}$/.test(digits) ? digits : null;
+}
+
+/**
+ * Fill in a message template
+ * @param {string} template - Text with {name} placeholders
+ * @param {Object<string, string>} params - Placeholder values
+ * @returns {string} The message; unknown placeholders are left empty
+ */
+function renderTemplate(template, params) {
+    return template.replace(/\{(\w+)\}/g, (_, name) => (params[name] === undefined || params[name] === null ? '' : String(params[name])));
+}
+
+/**
+ * Writes reminders to the log instead of sending them
+ */
+class LogChannel {
+    /**
+     * @param {Object} options - Optional dependencies for testing/DI
+     */
+    constructor(options = {}) {
+        this.name = 'log';
+        this.log = options.log || log;
+    }
+
+    /**
+     * @param {{phone: string, message: string}} reminder - Reminder to send
+     * @returns {Promise<{status: string, messageId: null}>} Always logged
+     */
+    async send(reminder) {
+        this.log(`[reminder] to ${reminder.phone}: ${reminder.message}`);
+        return { status: 'logged', messageId: null };
+    }
+}
+
+/**
+ * Sends reminders as Zalo ZNS template messages
+ */
+class ZaloZnsChannel {
+    /**
+     * @param {Object} channelConfig - `config.reminders.zalo` with the template ID resolved
+     * @param {Object} options - Optional dependencies for testing/DI
+     */
+    constructor(channelConfig, options = {}) {
+        if (!channelConfig.accessToken || !channelConfig.templateId) {
+            throw new Error('Zalo ZNS reminders need ZALO_ACCESS_TOKEN and a template ID');
+        }
+        this.name = 'zalo';
+        this.config = channelConfig;
+        this.axios = options.axios || axios;
+    }
+
+    /**
+     * @param {{phone: string, params: Object, trackingId: string}} reminder - Reminder to send
+     * @returns {Promise<{status: string, messageId: string}>} Zalo message ID
+     */
+    async send(reminder) {
+        const response = await this.axios.post(this.config.url, {
+            // ZNS expects the international format without "+"
+            phone: `84${reminder.phone.slice(1)}`,
+            template_id: this.config.templateId,
+            template_data: reminder.params,
+            tracking_id: reminder.trackingId
+        }, {
+            headers: { 'access_token': this.config.accessToken, 'Content-Type': 'application/json' }
+        });
+
+        // Zalo answers 200 with a non-zero error code when the message is rejected
+        const { error, message, data } = response.data;
+        if (error !== 0) {
+            throw new Error(`Zalo ZNS error ${error}: ${message}`);
+        }
+        return { status: 'sent', messageId: data && data.msg_id };
+    }
+}
+
+/**
+ * Sends reminders as SMS through an HTTP gateway (POST { to, message, sender } with a bearer API key)
+ */
+class SmsChannel {
+    /**
+     * @param {Object} channelConfig - `config.reminders.sms`
+     * @param {Object} options - Optional dependencies for testing/DI
+     */
+    constructor(channelConfig, options = {}) {
+        if (!channelConfig.url || !channelConfig.apiKey) {
+            throw new Error('SMS reminders need SMS_API_URL and SMS_API_KEY');
+        }
+        this.name = 'sms';
+        this.config = channelConfig;
+        this.axios = options.axios || axios;
+    }
+
+    /**
+     * @param {{phone: string, message: string}} reminder - Reminder to send
+     * @returns {Promise<{status: string, messageId: string|null}>} Gateway message ID, if it returns one
+     */
+    async send(reminder) {
+        const response = await this.axios.post(this.config.url, {
+            to: reminder.phone,
+            message: reminder.message,
+            sender: this.config.sender
+        }, {
+            headers: { 'Authorization': `Bearer ${this.config.apiKey}` }
+        });
+        return { status: 'sent', messageId: (response.data && response.data.id) || null };
+    }
+}
+
+/**
+ * Create the configured reminder channel
+ * @param {Object} remindersConfig - `config.reminders`
+ * @param {Object} setting - Metadata of the "zalo" setting (supplies the default ZNS template ID)
+ * @param {Object} options - Optional dependencies for testing/DI, passed to the channel
+ * @returns {LogChannel|ZaloZnsChannel|SmsChannel} The channel
+ */
+function createReminderChannel(remindersConfig, setting = {}, options = {}) {
+    switch (remindersConfig.channel) {
+        case 'zalo':
+            return new ZaloZnsChannel({
+                ...remindersConfig.zalo,
+                templateId: remindersConfig.zalo.templateId || (setting.templateId || [])[0]
+            }, options);
+        case 'sms':
+            return new SmsChannel(remindersConfig.sms, options);
+        case 'log':
+            return new LogChannel(options);
+        default:
+            throw new Error(`Unknown reminder channel "${remindersConfig.channel}", expected "zalo", "sms" or "log"`);
+    }
+}
+
+module.exports = { LogChannel, ZaloZnsChannel, SmsChannel, createReminderChannel, normalizePhone, renderTemplate };
@@ -0,0 +1,165 @@
+/**
+ * Return date ("Hẹn trả") parsing shared by the work migration and the daily reports
+ *
+ * Understands what cashiers type and what the sheet shows:
+ *   "7/3", "07/03/2026", "7-3-26", "tối 7/3", "7/3 17h30", "chiều mai", "hôm nay", "07/03/2026 19:00"
+ *
+ * Dates are day/month (Vietnamese order). When the year is missing it is resolved relative to a
+ * reference date (the purchase date), so "5/1" typed in December means January of the next year.
+ */
+
+// Default hour for time-of-day words when no explicit time is given
+const TIME_OF_DAY_HOURS = {
+    'sáng': 9,
+    'trưa': 12,
+    'chiều': 15,
+    'tối': 19
+};
+
+// A date without a year that falls further than this before the reference date belongs to the next year
+const YEAR_ROLLOVER_DAYS = 30;
+
+const DATE_PATTERN = /(\d{1,2})\s*[/.-]\s*(\d{1,2})(?:\s*[/.-]\s*(\d{4}|\d{2}))?/;
+const TIME_PATTERN = /(\d{1,2})\s*(?:h|g|giờ|:)\s*(\d{1,2})?/i;
+const TIME_OF_DAY_PATTERN = /(?:^|\s)(sáng|trưa|chiều|tối)(?=\s|$)/i;
+
+// Relative day words, checked in order ("ngày mai" before "mai")
+const RELATIVE_DAYS = [
+    { pattern: /(?:^|\s)hôm nay(?=\s|$)/i, offset: 0 },
+    { pattern: /(?:^|\s)(?:ngày kia|mốt)(?=\s|$)/i, offset: 2 },
+    { pattern: /(?:^|\s)(?:ngày mai|mai)(?=\s|$)/i, offset: 1 }
+];
+
+/**
+ * Strip the time from a date
+ * @param {Date} date - The date
+ * @returns {Date} A new date at 00:00 of the same day
+ */
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Resolve the hour and minute from an explicit time ("17h30", "17:30") and/or a time-of-day word
+ * @param {string} text - Text without the date part
+ * @returns {{hours: number, minutes: number}|null} Time, or null if the text has no time
+ */
+function parseTime(text) {
+    const timeOfDayMatch = text.match(TIME_OF_DAY_PATTERN);
+    const timeOfDay = timeOfDayMatch ? timeOfDayMatch[1].toLowerCase() : null;
+    const timeMatch = text.match(TIME_PATTERN);
+
+    if (timeMatch) {
+        let hours = parseInt(timeMatch[1], 10);
+        const minutes = timeMatch[2] ? parseInt(timeMatch[2], 10) : 0;
+        // "7h tối" / "3h chiều" mean 19:00 / 15:00
+        if (hours < 12 && (timeOfDay === 'chiều' || timeOfDay === 'tối')) {
+            hours += 12;
+        }
+        if (hours > 23 || minutes > 59) {
+            return null;
+        }
+        return { hours, minutes };
+    }
+
+    if (timeOfDay) {
+        return { hours: TIME_OF_DAY_HOURS[timeOfDay], minutes: 0 };
+    }
+
+    return null;
+}
+
+/**
+ * Parse a return date text
+ * @param {string} text - Return date as typed ("tối 7/3") or as shown in the sheet ("07/03/2026 19:00")
+ * @param {Date} referenceDate - Date the text is relative to (purchase date), defaults to now
+ * @returns {{date: Date, hasTime: boolean}|null} The resolved date, or null if no date could be found
+ */
+function parseReturnDate(text, referenceDate = new Date()) {
+    if (!text || typeof text !== 'string' || text.trim() === '' || text.trim() === '0') {
+        return null;
+    }
+
+    const value = text.trim();
+    const reference = referenceDate instanceof Date && !isNaN(referenceDate.getTime()) ? referenceDate : new Date();
+    let date = null;
+    let rest = value;
+
+    const dateMatch = value.match(DATE_PATTERN);
+    if (dateMatch) {
+        const day = parseInt(dateMatch[1], 10);
+        const month = parseInt(dateMatch[2], 10);
+        let year = dateMatch[3] ? parseInt(dateMatch[3], 10) : null;
+        if (year !== null && year < 100) {
+            year += 2000;
+        }
+
+        if (month < 1 || month > 12 || day < 1 || day > 31) {
+            return null;
+        }
+
+        if (year === null) {
+            year = reference.getFullYear();
+            const candidate = new Date(year, month - 1, day);
+            const rolloverLimit = startOfDay(reference);
+            rolloverLimit.setDate(rolloverLimit.getDate() - YEAR_ROLLOVER_DAYS);
+            if (candidate < rolloverLimit) {
+                year += 1;
+            }
+        }
+
+        date = new Date(year, month - 1, day);
+        // Reject overflowing dates such as 31/2
+        if (date.getDate() !== day) {
+            return null;
+        }
+        rest = value.replace(dateMatch[0], ' ');
+    } else {
+        const relative = RELATIVE_DAYS.find(({ pattern }) => pattern.test(value));
+        if (!relative) {
+            return null;
+        }
+        date = startOfDay(reference);
+        date.setDate(date.getDate() + relative.offset);
+        rest = value.replace(relative.pattern, ' ');
+    }
+
+    const time = parseTime(rest);
+    if (time) {
+        date.setHours(time.hours, time.minutes, 0, 0);
+    }
+
+    return { date, hasTime: Boolean(time) };
+}
+
+/**
+ * Format a parsed return date for writing to Google Sheets (USER_ENTERED expects MM/dd/yyyy)
+ * @param {{date: Date, hasTime: boolean}} returnDate - Parsed return date
+ * @returns {string} MM/dd/yyyy, or MM/dd/yyyy HH:mm when a time is known
+ */
+function formatReturnDate(returnDate) {
+    const { date, hasTime } = returnDate;
+    const day = String(date.getDate()).padStart(2, '0');
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const formatted = `${month}/${day}/${date.getFullYear()}`;
+
+    if (!hasTime) {
+        return formatted;
+    }
+
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    return `${formatted} ${hours}:${minutes}`;
+}
+
+/**
+ * Compare the calendar day of two dates
+ * @param {Date} a - First date
+ * @param {Date} b - Second date
+ * @returns {number} Negative if a is on an earlier day than b, 0 on the same day, positive if later
+ */
+function compareDays(a, b) {
+    return startOfDay(a).getTime() - startOfDay(b).getTime();
+}
+
+module.exports = { parseReturnDate, formatReturnDate, compareDays };
@@ -0,0 +1,40 @@
+const seedSettings = require('../mock-data/setting.json');
+const { dbService } = require('./dbConnection-service');
+
+/**
+ * Read an application setting by type (e.g. 'zalo')
+ *
+ * Settings live in the `settings` table, seeded from mock-data/setting.json by the data migration.
+ * Without a database (POSTGRES_HOST not set) the seed itself is used, so the Google Sheets jobs keep
+ * running without one.
+ *
+ * @param {string} type - Setting type
+ * @returns {Promise<Object|null>} The setting's metadata, or null if there is no such setting
+ */
+async function getSetting(type) {
+    if (process.env.POSTGRES_HOST) {
+        // Close a pool opened only for this read, so a job like the reminders does not keep the process
+        // alive until the idle connections time out
+        const ownsPool = !dbService.pool;
+        if (ownsPool) {
+            await dbService.connect();
+        }
+        let rows;
+        try {
+            rows = await dbService.get('SELECT metadata FROM settings WHERE type = $1 LIMIT 1', [type]);
+        } finally {
+            if (ownsPool) {
+                await dbService.close();
+            }
+        }
+        if (rows.length > 0) {
+            const { metadata } = rows[0];
+            return typeof metadata === 'string' ? JSON.parse(metadata) : metadata;
+        }
+    }
+
+    const seed = seedSettings.find(setting => setting.type === type);
+    return seed ? seed.metadata : null;
+}
+
+module.exports = { getSetting };
@@ -0,0 +1,205 @@
+/**
+ * Work sheet column layout
+ *
+ * `config.spreadsheet.columns` maps logical fields (status, dueDate, ...) to header names. The actual
+ * column of each field is resolved from the sheet's header row at runtime, so staff can reorder columns
+ * or insert their own without breaking the migration and the reports.
+ */
+
+/**
+ * Convert a 0-indexed column to its A1 letter (0 -> A, 11 -> L, 26 -> AA)
+ * @param {number} columnIndex - 0-indexed column
+ * @returns {string} Column letter(s)
+ */
+function columnToLetter(columnIndex) {
+    let letter = '';
+    for (let n = columnIndex + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + (n - 1) % 26) + letter;
+    }
+    return letter;
+}
+
+/**
+ * Normalize a header for comparison (Vietnamese accents typed on different keyboards, stray spaces, case)
+ * @param {string} header - Header cell value
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(header) {
+    return String(header || '').normalize('NFC').trim().toLowerCase();
+}
+
+class SheetLayout {
+    /**
+     * Resolve the column of every schema field from a header row
+     * @param {Object<string, string>} columns - Schema: logical field -> header name
+     * @param {Array<string>} headerRow - Row 1 of the sheet
+     */
+    constructor(columns, headerRow = []) {
+        this.columns = columns;
+        this.headerRow = headerRow;
+        this.indexes = {};
+        this.missingFields = [];
+
+        const normalizedHeaders = headerRow.map(normalizeHeader);
+        Object.entries(columns).forEach(([field, header]) => {
+            const index = normalizedHeaders.indexOf(normalizeHeader(header));
+            if (index === -1) {
+                this.missingFields.push(field);
+            } else {
+                this.indexes[field] = index;
+            }
+        });
+    }
+
+    /**
+     * Number of columns a full row spans (the header row, or the furthest schema column)
+     * @returns {number} Row width
+     */
+    get width() {
+        return Math.max(this.headerRow.length, ...Object.values(this.indexes).map(index => index + 1));
+    }
+
+    /**
+     * @param {string} field - Logical field
+     * @returns {boolean} True if the sheet has a column for the field
+     */
+    has(field) {
+        return field in this.indexes;
+    }
+
+    /**
+     * @param {string} field - Logical field
+     * @returns {number} 0-indexed column of the field
+     */
+    index(field) {
+        if (!this.has(field)) {
+            throw new Error(`Column "${this.columns[field] || field}" not found in the sheet header row`);
+        }
+        return this.indexes[field];
+    }
+
+    /**
+     * @param {string} field - Logical field
+     * @returns {string} A1 column letter of the field
+     */
+    letter(field) {
+        return columnToLetter(this.index(field));
+    }
+
+    /**
+     * @param {number} columnIndex - 0-indexed column
+     * @returns {string|null} Logical field shown in the column, or null for a column outside the schema
+     */
+    fieldAt(columnIndex) {
+        const entry = Object.entries(this.indexes).find(([, index]) => index === columnIndex);
+        return entry ? entry[0] : null;
+    }
+
+    /**
+     * Read a field from a sheet row
+     * @param {Array<string>} row - Row values as returned by values.get (trailing empty cells are omitted)
+     * @param {string} field - Logical field
+     * @returns {string} Cell value, or an empty string
+     */
+    get(row, field) {
+        const value = row[this.index(field)];
+        return value === undefined || value === null ? '' : value;
+    }
+
+    /**
+     * Build a sheet row from field values, leaving columns outside the schema empty
+     * @param {Object<string, string>} values - Logical field -> cell value
+     * @returns {Array<string>} Row in sheet column order
+     */
+    toRow(values) {
+        const row = new Array(this.width).fill('');
+        Object.entries(values).forEach(([field, value]) => {
+            row[this.index(field)] = value;
+        });
+        return row;
+    }
+}
+
+/**
+ * Compare a sheet's header row with the schema
+ *
+ * Reordered columns and extra (non-schema) columns are fine. A missing schema header is:
+ * - renamed, when the column right after its configured predecessor holds a header the schema does not
+ *   know - the data is probably there under another name, so appending a new column would be wrong
+ * - missing otherwise, and can safely be appended at the end of the header row
+ * A schema header that appears more than once is ambiguous.
+ *
+ * @param {Object<string, string>} columns - Schema: logical field -> header name
+ * @param {Array<string>} headerRow - Row 1 of the sheet
+ * @returns {{compatible: boolean, missing: Array<Object>, renamed: Array<Object>, duplicates: Array<Object>,
+ *   unknown: Array<string>}} Header issues; `compatible` is false when the sheet must not be written to
+ */
+function compareHeaders(columns, headerRow = []) {
+    const normalizedHeaders = headerRow.map(normalizeHeader);
+    const schemaHeaders = Object.values(columns).map(normalizeHeader);
+    const fields = Object.keys(columns);
+
+    const missing = [];
+    const renamed = [];
+    const duplicates = [];
+
+    fields.forEach((field, position) => {
+        const header = normalizeHeader(columns[field]);
+        const indexes = normalizedHeaders.reduce((found, value, index) => value === header ? [...found, index] : found, []);
+
+        if (indexes.length > 1) {
+            duplicates.push({ field, header: columns[field], columns: indexes.map(columnToLetter) });
+            return;
+        }
+        if (indexes.length === 1) {
+            return;
+        }
+
+        // Where the column would be: right after the closest configured predecessor found in the sheet
+        const predecessor = fields.slice(0, position).reverse()
+            .map(previous => normalizedHeaders.indexOf(normalizeHeader(columns[previous])))
+            .find(index => index !== -1);
+        const candidate = predecessor === undefined ? 0 : predecessor + 1;
+        const actual = normalizedHeaders[candidate];
+
+        if (actual && !schemaHeaders.includes(actual)) {
+            renamed.push({ field, expected: columns[field], actual: headerRow[candidate], column: columnToLetter(candidate) });
+        } else {
+            missing.push({ field, header: columns[field] });
+        }
+    });
+
+    // Extra columns, other than the ones already reported as renamed
+    const unknown = headerRow.filter((header, index) => normalizeHeader(header)
+        && !schemaHeaders.includes(normalizeHeader(header))
+        && !renamed.some(({ column }) => column === columnToLetter(index)));
+
+    return {
+        compatible: renamed.length === 0 && duplicates.length === 0,
+        missing,
+        renamed,
+        duplicates,
+        unknown
+    };
+}
+
+/**
+ * Describe the difference between the expected and actual header rows, one line per issue
+ *
+ * @param {Array<string>} expectedHeaders - Configured headers
+ * @param {Array<string>} headerRow - Row 1 of the sheet
+ * @param {Object} comparison - Result of compareHeaders
+ * @returns {Array<string>} Diff lines
+ */
+function formatHeaderDiff(expectedHeaders, headerRow, comparison) {
+    return [
+        `Expected headers: ${expectedHeaders.join(' | ')}`,
+        `Actual headers:   ${headerRow.join(' | ')}`,
+        ...comparison.missing.map(({ header }) => `  + missing: "${header}"`),
+        ...comparison.renamed.map(({ expected, actual, column }) => `  ~ renamed: "${expected}" -> "${actual}" (column ${column})`),
+        ...comparison.duplicates.map(({ header, columns }) => `  ! duplicate: "${header}" (columns ${columns.join(', ')})`),
+        ...comparison.unknown.map(header => `  ? extra: "${header}"`)
+    ];
+}
+
+module.exports = { SheetLayout, columnToLetter, normalizeHeader, compareHeaders, formatHeaderDiff };
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const { log, logError } = require('./log-service');
+
+/**
+ * Resolve the state file path (relative paths are resolved from the working directory)
+ * @param {string} stateFile - Configured state file path
+ * @returns {string} Absolute path of the state file
+ */
+function resolveStateFile(stateFile) {
+    return path.isAbsolute(stateFile) ? stateFile : path.join(process.cwd(), stateFile);
+}
+
+/**
+ * Read the whole state file
+ * @param {string} stateFile - Configured state file path
+ * @returns {Object} Parsed state, or an empty object if the file does not exist yet
+ */
+function readStateFile(stateFile) {
+    const filePath = resolveStateFile(stateFile);
+    if (!fs.existsSync(filePath)) {
+        return {};
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Read the persisted sync state for a key
+ * @param {string} stateFile - Configured state file path
+ * @param {string} key - State key (e.g. the job name)
+ * @returns {Object|null} The stored state, or null if nothing has been synced yet
+ */
+function readSyncState(stateFile, key) {
+    try {
+        const state = readStateFile(stateFile);
+        return state[key] || null;
+    } catch (error) {
+        logError(`Failed to read sync state "${key}": ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Persist the sync state for a key, leaving other keys untouched
+ * @param {string} stateFile - Configured state file path
+ * @param {string} key - State key (e.g. the job name)
+ * @param {Object} value - State to store
+ * @returns {void}
+ */
+function writeSyncState(stateFile, key, value) {
+    try {
+        const filePath = resolveStateFile(stateFile);
+        const state = readStateFile(stateFile);
+        state[key] = value;
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        // Write to a temp file first so a crash never leaves a truncated state file
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+        fs.renameSync(tmpPath, filePath);
+
+        log(`✓ Sync state "${key}" saved`);
+    } catch (error) {
+        logError(`Failed to write sync state "${key}": ${error.message}`);
+        throw error;
+    }
+}
+
+module.exports = { readSyncState, writeSyncState };
@@ -0,0 +1,148 @@
+const { parseReturnDate } = require('./return-date-service');
+const { SheetLayout } = require('./sheet-schema-service');
+
+/**
+ * Work sheet snapshot
+ *
+ * Reads the work sheet once and turns every row into a plain object, so reports can be written as
+ * functions over data instead of each one downloading the sheet and indexing columns itself.
+ */
+
+/**
+ * A row of the work sheet
+ * @typedef {Object} WorkRow
+ * @property {number} rowNumber - Row number in the sheet (2 for the first row below the header)
+ * @property {string} code - "Hoá đơn"
+ * @property {string} receivedText - "Ngày nhận" as shown in the sheet
+ * @property {Date|null} receivedDate - "Ngày nhận", null if it is not a date
+ * @property {string} dueText - "Ngày trả" as shown in the sheet
+ * @property {string} newDueText - "Ngày trả mới" as typed by staff
+ * @property {Date|null} dueDate - Effective due date: "Ngày trả mới" when set, otherwise "Ngày trả"
+ * @property {boolean} isRescheduled - True if the due date comes from "Ngày trả mới"
+ * @property {string} item - "Tên đồ dùng"
+ * @property {string} work - "Công việc"
+ * @property {string} status - "Trạng thái"
+ * @property {string} duration - "Thời gian"
+ * @property {number|null} estimatedMinutes - "Thời gian" in minutes, null if empty or not understood
+ * @property {string} assignee - "Người làm"
+ * @property {string} paymentStatus - "Trạng thái thanh toán"
+ * @property {string} note - "Ghi chú"
+ * @property {string} delay - "Lần Delay"
+ */
+
+/**
+ * @typedef {Object} WorkSheetSnapshot
+ * @property {Date} loadedAt - When the sheet was read
+ * @property {SheetLayout} layout - Column layout of the sheet
+ * @property {Array<WorkRow>} rows - Every row below the header, including rows without an invoice code
+ */
+
+// "2h", "1h30", "1,5 giờ", "45p", "45 phút"
+const DURATION_PATTERN = /^(?:(\d+(?:[.,]\d+)?)\s*(?:h|g|giờ|tiếng)?\s*)?(?:(\d+)\s*(?:p|ph|phút|')?)?$/i;
+
+/**
+ * Parse a "Thời gian" estimate
+ * @param {string} text - Estimate as typed by staff
+ * @returns {number|null} Minutes, or null if the text is empty or not understood
+ */
+function parseDuration(text) {
+    const value = String(text || '').trim().toLowerCase();
+    if (!value) {
+        return null;
+    }
+
+    // Minutes only: "45p", "45 phút"
+    const minutesOnly = value.match(/^(\d+)\s*(?:p|ph|phút|')$/);
+    if (minutesOnly) {
+        return Number(minutesOnly[1]);
+    }
+
+    // A bare number is hours when small ("2"), minutes otherwise ("30")
+    if (/^\d+$/.test(value)) {
+        return Number(value) < 10 ? Number(value) * 60 : Number(value);
+    }
+
+    const match = value.match(DURATION_PATTERN);
+    if (!match || !match[1]) {
+        return null;
+    }
+    const hours = Number(match[1].replace(',', '.'));
+    const minutes = match[2] ? Number(match[2]) : 0;
+    return Math.round(hours * 60 + minutes);
+}
+
+/**
+ * Format minutes the way estimates are typed ("4h30", "2h", "45p")
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} Formatted duration
+ */
+function formatDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (hours === 0) {
+        return `${rest}p`;
+    }
+    return rest === 0 ? `${hours}h` : `${hours}h${String(rest).padStart(2, '0')}`;
+}
+
+/**
+ * Parse the values of the work sheet into typed rows
+ * @param {Array<Array<string>>} values - Sheet values, header row first
+ * @param {Object} spreadsheetConfig - `config.spreadsheet` (columns and default headers)
+ * @param {Date} today - Reference for dates typed without a year
+ * @returns {WorkSheetSnapshot} The snapshot
+ */
+function parseWorkSheet(values, spreadsheetConfig, today) {
+    const headerRow = values.length > 0 ? values[0] : spreadsheetConfig.headers;
+    const layout = new SheetLayout(spreadsheetConfig.columns, headerRow);
+    const text = (row, field) => layout.get(row, field).trim();
+
+    const rows = values.slice(1).map((row, index) => {
+        const received = parseReturnDate(text(row, 'receivedDate'), today);
+        const dueText = text(row, 'dueDate');
+        const newDueText = text(row, 'newDueDate');
+
+        // Due dates without a year are resolved relative to "Ngày nhận", so a "5/1" received in
+        // December is not mistaken for a date in January of the same year
+        const due = parseReturnDate(newDueText || dueText, received ? received.date : today);
+
+        return {
+            rowNumber: index + 2,
+            code: text(row, 'code'),
+            receivedText: text(row, 'receivedDate'),
+            receivedDate: received ? received.date : null,
+            dueText: dueText,
+            newDueText: newDueText,
+            dueDate: due ? due.date : null,
+            isRescheduled: newDueText !== '',
+            item: text(row, 'item'),
+            work: text(row, 'work'),
+            status: text(row, 'status'),
+            duration: text(row, 'duration'),
+            estimatedMinutes: parseDuration(text(row, 'duration')),
+            assignee: text(row, 'assignee'),
+            paymentStatus: text(row, 'paymentStatus'),
+            note: text(row, 'note'),
+            delay: text(row, 'delay')
+        };
+    });
+
+    return { loadedAt: today, layout, rows };
+}
+
+/**
+ * Read the work sheet into a snapshot
+ * @param {Object} sheets - Google Sheets API instance
+ * @param {Object} spreadsheetConfig - `config.spreadsheet`
+ * @param {Date} today - Reference for dates typed without a year
+ * @returns {Promise<WorkSheetSnapshot>} The snapshot
+ */
+async function loadWorkSheet(sheets, spreadsheetConfig, today) {
+    const response = await sheets.spreadsheets.values.get({
+        spreadsheetId: spreadsheetConfig.id,
+        range: spreadsheetConfig.sheetName
+    });
+    return parseWorkSheet(response.data.values || [], spreadsheetConfig, today);
+}
+
+module.exports = { parseWorkSheet, loadWorkSheet, parseDuration, formatDuration };
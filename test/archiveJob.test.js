@@ -0,0 +1,164 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const ArchiveJob = require('../job/archiveJob');
+const fixtures = require('./job-fixtures');
+const { SHEET_NAME, layout, clockAt, createSpreadsheet } = fixtures;
+
+// 19/10/2026: rows received before 19/09/2026 are old enough to archive
+const clock = clockAt('2026-10-19T02:00');
+
+/**
+ * Create an archive job on the given spreadsheet
+ * @param {InMemorySpreadsheet} spreadsheet - Spreadsheet holding the work tab
+ * @param {Object} options - Job options to override (e.g. `getGoogleClient`)
+ * @returns {{job: ArchiveJob, errors: Array<string>}} The job and the errors it logged
+ */
+function createJob(spreadsheet, options = {}) {
+    const errors = [];
+    const job = fixtures.createJob(ArchiveJob, { spreadsheet, clock, logError: message => errors.push(message), ...options });
+    return { job, errors };
+}
+
+/**
+ * Read the invoice codes of a tab, header row excluded
+ * @param {InMemorySpreadsheet} spreadsheet - The spreadsheet
+ * @param {string} title - Tab name
+ * @returns {Promise<Array<string>>} Codes from top to bottom
+ */
+async function readCodes(spreadsheet, title) {
+    const { sheets } = await spreadsheet.getGoogleClient();
+    const { values } = (await sheets.spreadsheets.values.get({ spreadsheetId: 'test-spreadsheet', range: title })).data;
+    return (values || []).slice(1).map(row => layout.get(row, 'code'));
+}
+
+const workRows = [
+    { code: 'HD010', receivedDate: '15/10/2026 09:00', status: 'Đóng đơn' },
+    { code: 'HD009', receivedDate: '10/09/2026 09:00', status: 'Đóng đơn' },
+    { code: 'HD008', receivedDate: '08/09/2026 09:00', status: 'Đang làm' },
+    { code: 'HD007', receivedDate: '05/09/2026 09:00', status: 'Huỷ đơn' },
+    { code: 'HD006', receivedDate: '20/08/2026 09:00', status: 'Đóng đơn' },
+    { code: 'HD005', receivedDate: '18/08/2026 09:00', status: 'Đóng đơn' }
+];
+
+describe('ArchiveJob', () => {
+    it('moves old closed and cancelled rows into a new monthly tab', async () => {
+        const spreadsheet = createSpreadsheet({ [SHEET_NAME]: workRows });
+
+        assert.equal(await createJob(spreadsheet).job.main(), true);
+
+        assert.deepEqual(await readCodes(spreadsheet, SHEET_NAME), ['HD010', 'HD008']);
+        assert.deepEqual(await readCodes(spreadsheet, 'Công việc-Archive-2026-09'), ['HD009', 'HD007']);
+        assert.deepEqual(await readCodes(spreadsheet, 'Công việc-Archive-2026-08'), ['HD006', 'HD005']);
+        assert.deepEqual(spreadsheet.calls.filter(call => call.method === 'spreadsheets.batchUpdate').length, 1);
+    });
+
+    it('adds the rows on top of an existing archive tab', async () => {
+        const spreadsheet = createSpreadsheet({
+            [SHEET_NAME]: workRows,
+            'Công việc-Archive-2026-09': [{ code: 'HD001', receivedDate: '01/09/2026 09:00', status: 'Đóng đơn' }]
+        });
+
+        assert.equal(await createJob(spreadsheet).job.main(), true);
+
+        assert.deepEqual(await readCodes(spreadsheet, 'Công việc-Archive-2026-09'), ['HD009', 'HD007', 'HD001']);
+        assert.deepEqual(await readCodes(spreadsheet, SHEET_NAME), ['HD010', 'HD008']);
+    });
+
+    it('skips an archive tab whose header differs and archives the others', async () => {
+        const spreadsheet = createSpreadsheet({ [SHEET_NAME]: workRows });
+        const { sheets } = await spreadsheet.getGoogleClient();
+        await sheets.spreadsheets.batchUpdate({
+            spreadsheetId: 'test-spreadsheet',
+            requestBody: { requests: [{ addSheet: { properties: { title: 'Công việc-Archive-2026-08' } } }] }
+        });
+        await sheets.spreadsheets.values.update({
+            spreadsheetId: 'test-spreadsheet',
+            range: 'Công việc-Archive-2026-08!A1',
+            valueInputOption: 'RAW',
+            requestBody: { values: [['Hoá đơn', 'Ghi chú']] }
+        });
+        const { job, errors } = createJob(spreadsheet);
+
+        assert.equal(await job.main(), false);
+
+        assert.deepEqual(await readCodes(spreadsheet, SHEET_NAME), ['HD010', 'HD008', 'HD006', 'HD005']);
+        assert.deepEqual(await readCodes(spreadsheet, 'Công việc-Archive-2026-09'), ['HD009', 'HD007']);
+        assert.match(errors[0], /Skipping 2 row\(s\) for "Công việc-Archive-2026-08": its header row differs/);
+    });
+
+    it('archives when the bottom rows have no invoice code', async () => {
+        const spreadsheet = createSpreadsheet({ [SHEET_NAME]: [...workRows, { code: '', item: 'Dây giày', status: 'Chưa làm' }] });
+
+        assert.equal(await createJob(spreadsheet).job.main(), true);
+
+        assert.deepEqual(await readCodes(spreadsheet, SHEET_NAME), ['HD010', 'HD008', '']);
+    });
+
+    it('moves nothing when the work tab changed while archiving', async () => {
+        const spreadsheet = createSpreadsheet({ [SHEET_NAME]: workRows });
+        const { sheets } = await spreadsheet.getGoogleClient();
+        // A migration inserts a row right before the archive job checks the codes again
+        const getValues = sheets.spreadsheets.values.get;
+        sheets.spreadsheets.values.get = async params => {
+            if (params.range.endsWith(`!${layout.letter('code')}:${layout.letter('code')}`)) {
+                const { sheetId } = (await sheets.spreadsheets.get({ spreadsheetId: 'test-spreadsheet' })).data.sheets[0].properties;
+                await sheets.spreadsheets.batchUpdate({
+                    spreadsheetId: 'test-spreadsheet',
+                    requestBody: { requests: [{ insertDimension: { range: { sheetId, dimension: 'ROWS', startIndex: 1, endIndex: 2 } } }] }
+                });
+                await sheets.spreadsheets.values.update({
+                    spreadsheetId: 'test-spreadsheet',
+                    range: `${SHEET_NAME}!A2`,
+                    valueInputOption: 'RAW',
+                    requestBody: { values: [['HD011']] }
+                });
+            }
+            return getValues(params);
+        };
+        const { job, errors } = createJob(spreadsheet, { getGoogleClient: async () => ({ sheets }) });
+
+        assert.equal(await job.main(), false);
+
+        assert.deepEqual(await readCodes(spreadsheet, SHEET_NAME), ['HD011', ...workRows.map(row => row.code)]);
+        assert.deepEqual((await sheets.spreadsheets.get({ spreadsheetId: 'test-spreadsheet' })).data.sheets.map(sheet => sheet.properties.title), [SHEET_NAME]);
+        assert.match(errors[0], /Work sheet changed while archiving, nothing was moved/);
+    });
+
+    describe('formatArchiveSheetName', () => {
+        const branches = [{ id: 1, name: 'Vườn Đào', sheetName: 'Vườn Đào' }, { id: 2, name: 'Cầu Giấy', sheetName: 'Cầu Giấy' }];
+
+        it('names the archive tab after the branch work tab by default', () => {
+            const names = branches.map(branch => new ArchiveJob({
+                ...config,
+                branches,
+                branch,
+                spreadsheet: { ...config.spreadsheet, sheetName: branch.sheetName }
+            }).formatArchiveSheetName(new Date(2026, 8, 10)));
+
+            assert.deepEqual(names, ['Vườn Đào-Archive-2026-09', 'Cầu Giấy-Archive-2026-09']);
+        });
+
+        it('rejects a template without {sheet} when several branches are configured', () => {
+            const job = new ArchiveJob({ ...config, branches, archive: { ...config.archive, sheetName: 'Archive-{yyyy}-{MM}' } });
+
+            assert.throws(() => job.formatArchiveSheetName(new Date(2026, 8, 10)), /must contain \{sheet\} when several branches are configured/);
+        });
+    });
+
+    describe('parseArchiveSheetName', () => {
+        it("reads the month of the work tab's archive tabs", () => {
+            const { job } = createJob(createSpreadsheet());
+
+            assert.deepEqual(job.parseArchiveSheetName('Công việc-Archive-2026-09'), { month: new Date(2026, 8, 1) });
+            assert.equal(job.parseArchiveSheetName('Cầu Giấy-Archive-2026-09'), null);
+            assert.equal(job.parseArchiveSheetName(SHEET_NAME), null);
+        });
+
+        it('returns no month for a single archive tab', () => {
+            const job = fixtures.createJob(ArchiveJob, { config: { archive: { ...config.archive, sheetName: '{sheet} (Archive)' } } });
+
+            assert.deepEqual(job.parseArchiveSheetName('Công việc (Archive)'), { month: null });
+        });
+    });
+});
@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const { getBranches, getBranchConfigs } = require('../service/branch-service');
+
+describe('branch-service', () => {
+    describe('getBranches', () => {
+        it('parses the KIOTVIET_BRANCHES JSON text', () => {
+            assert.deepEqual(getBranches({ branches: '[{"id": 1, "name": "Vườn Đào"}]' }), [{ id: 1, name: 'Vườn Đào' }]);
+            assert.deepEqual(getBranches({ branches: '[]' }), []);
+            assert.deepEqual(getBranches({}), []);
+        });
+
+        it('names KIOTVIET_BRANCHES when it is not a JSON list', () => {
+            assert.throws(() => getBranches({ branches: '[{"id": 1,}]' }), /^Error: KIOTVIET_BRANCHES is not valid JSON: /);
+            assert.throws(() => getBranches({ branches: '{"id": 1}' }), /KIOTVIET_BRANCHES must be a JSON list/);
+        });
+    });
+
+    describe('getBranchConfigs', () => {
+        it('derives one configuration per branch, carrying the parsed branches', () => {
+            const configs = getBranchConfigs({ ...config, branches: '[{"id": 1, "name": "Vườn Đào"}, {"id": 2, "name": "Cầu Giấy", "sheetName": "CG"}]' });
+
+            assert.deepEqual(configs.map(branchConfig => [branchConfig.branch.id, branchConfig.spreadsheet.sheetName, branchConfig.branches.length]),
+                [[1, 'Vườn Đào', 2], [2, 'CG', 2]]);
+        });
+
+        it('rejects a malformed KIOTVIET_BRANCHES when a job runs, not when the config loads', () => {
+            assert.throws(() => getBranchConfigs({ ...config, branches: 'Vườn Đào' }), /KIOTVIET_BRANCHES is not valid JSON/);
+        });
+    });
+});
@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Clock } = require('../service/clock-service');
+
+// 20:30 UTC on 18/10 is already 03:30 on 19/10 in Vietnam
+const instant = new Date('2026-10-18T20:30:15Z');
+
+describe('Clock', () => {
+    it('returns the wall-clock time of the configured timezone', () => {
+        const now = new Clock({ timeZone: 'Asia/Ho_Chi_Minh', now: () => instant }).now();
+
+        assert.deepEqual(
+            [now.getFullYear(), now.getMonth() + 1, now.getDate(), now.getHours(), now.getMinutes(), now.getSeconds()],
+            [2026, 10, 19, 3, 30, 15]
+        );
+    });
+
+    it('gives a different day for another timezone', () => {
+        assert.equal(new Clock({ timeZone: 'UTC', now: () => instant }).now().getDate(), 18);
+    });
+
+    it('computes today and yesterday in the configured timezone', () => {
+        const clock = new Clock({ timeZone: 'Asia/Ho_Chi_Minh', now: () => instant });
+
+        assert.deepEqual(clock.today(), new Date(2026, 9, 19));
+        assert.deepEqual(clock.yesterday(), new Date(2026, 9, 18, 3, 30, 15));
+    });
+
+    it('stores timestamps as the real UTC instant', () => {
+        const clock = new Clock({ timeZone: 'Asia/Ho_Chi_Minh', now: () => instant });
+
+        assert.equal(clock.timestamp(), '2026-10-18T20:30:15.000Z');
+    });
+
+    it('returns a new date on every call', () => {
+        const clock = new Clock({ timeZone: 'Asia/Ho_Chi_Minh', now: () => instant });
+        clock.now().setDate(1);
+
+        assert.equal(clock.now().getDate(), 19);
+    });
+
+    it('rejects an unknown timezone', () => {
+        assert.throws(() => new Clock({ timeZone: 'Asia/Hanoii' }), RangeError);
+    });
+});
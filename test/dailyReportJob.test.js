@@ -0,0 +1,381 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const DailyReportJob = require('../job/dailyReportJob');
+const fixtures = require('./job-fixtures');
+const { clockAt, createWorkSheet, stateStore } = fixtures;
+
+/**
+ * Create a job reading the given rows (values as the sheet shows them)
+ * @param {Array<Object>} rows - Rows as logical field -> value
+ * @param {Clock} clock - Clock the job reads the current date from
+ * @param {InMemorySpreadsheet} spreadsheet - Spreadsheet to read instead of one holding `rows`
+ * @param {Object} state - Sync state store (key -> value), kept in memory
+ * @returns {DailyReportJob} The job
+ */
+function createJob(rows = [], clock = clockAt('2026-10-19T09:00'), spreadsheet = null, state = {}) {
+    return fixtures.createJob(DailyReportJob, { spreadsheet: spreadsheet || createWorkSheet(rows), clock, ...stateStore(state) });
+}
+
+describe('DailyReportJob', () => {
+    describe('formatDate', () => {
+        it('formats a date as MM/DD/YYYY', () => {
+            assert.equal(createJob().formatDate(new Date(2026, 2, 7, 18, 30)), '03/07/2026');
+        });
+    });
+
+    describe('readSheetData', () => {
+        const rows = [
+            { code: 'HD001', receivedDate: '19/10/2026 09:00', item: 'Giày Nike', status: 'Chưa làm' },
+            { code: 'HD001', receivedDate: '19/10/2026 09:00', item: 'Túi LV', status: 'Chưa làm' },
+            { code: 'HD002', receivedDate: '19/10/2026 10:15', status: 'Đang làm', duration: '2h' },
+            { code: 'HD003', receivedDate: '19/10/2026 11:00', status: 'Phát sinh' },
+            { code: 'HD004', receivedDate: '19/10/2026 11:30', status: 'Huỷ đơn' },
+            { code: 'HD005', receivedDate: '18/10/2026 16:45', status: 'Chưa làm' },
+            { code: 'HD006', receivedDate: '18/10/2026 17:00', status: 'Chưa làm', duration: '1h' },
+            { code: '', receivedDate: '19/10/2026 12:00', status: 'Chưa làm' }
+        ];
+
+        it("keeps today's rows without a time estimate, excluding Phát sinh and Huỷ đơn", async () => {
+            const clock = clockAt('2026-10-19T21:00');
+
+            const result = await createJob(rows, clock).readSheetData();
+
+            assert.deepEqual(result.invoiceCodes, ['HD001']);
+            assert.equal(result.totalRows, 8);
+            assert.equal(result.todayRows, 6);
+        });
+
+        it("uses yesterday's date when asked", async () => {
+            const clock = clockAt('2026-10-19T09:00');
+
+            const result = await createJob(rows, clock).readSheetData(true);
+
+            assert.deepEqual(result.invoiceCodes, ['HD005']);
+            assert.equal(result.todayRows, 2);
+        });
+
+        it('reads "Ngày nhận" as day/month, also when the day is 12 or less', async () => {
+            const clock = clockAt('2026-10-05T21:00');
+
+            const result = await createJob([
+                { code: 'HD007', receivedDate: '05/10/2026 08:30', status: 'Chưa làm' },
+                { code: 'HD008', receivedDate: '10/05/2026 08:30', status: 'Chưa làm' }
+            ], clock).readSheetData();
+
+            assert.deepEqual(result.invoiceCodes, ['HD007']);
+            assert.equal(result.todayRows, 1);
+        });
+
+        it('returns nothing for a sheet with only the header row', async () => {
+            const clock = clockAt('2026-10-19T21:00');
+
+            assert.deepEqual(await createJob([], clock).readSheetData(), { invoiceCodes: [], totalRows: 0, todayRows: 0 });
+        });
+    });
+
+    describe('readDueTodayData', () => {
+        it('splits open rows into due today and overdue, preferring "Ngày trả mới"', async () => {
+            const clock = clockAt('2026-10-19T09:00');
+
+            const { dueTodayItems, overdueItems } = await createJob([
+                { code: 'HD101', receivedDate: '17/10/2026 10:00', dueDate: '19/10/2026 15:00', status: 'Chưa làm' },
+                { code: 'HD102', receivedDate: '15/10/2026 10:00', dueDate: '17/10/2026', status: 'Đang làm', delay: 'Delay lần 1' },
+                { code: 'HD103', receivedDate: '12/10/2026 10:00', dueDate: '15/10/2026', status: 'Đang làm', newDueDate: '19/10' },
+                { code: 'HD104', receivedDate: '08/10/2026 10:00', dueDate: '10/10/2026', status: 'Đóng đơn' },
+                { code: 'HD105', receivedDate: '18/10/2026 10:00', dueDate: '20/10/2026', status: 'Chưa làm' },
+                { code: 'HD106', receivedDate: '16/10/2026 10:00', dueDate: '18/10/2026', status: 'Hoàn thành', delay: 'Chọn' },
+                { code: 'HD107', receivedDate: '18/10/2026 10:00', dueDate: 'chưa hẹn', status: 'Chưa làm' },
+                { code: 'HD108', receivedDate: '14/10/2026 10:00', dueDate: '16/10/2026', status: 'Huỷ đơn' }
+            ], clock).readDueTodayData();
+
+            assert.deepEqual(dueTodayItems.map(({ code, dueDate, originalDueDate, isUsingRescheduledDate }) => (
+                { code, dueDate, originalDueDate, isUsingRescheduledDate: Boolean(isUsingRescheduledDate) }
+            )), [
+                { code: 'HD101', dueDate: '19/10/2026 15:00', originalDueDate: '19/10/2026 15:00', isUsingRescheduledDate: false },
+                { code: 'HD103', dueDate: '19/10', originalDueDate: '15/10/2026', isUsingRescheduledDate: true }
+            ]);
+            assert.deepEqual(overdueItems.map(({ code, dueDate, delayStatus }) => ({ code, dueDate, delayStatus })), [
+                { code: 'HD102', dueDate: '17/10/2026', delayStatus: 'Delay lần 1' },
+                { code: 'HD106', dueDate: '18/10/2026', delayStatus: '' }
+            ]);
+        });
+
+        it('reports an invoice with rows due today and overdue only as due today', async () => {
+            const clock = clockAt('2026-10-19T09:00');
+
+            const { dueTodayItems, overdueItems } = await createJob([
+                { code: 'HD201', receivedDate: '16/10/2026 10:00', dueDate: '18/10/2026', status: 'Chưa làm' },
+                { code: 'HD201', receivedDate: '16/10/2026 10:00', dueDate: '19/10/2026', status: 'Chưa làm' }
+            ], clock).readDueTodayData();
+
+            assert.deepEqual(dueTodayItems.map(item => item.code), ['HD201']);
+            assert.deepEqual(overdueItems, []);
+        });
+
+        it('resolves a due date without a year relative to "Ngày nhận"', async () => {
+            const clock = clockAt('2027-01-05T09:00');
+
+            const { dueTodayItems, overdueItems } = await createJob([
+                { code: 'HD301', receivedDate: '28/12/2026 10:00', dueDate: '5/1', status: 'Chưa làm' },
+                { code: 'HD302', receivedDate: '20/12/2026 10:00', dueDate: '30/12', status: 'Chưa làm' }
+            ], clock).readDueTodayData();
+
+            assert.deepEqual(dueTodayItems.map(item => item.code), ['HD301']);
+            assert.deepEqual(overdueItems.map(item => item.code), ['HD302']);
+        });
+    });
+
+    describe('format*Message', () => {
+        it('formats the missing estimate report', () => {
+            const clock = clockAt('2026-10-19T09:00');
+
+            assert.equal(createJob([], clock).formatIncompleteMessage(['HD001', 'HD005'], true), [
+                '⚠️ BÁO CÁO CÔNG VIỆC CHƯA CÓ ESTIMATE NGÀY 18/10/2026 ⚠️',
+                '🕒 Báo cáo được tạo vào ngày 19/10/2026',
+                '',
+                '📋 Các mã hóa đơn chưa nhập thời gian estimate (2):',
+                '',
+                '1. HD001',
+                '2. HD005',
+                '',
+                '⏰ Vui lòng cập nhật thời gian estimate cho các mã đơn trên.'
+            ].join('\n'));
+        });
+
+        it('formats the due today report, showing the original date of rescheduled items', () => {
+            const clock = clockAt('2026-10-19T09:00');
+
+            assert.equal(createJob([], clock).formatDueTodayMessage([
+                { code: 'HD101', dueDate: '19/10/2026 15:00', originalDueDate: '19/10/2026 15:00', isUsingRescheduledDate: false },
+                { code: 'HD103', dueDate: '19/10', originalDueDate: '15/10/2026', isUsingRescheduledDate: true }
+            ]), [
+                '📅 BÁO CÁO ĐẾN HẠN TRẢ NGÀY 19/10/2026 📅',
+                '',
+                '📦 Các mã hóa đơn cần trả HÔM NAY (2):',
+                '',
+                '1. HD101 - 19/10/2026 15:00',
+                '2. HD103 - 19/10 🔄 (gốc: 15/10/2026)',
+                '',
+                '📦 Vui lòng kiểm tra và trả đúng hạn các mã đơn trên.'
+            ].join('\n'));
+        });
+
+        it('formats the overdue report with the delay status', () => {
+            assert.equal(createJob().formatOverdueMessage([
+                { code: 'HD102', dueDate: '17/10/2026', delayStatus: 'Delay lần 1' },
+                { code: 'HD106', dueDate: '18/10/2026', delayStatus: 'Chọn' }
+            ]), [
+                '🚨 BÁO CÁO QUÁ HẠN TRẢ 🚨',
+                '',
+                '⚠️ Các mã hóa đơn ĐÃ QUÁ HẠN (2):',
+                '',
+                '1. HD102 - 17/10/2026 (Delay lần 1)',
+                '2. HD106 - 18/10/2026',
+                '',
+                '⚠️ Các mã đơn trên đã quá hạn trả, cần xử lý NGAY!'
+            ].join('\n'));
+        });
+
+        it('formats the Phát sinh report with items and work', () => {
+            assert.equal(createJob().formatPhatSinhMessage([
+                { code: 'HD003', details: [{ item: 'Giày Nike', work: 'vệ sinh' }, { item: '', work: 'sơn đế' }] },
+                { code: 'HD009', details: [] }
+            ]), [
+                '🔄 BÁO CÁO ĐƠN PHÁT SINH 🔄',
+                '',
+                '📋 Các mã hóa đơn có trạng thái PHÁT SINH (2):',
+                '',
+                '1. HD003',
+                '   - Giày Nike + vệ sinh',
+                '   - sơn đế',
+                '',
+                '2. HD009',
+                '',
+                '⚠️ Vui lòng kiểm tra và xử lý các đơn phát sinh trên.'
+            ].join('\n'));
+        });
+    });
+
+    describe('selectWorkload', () => {
+        const clock = clockAt('2026-10-19T08:45');
+        const rows = [
+            { code: 'HD001', item: 'Giày Nike', dueDate: '19/10/2026', status: 'Đang làm', assignee: 'Huy', duration: '1h30' },
+            { code: 'HD002', item: 'Túi LV', dueDate: '17/10/2026', status: 'Chưa làm', assignee: 'Huy', duration: '45p' },
+            { code: 'HD003', item: 'Dép', dueDate: '22/10/2026', status: 'Phát sinh', assignee: 'Huy' },
+            { code: 'HD004', item: 'Giày Vans', dueDate: '20/10/2026', status: 'Chưa làm', assignee: 'Minh', duration: '2h' },
+            { code: 'HD005', item: 'Giày Puma', dueDate: '18/10/2026', status: 'Hoàn thành', assignee: 'Minh', duration: '1h' },
+            { code: 'HD006', item: 'Balo', dueDate: '19/10/2026', status: 'Chưa làm', assignee: 'Chọn người làm' },
+            { code: 'HD007', item: 'Ví', dueDate: '25/10/2026', status: 'Chưa làm', assignee: '' }
+        ];
+
+        it('groups open items by technician with their estimated time, due and overdue items', async () => {
+            const job = createJob(rows, clock);
+
+            const { people, unassigned } = job.selectWorkload(await job.getSheetSnapshot(), clock.now());
+
+            assert.deepEqual(people.map(({ assignee, itemCount, estimatedMinutes, unestimatedCount }) => (
+                { assignee, itemCount, estimatedMinutes, unestimatedCount }
+            )), [
+                { assignee: 'Minh', itemCount: 1, estimatedMinutes: 120, unestimatedCount: 0 },
+                { assignee: 'Huy', itemCount: 3, estimatedMinutes: 135, unestimatedCount: 1 }
+            ]);
+            assert.deepEqual(people[1].dueToday, [{ code: 'HD001', item: 'Giày Nike', dueDate: '19/10/2026', due: 'today' }]);
+            assert.deepEqual(people[1].overdue.map(item => item.code), ['HD002']);
+            assert.deepEqual(unassigned.map(({ code, due }) => ({ code, due })), [
+                { code: 'HD006', due: 'today' },
+                { code: 'HD007', due: null }
+            ]);
+        });
+
+        it('formats the workload report', async () => {
+            const job = createJob(rows, clock);
+
+            assert.equal(job.formatWorkloadMessage(await job.readWorkloadData()), [
+                '👷 BÁO CÁO KHỐI LƯỢNG CÔNG VIỆC NGÀY 19/10/2026 👷',
+                '',
+                '👤 Minh: 1 việc, ước tính 2h',
+                '',
+                '👤 Huy: 3 việc, ước tính 2h15 (1 việc chưa có estimate)',
+                '   📦 Trả hôm nay: HD001 - Giày Nike (19/10/2026)',
+                '   🚨 Quá hạn: HD002 - Túi LV (17/10/2026)',
+                '',
+                '❓ Các việc CHƯA PHÂN CÔNG người làm (2):',
+                '',
+                '1. HD006 - Balo (19/10/2026) 📦',
+                '2. HD007 - Ví',
+                '',
+                '⚠️ Vui lòng chọn người làm cho các việc trên.'
+            ].join('\n'));
+        });
+    });
+
+    describe('escalations', () => {
+        const rows = [
+            { code: 'HD401', dueDate: '17/10/2026', status: 'Đang làm', assignee: 'Minh', delay: 'Delay lần 2' },
+            { code: 'HD401', dueDate: '18/10/2026', status: 'Đang làm', assignee: 'Huy', delay: 'Delay lần 1' },
+            { code: 'HD402', dueDate: '14/10/2026', status: 'Chưa làm', assignee: 'Chọn người làm', delay: 'Chọn' },
+            { code: 'HD403', dueDate: '17/10/2026', status: 'Đang làm', assignee: 'Thắng', delay: 'Delay lần 1' },
+            { code: 'HD404', dueDate: '10/10/2026', status: 'Đóng đơn', delay: 'Delay lần 3' },
+            { code: 'HD405', dueDate: '25/10/2026', newDueDate: '22/10', status: 'Chưa làm', assignee: 'Huy', delay: 'Delay lần 3' }
+        ];
+
+        it('escalates open orders at Delay lần 2 or 3 and orders overdue by more than the configured days', async () => {
+            const clock = clockAt('2026-10-19T08:30');
+            const job = createJob(rows, clock);
+
+            assert.deepEqual(job.selectEscalations(await job.getSheetSnapshot(), clock.now()), [
+                { code: 'HD401', dueDate: '17/10/2026', delay: 'Delay lần 2', overdueDays: 2, assignees: ['Minh', 'Huy'], state: 'Delay lần 2|17/10/2026|' },
+                { code: 'HD402', dueDate: '14/10/2026', delay: 'Chọn', overdueDays: 5, assignees: [], state: 'Chọn|14/10/2026|overdue' },
+                { code: 'HD405', dueDate: '22/10', delay: 'Delay lần 3', overdueDays: 0, assignees: ['Huy'], state: 'Delay lần 3|22/10|' }
+            ]);
+        });
+
+        it('formats the escalation message with the configured mentions', () => {
+            const job = createJob();
+            job.config = { ...job.config, escalation: { ...job.config.escalation, mentions: { default: ['@quanly'], assignees: { Minh: ['@minh'] } } } };
+
+            assert.equal(job.formatEscalationMessage([
+                { code: 'HD401', dueDate: '17/10/2026', delay: 'Delay lần 2', overdueDays: 2, assignees: ['Minh', 'Huy'] },
+                { code: 'HD402', dueDate: '14/10/2026', delay: 'Chọn', overdueDays: 5, assignees: [] }
+            ]), [
+                '🆘 CẢNH BÁO ĐƠN TRỄ HẸN NGHIÊM TRỌNG 🆘',
+                '',
+                '🔥 Các mã hóa đơn cần ưu tiên xử lý (2):',
+                '',
+                '1. HD401 - 17/10/2026 (Delay lần 2, quá hạn 2 ngày) - Minh, Huy',
+                '2. HD402 - 14/10/2026 (quá hạn 5 ngày)',
+                '',
+                '🚨 Vui lòng xử lý NGAY và báo lại khách hàng!',
+                '👉 @quanly @minh'
+            ].join('\n'));
+        });
+
+        it("uses the branch's mentions when it has its own", () => {
+            const job = createJob();
+            job.config = {
+                ...job.config,
+                branch: { id: 1, name: 'Vườn Đào', escalationMentions: { default: ['@vuondao'] } },
+                escalation: { ...job.config.escalation, mentions: { default: ['@quanly'] } }
+            };
+
+            assert.deepEqual(job.getEscalationMentions([{ assignees: ['Minh'] }]), ['@vuondao']);
+        });
+
+        it('reads the mentions from the ESCALATION_MENTIONS JSON text', () => {
+            const job = createJob();
+            job.config = { ...job.config, escalation: { ...job.config.escalation, mentions: '{"default": ["@quanly"], "assignees": {"Minh": ["@minh"]}}' } };
+
+            assert.deepEqual(job.getEscalationMentions([{ assignees: ['Minh'] }]), ['@quanly', '@minh']);
+        });
+
+        it('escalates without mentions when ESCALATION_MENTIONS is not valid JSON', () => {
+            const errors = [];
+            const job = createJob();
+            job.logError = message => errors.push(message);
+            job.config = { ...job.config, escalation: { ...job.config.escalation, mentions: '{"default": [@quanly]}' } };
+
+            assert.deepEqual(job.getEscalationMentions([{ assignees: ['Minh'] }]), []);
+            assert.match(errors[0], /^ESCALATION_MENTIONS is not valid JSON, escalating without mentions: /);
+        });
+
+        it('does not escalate an order again until its state changes', async () => {
+            const state = {};
+            const sent = [];
+            const run = async (clock, sheetRows) => {
+                const job = createJob(sheetRows, clock, null, state);
+                job.telegramBot = { sendToDailyReportTopic: async message => sent.push(message) };
+                await job.sendEscalations(await job.getSheetSnapshot(), clock.now());
+            };
+
+            await run(clockAt('2026-10-19T08:30'), rows);
+            await run(clockAt('2026-10-20T08:30'), rows);
+            assert.equal(sent.length, 1);
+
+            // HD401 reaches Delay lần 3, HD405 is closed
+            const changed = rows.map(row => ({ ...row }));
+            changed[0].delay = 'Delay lần 3';
+            changed[5].status = 'Đóng đơn';
+            await run(clockAt('2026-10-20T08:30'), changed);
+
+            assert.equal(sent.length, 2);
+            assert.match(sent[1], /\(1\):\n\n1\. HD401 - 17\/10\/2026 \(Delay lần 3, quá hạn 3 ngày\)/);
+            assert.deepEqual(Object.keys(state.escalations.escalated), ['HD401', 'HD402']);
+            assert.equal(state.escalations.updatedAt, '2026-10-20T01:30:00.000Z');
+        });
+    });
+
+    describe('runDueAndOverdueReport', () => {
+        it('reads the sheet once for the due, overdue and escalation reports', async () => {
+            const spreadsheet = createWorkSheet([
+                { code: 'HD001', dueDate: '19/10/2026', status: 'Chưa làm' },
+                { code: 'HD002', dueDate: '14/10/2026', status: 'Đang làm', delay: 'Delay lần 2' }
+            ]);
+            const job = createJob([], clockAt('2026-10-19T08:30'), spreadsheet);
+            const messages = [];
+            job.telegramBot = { sendToDailyReportTopic: async message => messages.push(message) };
+
+            assert.equal(await job.runDueAndOverdueReport(), true);
+
+            assert.equal(spreadsheet.calls.filter(call => call.method === 'spreadsheets.values.get').length, 1);
+            assert.equal(messages.length, 3);
+        });
+    });
+
+    describe('main', () => {
+        it('reads the sheet once for all reports', async () => {
+            const spreadsheet = createWorkSheet([
+                { code: 'HD001', receivedDate: '18/10/2026 09:00', dueDate: '19/10/2026', status: 'Chưa làm' },
+                { code: 'HD002', receivedDate: '15/10/2026 09:00', dueDate: '17/10/2026', status: 'Phát sinh', duration: '1h' }
+            ]);
+            const job = createJob([], clockAt('2026-10-19T09:00'), spreadsheet);
+            const messages = [];
+            job.telegramBot = { sendToDailyReportTopic: async message => messages.push(message) };
+
+            assert.equal(await job.main(), true);
+
+            assert.equal(spreadsheet.calls.filter(call => call.method === 'spreadsheets.values.get').length, 1);
+            assert.equal(messages.length, 5);
+            assert.equal(job.sheetSnapshot, null);
+        });
+    });
+});
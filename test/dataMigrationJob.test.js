@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const DataMigrationJob = require('../job/dataMigrationJob');
+
+function createJob() {
+    return new DataMigrationJob(config, { log: () => {}, logError: () => {}, kiotVietClient: {} });
+}
+
+describe('dataMigrationJob mappers', () => {
+    describe('mapGoods', () => {
+        it('maps a KiotViet product to a goods row', () => {
+            assert.deepEqual(createJob().mapGoods({
+                code: 'SP000001',
+                fullName: 'Xi đánh giày Kiwi - Đen',
+                description: 'Xi dạng sáp',
+                basePrice: 45000,
+                inventories: [{ branchId: 101, onHand: 24 }, { branchId: 102, onHand: 3 }],
+                images: ['https://cdn.example.com/kiwi.jpg', 'https://cdn.example.com/kiwi-2.jpg']
+            }, 31), {
+                goods_code: 'SP000001',
+                name: 'Xi đánh giày Kiwi - Đen',
+                description: 'Xi dạng sáp',
+                price: 45000,
+                stock_quantity: 24,
+                status: 1,
+                category_id: 31,
+                image_url: 'https://cdn.example.com/kiwi.jpg'
+            });
+        });
+
+        it('defaults missing price, stock, description, category and image', () => {
+            assert.deepEqual(createJob().mapGoods({ code: 'SP000002', fullName: 'Dây giày', images: [] }), {
+                goods_code: 'SP000002',
+                name: 'Dây giày',
+                description: null,
+                price: 0,
+                stock_quantity: 0,
+                status: 1,
+                category_id: null,
+                image_url: null
+            });
+        });
+    });
+
+    describe('mapService', () => {
+        it('maps a KiotViet service to a service row', () => {
+            assert.deepEqual(createJob().mapService({
+                code: 'DV000003',
+                fullName: 'Sơn đế giày',
+                basePrice: 180000,
+                images: ['https://cdn.example.com/son-de.jpg']
+            }, 42), {
+                name: 'Sơn đế giày',
+                service_code: 'DV000003',
+                description: null,
+                price: 180000,
+                status: 1,
+                category_id: 42,
+                estimated_duration_minutes: 0,
+                image_url: 'https://cdn.example.com/son-de.jpg'
+            });
+        });
+    });
+
+    describe('mapCustomer', () => {
+        it('maps a KiotViet customer to a customer row', () => {
+            assert.deepEqual(createJob().mapCustomer({
+                code: 'KH000501',
+                name: 'Nguyễn Thị Lan',
+                contactNumber: '0901234567',
+                gender: false,
+                birthDate: '1994-05-12T00:00:00'
+            }), {
+                full_name: 'Nguyễn Thị Lan',
+                customer_code: 'KH000501',
+                phone: '0901234567',
+                gender: false,
+                dob: new Date('1994-05-12T00:00:00'),
+                created_by: 'system'
+            });
+        });
+
+        it('leaves phone and date of birth empty when KiotViet has none', () => {
+            const customer = createJob().mapCustomer({ code: 'KH000506', name: 'Đỗ Mai Phương', gender: false });
+
+            assert.equal(customer.phone, null);
+            assert.equal(customer.dob, null);
+        });
+    });
+});
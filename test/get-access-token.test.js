@@ -0,0 +1,94 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const config = require('../config');
+const KiotVietMockServer = require('../mock-server/kiotviet-mock-server');
+const { getKiotVietAccessToken, invalidateKiotVietAccessToken, withKiotVietToken } = require('../service/get-access-token');
+
+describe('KiotViet access token', () => {
+    const server = new KiotVietMockServer({ port: 0, log: () => {} });
+    const { tokenUrl } = config.kiotviet;
+    // Keeps the token service from writing to the log file
+    const silent = { log: () => {}, logError: () => {} };
+
+    /**
+     * GET an API endpoint of the mock server with a token
+     * @param {string} path - Endpoint path
+     * @returns {function(string): Promise<Object>} Request for withKiotVietToken
+     */
+    const request = path => async accessToken => (await axios.get(`${server.url}${path}`, {
+        headers: { 'Retailer': 'test', 'Authorization': `Bearer ${accessToken}` }
+    })).data;
+    const tokenRequests = () => server.requests.filter(({ path }) => path === '/connect/token').length;
+
+    before(async () => {
+        await server.start();
+        config.kiotviet.tokenUrl = `${server.url}/connect/token`;
+    });
+
+    after(async () => {
+        config.kiotviet.tokenUrl = tokenUrl;
+        await server.stop();
+    });
+
+    beforeEach(() => {
+        invalidateKiotVietAccessToken();
+        server.requests = [];
+        server.tokenExpiresIn = 86400;
+    });
+
+    it('reuses the cached token until it expires', async () => {
+        const first = await getKiotVietAccessToken(silent);
+
+        assert.equal(await getKiotVietAccessToken(silent), first);
+        assert.equal(tokenRequests(), 1);
+    });
+
+    it('shares one token request between concurrent callers', async () => {
+        const tokens = await Promise.all([getKiotVietAccessToken(silent), getKiotVietAccessToken(silent), getKiotVietAccessToken(silent)]);
+
+        assert.equal(new Set(tokens).size, 1);
+        assert.equal(tokenRequests(), 1);
+    });
+
+    it('requests a new token when the cached one is about to expire', async () => {
+        // Within the 5 minute refresh margin
+        server.tokenExpiresIn = 120;
+
+        const first = await getKiotVietAccessToken(silent);
+
+        assert.notEqual(await getKiotVietAccessToken(silent), first);
+        assert.equal(tokenRequests(), 2);
+    });
+
+    it('requests a new token when asked to refresh', async () => {
+        const first = await getKiotVietAccessToken(silent);
+
+        assert.notEqual(await getKiotVietAccessToken({ ...silent, forceRefresh: true }), first);
+    });
+
+    it('refreshes the token and retries once when the API answers 401', async () => {
+        await getKiotVietAccessToken(silent);
+        server.expireTokens();
+
+        const customer = await withKiotVietToken(request('/customers/501'), getKiotVietAccessToken, silent);
+
+        assert.equal(customer.id, 501);
+        assert.equal(tokenRequests(), 2);
+        assert.deepEqual(server.requests.map(({ path }) => path), ['/connect/token', '/customers/501', '/connect/token', '/customers/501']);
+    });
+
+    it('gives up after one retry when the API keeps answering 401', async () => {
+        server.failNext(401, { path: '/customers/501', times: 2 });
+
+        await assert.rejects(withKiotVietToken(request('/customers/501'), getKiotVietAccessToken, silent), error => error.response.status === 401);
+        assert.equal(server.requests.filter(({ path }) => path === '/customers/501').length, 2);
+    });
+
+    it('does not refresh the token on other errors', async () => {
+        server.failNext(500, { path: '/customers/501' });
+
+        await assert.rejects(withKiotVietToken(request('/customers/501'), getKiotVietAccessToken, silent), error => error.response.status === 500);
+        assert.equal(tokenRequests(), 1);
+    });
+});
@@ -0,0 +1,273 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { InMemorySpreadsheet, SheetsApiError, parseA1Range, parseUserEnteredValue } = require('../service/in-memory-sheets-service');
+
+// Serial number of 19/10/2026 (days since 30/12/1899)
+const OCT_19_2026 = 46314;
+
+/**
+ * Create a spreadsheet with a single tab "Sheet" holding the given values (entered as USER_ENTERED)
+ * @param {Array<Array<*>>} rows - Rows of values
+ * @returns {{spreadsheet: InMemorySpreadsheet, sheets: Object}} The spreadsheet and its API
+ */
+function createSheet(rows = []) {
+    const spreadsheet = new InMemorySpreadsheet({ id: 'test', sheets: { Sheet: rows } });
+    return { spreadsheet, sheets: spreadsheet.api };
+}
+
+/**
+ * Read a range the way the jobs do
+ * @param {Object} sheets - Sheets API
+ * @param {string} range - A1 range
+ * @returns {Promise<Array<Array<string>>>} Formatted values ([] when empty)
+ */
+async function readValues(sheets, range = 'Sheet') {
+    return (await sheets.spreadsheets.values.get({ spreadsheetId: 'test', range })).data.values || [];
+}
+
+/**
+ * Send batchUpdate requests
+ * @param {Object} sheets - Sheets API
+ * @param {Array<Object>} requests - Requests
+ * @returns {Promise<Object>} Response body
+ */
+async function batchUpdate(sheets, requests) {
+    return (await sheets.spreadsheets.batchUpdate({ spreadsheetId: 'test', requestBody: { requests } })).data;
+}
+
+describe('in-memory Sheets API', () => {
+    describe('parseA1Range', () => {
+        it('reads a whole sheet, columns, rows, open-ended ranges and single cells', () => {
+            assert.deepEqual(parseA1Range('Sheet'), { sheetName: 'Sheet', startRow: 0, endRow: null, startColumn: 0, endColumn: null });
+            assert.deepEqual(parseA1Range('Sheet!A:L'), { sheetName: 'Sheet', startRow: 0, endRow: null, startColumn: 0, endColumn: 12 });
+            assert.deepEqual(parseA1Range('Sheet!A1:L1'), { sheetName: 'Sheet', startRow: 0, endRow: 1, startColumn: 0, endColumn: 12 });
+            assert.deepEqual(parseA1Range('Sheet!2:2'), { sheetName: 'Sheet', startRow: 1, endRow: 2, startColumn: 0, endColumn: null });
+            assert.deepEqual(parseA1Range('Sheet!F2:F'), { sheetName: 'Sheet', startRow: 1, endRow: null, startColumn: 5, endColumn: 6 });
+            assert.deepEqual(parseA1Range('Sheet!E2'), { sheetName: 'Sheet', startRow: 1, endRow: 2, startColumn: 4, endColumn: 5 });
+            assert.deepEqual(parseA1Range('Sheet!AA3'), { sheetName: 'Sheet', startRow: 2, endRow: 3, startColumn: 26, endColumn: 27 });
+        });
+
+        it('unquotes sheet names, including escaped quotes and "!"', () => {
+            assert.equal(parseA1Range("'Công việc'!A1").sheetName, 'Công việc');
+            assert.equal(parseA1Range("'Lan''s tab'!A1").sheetName, "Lan's tab");
+            assert.equal(parseA1Range("'A!B'!C3").sheetName, 'A!B');
+        });
+
+        it('rejects a malformed range', () => {
+            assert.throws(() => parseA1Range('Sheet!1A'), SheetsApiError);
+            assert.throws(() => parseA1Range('Sheet!:'), /Unable to parse range: Sheet!:/);
+        });
+    });
+
+    describe('parseUserEnteredValue', () => {
+        it('keeps text after a leading quote and reads numbers', () => {
+            assert.deepEqual(parseUserEnteredValue("'0901234567"), { value: '0901234567' });
+            assert.deepEqual(parseUserEnteredValue('42'), { value: 42 });
+            assert.deepEqual(parseUserEnteredValue('-3.5'), { value: -3.5 });
+            assert.deepEqual(parseUserEnteredValue('Giày Nike'), { value: 'Giày Nike' });
+        });
+
+        it('turns M/d/yyyy dates and date times into serial numbers', () => {
+            assert.deepEqual(parseUserEnteredValue('10/19/2026'), {
+                value: OCT_19_2026,
+                numberFormat: { type: 'DATE', pattern: 'M/d/yyyy' }
+            });
+            assert.deepEqual(parseUserEnteredValue('10/19/2026 14:30'), {
+                value: OCT_19_2026 + 14.5 / 24,
+                numberFormat: { type: 'DATE_TIME', pattern: 'M/d/yyyy H:mm:ss' }
+            });
+        });
+
+        it('keeps dates that are not valid US dates as text', () => {
+            assert.deepEqual(parseUserEnteredValue('19/10/2026'), { value: '19/10/2026' });
+            assert.deepEqual(parseUserEnteredValue('2/30/2026'), { value: '2/30/2026' });
+        });
+    });
+
+    describe('values', () => {
+        it('returns formatted values without trailing empty cells and rows', async () => {
+            const { sheets } = createSheet([['Hoá đơn', 'Ngày', ''], ['HD001', '10/19/2026', ''], ['', '', '']]);
+
+            assert.deepEqual(await readValues(sheets), [['Hoá đơn', 'Ngày'], ['HD001', '10/19/2026']]);
+            assert.deepEqual(await readValues(sheets, 'Sheet!B2:B'), [['10/19/2026']]);
+            assert.deepEqual(await readValues(sheets, 'Sheet!D1:D'), []);
+        });
+
+        it('formats dates with the cell number format', async () => {
+            const { sheets } = createSheet([['10/19/2026 14:30']]);
+            await batchUpdate(sheets, [{
+                repeatCell: {
+                    range: { sheetId: 0, startRowIndex: 0, endRowIndex: 1, startColumnIndex: 0, endColumnIndex: 1 },
+                    cell: { userEnteredFormat: { numberFormat: { type: 'DATE_TIME', pattern: 'dd/MM/yyyy HH:mm' } } },
+                    fields: 'userEnteredFormat.numberFormat'
+                }
+            }]);
+
+            assert.deepEqual(await readValues(sheets), [['19/10/2026 14:30']]);
+        });
+
+        it('stores RAW values as text', async () => {
+            const { sheets } = createSheet();
+
+            await sheets.spreadsheets.values.update({ spreadsheetId: 'test', range: 'Sheet!A1', valueInputOption: 'RAW', requestBody: { values: [['10/19/2026', 42]] } });
+
+            const [row] = (await sheets.spreadsheets.get({ spreadsheetId: 'test', includeGridData: true })).data.sheets[0].data[0].rowData;
+            assert.deepEqual(row.values.slice(0, 2).map(cell => cell.userEnteredValue), [{ stringValue: '10/19/2026' }, { stringValue: '42' }]);
+        });
+    });
+
+    describe('atomic updates', () => {
+        it('applies nothing from a batchUpdate when one of its requests fails', async () => {
+            const { spreadsheet, sheets } = createSheet([['HD001']]);
+
+            await assert.rejects(batchUpdate(sheets, [
+                { addSheet: { properties: { title: 'Archive' } } },
+                { updateCells: { start: { sheetId: 0 }, rows: [{ values: [{ userEnteredValue: { stringValue: 'HD002' } }] }], fields: 'userEnteredValue' } },
+                { deleteConditionalFormatRule: { sheetId: 0, index: 0 } }
+            ]), /No conditional format on sheet 0 at index 0/);
+
+            assert.deepEqual(await readValues(sheets), [['HD001']]);
+            assert.deepEqual(spreadsheet.sheets.map(sheet => sheet.title), ['Sheet']);
+            // The next sheet still gets the ID the rolled back one had
+            assert.equal((await batchUpdate(sheets, [{ addSheet: { properties: { title: 'Archive' } } }])).replies[0].addSheet.properties.sheetId, 1);
+        });
+
+        it('applies nothing from a values.batchUpdate when one of its ranges fails', async () => {
+            const { sheets } = createSheet([['HD001']]);
+
+            await assert.rejects(sheets.spreadsheets.values.batchUpdate({
+                spreadsheetId: 'test',
+                requestBody: {
+                    valueInputOption: 'RAW',
+                    data: [{ range: 'Sheet!A1', values: [['HD002']] }, { range: 'Missing!A1', values: [['HD003']] }]
+                }
+            }), SheetsApiError);
+
+            assert.deepEqual(await readValues(sheets), [['HD001']]);
+        });
+
+        it('rejects unsupported requests', async () => {
+            const { sheets } = createSheet();
+
+            await assert.rejects(batchUpdate(sheets, [{ mergeCells: {} }]), /Invalid requests\[0\]: unsupported request mergeCells/);
+        });
+    });
+
+    describe('updateCells', () => {
+        const rows = [{ values: [{ userEnteredValue: { stringValue: 'x' } }] }];
+
+        it('only writes the given cells when addressed with start', async () => {
+            const { sheets } = createSheet([['a', 'b'], ['c', 'd']]);
+
+            await batchUpdate(sheets, [{ updateCells: { start: { sheetId: 0, rowIndex: 0, columnIndex: 1 }, rows, fields: 'userEnteredValue' } }]);
+
+            assert.deepEqual(await readValues(sheets), [['a', 'x'], ['c', 'd']]);
+        });
+
+        it('clears the cells of the range that rows does not cover', async () => {
+            const { sheets } = createSheet([['a', 'b'], ['c', 'd']]);
+
+            await batchUpdate(sheets, [{
+                updateCells: { range: { sheetId: 0, startRowIndex: 0, endRowIndex: 2, startColumnIndex: 1, endColumnIndex: 2 }, rows, fields: 'userEnteredValue' }
+            }]);
+
+            assert.deepEqual(await readValues(sheets), [['a', 'x'], ['c']]);
+        });
+
+        it('keeps the fields outside the mask', async () => {
+            const { sheets } = createSheet([['a']]);
+            const range = { sheetId: 0, startRowIndex: 0, endRowIndex: 1, startColumnIndex: 0, endColumnIndex: 1 };
+
+            await batchUpdate(sheets, [
+                { repeatCell: { range, cell: { userEnteredFormat: { textFormat: { bold: true } } }, fields: 'userEnteredFormat.textFormat.bold' } },
+                { updateCells: { range, rows, fields: 'userEnteredValue' } }
+            ]);
+
+            const [cell] = (await sheets.spreadsheets.get({ spreadsheetId: 'test', includeGridData: true })).data.sheets[0].data[0].rowData[0].values;
+            assert.deepEqual([cell.formattedValue, cell.userEnteredFormat], ['x', { textFormat: { bold: true } }]);
+        });
+
+        it('requires a field mask', async () => {
+            const { sheets } = createSheet();
+
+            await assert.rejects(batchUpdate(sheets, [{ updateCells: { start: { sheetId: 0 }, rows } }]), /'fields' is required/);
+        });
+    });
+
+    describe('conditional formats', () => {
+        /**
+         * Create a sheet with one rule on rows 2-10 and one on column B, then run requests
+         * @param {Array<Object>} requests - batchUpdate requests to run after adding the rules
+         * @returns {Promise<Array<Object>>} Ranges of the two rules
+         */
+        async function rangesAfter(requests) {
+            const { sheets } = createSheet();
+            await batchUpdate(sheets, [
+                { addConditionalFormatRule: { rule: { ranges: [{ sheetId: 0, startRowIndex: 1, endRowIndex: 10 }] }, index: 0 } },
+                { addConditionalFormatRule: { rule: { ranges: [{ sheetId: 0, startColumnIndex: 1, endColumnIndex: 2 }] }, index: 1 } },
+                ...requests
+            ]);
+            const { conditionalFormats } = (await sheets.spreadsheets.get({ spreadsheetId: 'test' })).data.sheets[0];
+            return conditionalFormats.map(rule => rule.ranges[0]);
+        }
+
+        it('moves rules down past inserted rows and grows rules the rows land in', async () => {
+            assert.deepEqual(await rangesAfter([
+                { insertDimension: { range: { sheetId: 0, dimension: 'ROWS', startIndex: 0, endIndex: 1 } } },
+                { insertDimension: { range: { sheetId: 0, dimension: 'ROWS', startIndex: 5, endIndex: 7 } } }
+            ]), [
+                { sheetId: 0, startRowIndex: 2, endRowIndex: 13 },
+                { sheetId: 0, startColumnIndex: 1, endColumnIndex: 2 }
+            ]);
+        });
+
+        it('shrinks rules over deleted rows and columns', async () => {
+            assert.deepEqual(await rangesAfter([
+                { deleteDimension: { range: { sheetId: 0, dimension: 'ROWS', startIndex: 0, endIndex: 3 } } },
+                { deleteDimension: { range: { sheetId: 0, dimension: 'COLUMNS', startIndex: 0, endIndex: 1 } } }
+            ]), [
+                { sheetId: 0, startRowIndex: 0, endRowIndex: 7 },
+                { sheetId: 0, startColumnIndex: 0, endColumnIndex: 1 }
+            ]);
+        });
+    });
+
+    describe('copyPaste', () => {
+        const gridRange = (startRowIndex, endRowIndex, startColumnIndex, endColumnIndex) => (
+            { sheetId: 0, startRowIndex, endRowIndex, startColumnIndex, endColumnIndex }
+        );
+
+        it('tiles the source over a larger destination', async () => {
+            const { sheets } = createSheet([['x', 'y']]);
+
+            await batchUpdate(sheets, [{ copyPaste: { source: gridRange(0, 1, 0, 2), destination: gridRange(2, 4, 0, 4) } }]);
+
+            assert.deepEqual((await readValues(sheets)).slice(2), [['x', 'y', 'x', 'y'], ['x', 'y', 'x', 'y']]);
+        });
+
+        it('pastes the whole source into a smaller destination', async () => {
+            const { sheets } = createSheet([['x', 'y']]);
+
+            await batchUpdate(sheets, [{ copyPaste: { source: gridRange(0, 1, 0, 2), destination: gridRange(1, 2, 0, 1) } }]);
+
+            assert.deepEqual(await readValues(sheets), [['x', 'y'], ['x', 'y']]);
+        });
+
+        it('copies only the format with PASTE_FORMAT', async () => {
+            const { sheets } = createSheet([['10/19/2026', '10/20/2026']]);
+
+            await batchUpdate(sheets, [
+                {
+                    repeatCell: {
+                        range: gridRange(0, 1, 0, 1),
+                        cell: { userEnteredFormat: { numberFormat: { type: 'DATE', pattern: 'dd/MM/yyyy' } } },
+                        fields: 'userEnteredFormat.numberFormat'
+                    }
+                },
+                { copyPaste: { source: gridRange(0, 1, 0, 1), destination: gridRange(0, 1, 1, 2), pasteType: 'PASTE_FORMAT' } }
+            ]);
+
+            assert.deepEqual(await readValues(sheets), [['19/10/2026', '20/10/2026']]);
+        });
+    });
+});
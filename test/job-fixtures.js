@@ -0,0 +1,81 @@
+const config = require('../config');
+const { InMemorySpreadsheet } = require('../service/in-memory-sheets-service');
+const { SheetLayout } = require('../service/sheet-schema-service');
+const { Clock } = require('../service/clock-service');
+
+/**
+ * Shared fixtures for the job tests: an in-memory work sheet, a pinned clock and a job wired to them
+ */
+
+const SHEET_NAME = 'Công việc';
+const SPREADSHEET_ID = 'test-spreadsheet';
+const layout = new SheetLayout(config.spreadsheet.columns, config.spreadsheet.headers);
+
+/**
+ * Create a clock pinned to a time in Vietnam
+ * @param {string} time - Local time, e.g. '2026-10-19T09:00'
+ * @returns {Clock} The clock
+ */
+function clockAt(time) {
+    return new Clock({ timeZone: 'Asia/Ho_Chi_Minh', now: () => new Date(`${time}:00+07:00`) });
+}
+
+/**
+ * Create a spreadsheet holding the given tabs, each with the configured header row
+ * @param {Object<string, Array<Object>>} tabs - Tab name -> rows as logical field -> value (as the sheet shows them)
+ * @returns {InMemorySpreadsheet} The spreadsheet
+ */
+function createSpreadsheet(tabs = {}) {
+    const sheets = {};
+    Object.entries(tabs).forEach(([title, rows]) => {
+        sheets[title] = [config.spreadsheet.headers, ...rows.map(row => layout.toRow(row))];
+    });
+    return new InMemorySpreadsheet({ id: SPREADSHEET_ID, valueInputOption: 'RAW', sheets });
+}
+
+/**
+ * Create a spreadsheet holding only the work tab
+ * @param {Array<Object>} rows - Rows as logical field -> value
+ * @returns {InMemorySpreadsheet} The spreadsheet
+ */
+function createWorkSheet(rows = []) {
+    return createSpreadsheet({ [SHEET_NAME]: rows });
+}
+
+/**
+ * Create a sync state store kept in memory
+ * @param {Object} state - Key -> value, updated in place
+ * @returns {{readSyncState: Function, writeSyncState: Function}} Options replacing the state file
+ */
+function stateStore(state) {
+    return {
+        readSyncState: (stateFile, key) => state[key] || null,
+        writeSyncState: (stateFile, key, value) => {
+            state[key] = value;
+        }
+    };
+}
+
+/**
+ * Create a job reading and writing a test spreadsheet, with silent logs
+ * @param {Function} JobClass - Job class to construct
+ * @param {Object} options - `{ spreadsheet, clock, config }` plus any job option to override; `config` is
+ *   merged over the configuration (the spreadsheet ID and work tab are set already)
+ * @returns {Object} The job
+ */
+function createJob(JobClass, { spreadsheet = null, clock = clockAt('2026-10-19T09:00'), config: overrides = {}, ...options } = {}) {
+    return new JobClass({
+        ...config,
+        spreadsheet: { ...config.spreadsheet, id: SPREADSHEET_ID, sheetName: SHEET_NAME },
+        ...overrides
+    }, {
+        getGoogleClient: spreadsheet ? spreadsheet.getGoogleClient : undefined,
+        log: () => {},
+        logError: () => {},
+        telegramBot: {},
+        clock: clock,
+        ...options
+    });
+}
+
+module.exports = { SHEET_NAME, layout, clockAt, createSpreadsheet, createWorkSheet, stateStore, createJob };
@@ -0,0 +1,133 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const KiotVietMockServer = require('../mock-server/kiotviet-mock-server');
+const KiotVietClient = require('../service/kiotviet-client-service');
+const { invalidateKiotVietAccessToken } = require('../service/get-access-token');
+
+describe('KiotVietClient', () => {
+    const server = new KiotVietMockServer({ port: 0, log: () => {} });
+    const { tokenUrl } = config.kiotviet;
+
+    /**
+     * Create a client of the mock server that records its backoff delays instead of waiting
+     * @param {Object} clientConfig - Settings merged over `config.kiotviet`
+     * @param {Object} options - `{ wait }`: milliseconds each backoff really waits, for the rate limit window
+     * @returns {{client: KiotVietClient, delays: Array<number>}} The client and the delays it slept
+     */
+    function createClient(clientConfig = {}, { wait = 0 } = {}) {
+        const delays = [];
+        const client = new KiotVietClient({
+            ...config,
+            retailer: 'test',
+            kiotviet: { ...config.kiotviet, baseUrl: server.url, retryDelay: 100, maxRetries: 3, ...clientConfig }
+        }, {
+            log: () => {},
+            logError: () => {},
+            sleep: ms => {
+                delays.push(ms);
+                return new Promise(resolve => setTimeout(resolve, wait));
+            }
+        });
+        return { client, delays };
+    }
+    const apiRequests = path => server.requests.filter(request => request.path === path);
+
+    before(async () => {
+        await server.start();
+        config.kiotviet.tokenUrl = `${server.url}/connect/token`;
+    });
+
+    after(async () => {
+        config.kiotviet.tokenUrl = tokenUrl;
+        await server.stop();
+    });
+
+    beforeEach(() => {
+        invalidateKiotVietAccessToken();
+        server.requests = [];
+        server.failures = [];
+        server.rateLimit = null;
+        server.recentRequests = [];
+    });
+
+    describe('get', () => {
+        it('retries 5xx answers with exponential backoff', async () => {
+            server.failNext(502, { path: '/customers/501' }).failNext(503, { path: '/customers/501' });
+            const { client, delays } = createClient();
+
+            const customer = await client.getCustomer(501);
+
+            assert.equal(customer.id, 501);
+            assert.deepEqual(delays, [100, 200]);
+            assert.equal(apiRequests('/customers/501').length, 3);
+        });
+
+        it('waits for Retry-After on 429', async () => {
+            server.failNext(429, { path: '/customers/501', retryAfter: 2 });
+            const { client, delays } = createClient();
+
+            assert.equal((await client.getCustomer(501)).id, 501);
+            assert.deepEqual(delays, [2000]);
+        });
+
+        it('gives up after the configured number of retries', async () => {
+            server.failNext(500, { path: '/customers/501', times: 5 });
+            const { client, delays } = createClient({ maxRetries: 2 });
+
+            await assert.rejects(client.getCustomer(501), error => error.response.status === 500);
+            assert.deepEqual(delays, [100, 200]);
+            assert.equal(apiRequests('/customers/501').length, 3);
+        });
+
+        it('does not retry other client errors', async () => {
+            const { client, delays } = createClient();
+
+            await assert.rejects(client.getInvoiceByCode('HD999999'), error => error.response.status === 404);
+            assert.deepEqual(delays, []);
+            assert.equal(apiRequests('/invoices/code/HD999999').length, 1);
+        });
+    });
+
+    describe('getAll', () => {
+        it('walks the pages until the reported total', async () => {
+            const { client } = createClient();
+
+            const invoices = await client.getInvoices({}, { pageSize: 5 });
+
+            assert.equal(invoices.length, server.fixtures.invoices.length);
+            assert.deepEqual(new Set(invoices.map(invoice => invoice.code)).size, invoices.length);
+            assert.deepEqual(apiRequests('/invoices').map(request => request.query.currentItem), ['0', '5', '10']);
+        });
+
+        it('stops at the page limit', async () => {
+            const { client } = createClient({ maxPages: 2 });
+
+            const invoices = await client.getInvoices({}, { pageSize: 5 });
+
+            assert.equal(invoices.length, 10);
+            assert.equal(apiRequests('/invoices').length, 2);
+        });
+
+        it('retries a failed page without refetching the previous ones', async () => {
+            server.failNext(503, { path: '/invoices' });
+            const { client, delays } = createClient();
+
+            await client.getInvoices({}, { pageSize: 20 });
+
+            assert.deepEqual(delays, [100]);
+            assert.deepEqual(apiRequests('/invoices').map(request => request.query.currentItem), ['0', '0']);
+        });
+
+        it('gets every page past the rate limit by waiting for Retry-After', async () => {
+            server.rateLimit = { limit: 2, windowMs: 50 };
+            const { client, delays } = createClient({}, { wait: 60 });
+
+            const invoices = await client.getInvoices({}, { pageSize: 5 });
+
+            assert.equal(invoices.length, server.fixtures.invoices.length);
+            assert.ok(delays.length > 0);
+            assert.ok(delays.every(ms => ms === 1000));
+        });
+    });
+});
@@ -0,0 +1,194 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const PerformanceReportJob = require('../job/performanceReportJob');
+const { getBranchConfigs } = require('../service/branch-service');
+const fixtures = require('./job-fixtures');
+const { SHEET_NAME, clockAt, createSpreadsheet } = fixtures;
+
+// Monday 19/10/2026: the previous week is 12/10 - 18/10, the previous month September
+const clock = clockAt('2026-10-19T08:15');
+
+/**
+ * Create a job reading the given tabs (values as the sheet shows them)
+ * @param {Object<string, Array<Object>>} tabs - Tab name -> rows as logical field -> value
+ * @param {Object} overrides - Configuration merged over the test configuration
+ * @returns {{job: PerformanceReportJob, messages: Array<string>, spreadsheet: InMemorySpreadsheet}} The job and what it sent
+ */
+function createJob(tabs, overrides = {}) {
+    const spreadsheet = createSpreadsheet(tabs);
+    const messages = [];
+
+    const job = fixtures.createJob(PerformanceReportJob, {
+        spreadsheet,
+        clock,
+        config: overrides,
+        telegramBot: { sendToDailyReportTopic: async message => messages.push(message) }
+    });
+
+    return { job, messages, spreadsheet };
+}
+
+const workRows = [
+    // Received and closed on time, two items
+    { code: 'HD001', receivedDate: '12/10/2026 09:00', dueDate: '14/10/2026', work: 'vệ sinh + sơn đế', status: 'Đóng đơn', assignee: 'Minh', duration: '2h', delay: 'Chọn' },
+    { code: 'HD001', receivedDate: '12/10/2026 09:00', dueDate: '15/10/2026', work: 'Vệ sinh', status: 'Đóng đơn', assignee: 'Huy', duration: '1h', delay: 'Chọn' },
+    // Rescheduled, closed in the period
+    { code: 'HD002', receivedDate: '13/10/2026 10:00', dueDate: '15/10/2026', newDueDate: '17/10', work: 'thay khoá', status: 'Đóng đơn', assignee: 'Minh', duration: '45p' },
+    // Received in the period, still open
+    { code: 'HD003', receivedDate: '16/10/2026 10:00', dueDate: '20/10/2026', work: 'vệ sinh', status: 'Đang làm', assignee: 'Huy' },
+    // Cancelled
+    { code: 'HD004', receivedDate: '17/10/2026 10:00', dueDate: '19/10/2026', work: 'nhuộm', status: 'Huỷ đơn' },
+    // Received before the period, closed in it with a delay
+    { code: 'HD005', receivedDate: '08/10/2026 10:00', dueDate: '12/10/2026', work: 'sơn đế', status: 'Đóng đơn', assignee: 'Huy', duration: '3h', delay: 'Delay lần 1' },
+    // Closed after the period
+    { code: 'HD006', receivedDate: '14/10/2026 10:00', dueDate: '19/10/2026', work: 'vệ sinh', status: 'Đóng đơn', assignee: 'Minh' }
+];
+
+describe('PerformanceReportJob', () => {
+    describe('getPeriod', () => {
+        it('returns the previous Monday to Sunday', () => {
+            const { from, to, label } = createJob({}).job.getPeriod('week', new Date(2026, 9, 21, 10, 0));
+
+            assert.deepEqual([from, to], [new Date(2026, 9, 12), new Date(2026, 9, 18)]);
+            assert.equal(label, '12/10/2026 - 18/10/2026');
+        });
+
+        it('returns the previous calendar month', () => {
+            const { from, to } = createJob({}).job.getPeriod('month', new Date(2026, 2, 1, 8, 20));
+
+            assert.deepEqual([from, to], [new Date(2026, 1, 1), new Date(2026, 1, 28)]);
+        });
+
+        it('rejects an unknown period', () => {
+            assert.throws(() => createJob({}).job.getPeriod('year', new Date()), /Unknown period "year"/);
+        });
+    });
+
+    describe('main', () => {
+        it('posts the weekly summary', async () => {
+            const { job, messages } = createJob({ [SHEET_NAME]: workRows });
+
+            assert.equal(await job.main('week'), true);
+
+            assert.deepEqual(messages, [[
+                '📊 BÁO CÁO HIỆU SUẤT TUẦN 12/10/2026 - 18/10/2026 📊',
+                '',
+                '📥 Đơn nhận: 5 (huỷ 1)',
+                '✅ Đơn đã đóng: 3',
+                '   ⏱ Đúng hạn: 1 (33%)',
+                '   🔄 Trễ hẹn: 2 (67%)',
+                '📆 Thời gian xử lý trung bình: 3.7 ngày',
+                'ℹ️ Ngày đóng đơn tính theo ngày trả (hoặc ngày trả mới)',
+                '',
+                '🛠 Dịch vụ nhiều nhất:',
+                '1. vệ sinh: 4',
+                '2. sơn đế: 1',
+                '3. thay khoá: 1',
+                '',
+                '👷 Công việc hoàn thành theo người làm:',
+                '- Minh: 2 việc, 2h45',
+                '- Huy: 2 việc, 4h'
+            ].join('\n')]);
+        });
+
+        it('includes every archive tab up to the period in the monthly summary', async () => {
+            const { job, spreadsheet } = createJob({
+                [SHEET_NAME]: workRows,
+                'Công việc-Archive-2026-08': [
+                    { code: 'HD090', receivedDate: '30/08/2026 10:00', dueDate: '02/09/2026', work: 'vệ sinh', status: 'Đóng đơn', assignee: 'Minh' }
+                ],
+                'Công việc-Archive-2026-09': [
+                    { code: 'HD091', receivedDate: '10/09/2026 10:00', dueDate: '12/09/2026', work: 'vệ sinh', status: 'Đóng đơn', assignee: 'Minh' },
+                    { code: 'HD092', receivedDate: '11/09/2026 10:00', dueDate: '11/09/2026', work: 'dán đế', status: 'Huỷ đơn' }
+                ],
+                'Công việc-Archive-2026-07': [
+                    { code: 'HD080', receivedDate: '10/07/2026 10:00', dueDate: '12/07/2026', status: 'Đóng đơn' },
+                    // Received two months before the period, closed in it
+                    { code: 'HD081', receivedDate: '20/07/2026 10:00', dueDate: '03/09/2026', work: 'sơn lại', status: 'Đóng đơn' }
+                ],
+                'Công việc-Archive-2026-10': [
+                    { code: 'HD100', receivedDate: '01/10/2026 10:00', dueDate: '02/10/2026', status: 'Đóng đơn' }
+                ],
+                'Khách hàng': []
+            });
+
+            const summary = job.summarize(await job.readRows(job.getPeriod('month', clock.now())), job.getPeriod('month', clock.now()));
+
+            assert.deepEqual([summary.received, summary.cancelled, summary.closed, summary.averageTurnaroundDays], [2, 1, 3, 16.7]);
+            assert.deepEqual(spreadsheet.calls.filter(call => call.method === 'spreadsheets.values.get').map(call => call.params.range),
+                [SHEET_NAME, 'Công việc-Archive-2026-08', 'Công việc-Archive-2026-09', 'Công việc-Archive-2026-07']);
+        });
+
+        it("keeps each branch's totals to its own work and archive tabs", async () => {
+            const branches = [{ id: 1, name: 'Vườn Đào' }, { id: 2, name: 'Cầu Giấy' }];
+            const spreadsheet = createSpreadsheet({
+                'Vườn Đào': [
+                    { code: 'HD101', receivedDate: '02/09/2026 10:00', dueDate: '04/09/2026', work: 'vệ sinh', status: 'Đóng đơn' }
+                ],
+                'Vườn Đào-Archive-2026-09': [
+                    { code: 'HD102', receivedDate: '05/09/2026 10:00', dueDate: '07/09/2026', work: 'vệ sinh', status: 'Đóng đơn' },
+                    { code: 'HD103', receivedDate: '06/09/2026 10:00', dueDate: '08/09/2026', work: 'sơn đế', status: 'Huỷ đơn' }
+                ],
+                'Cầu Giấy': [],
+                'Cầu Giấy-Archive-2026-09': [
+                    { code: 'HD201', receivedDate: '10/09/2026 10:00', dueDate: '12/09/2026', work: 'thay khoá', status: 'Đóng đơn' }
+                ]
+            });
+
+            const totals = [];
+            for (const branchConfig of getBranchConfigs({ ...config, branches })) {
+                const job = fixtures.createJob(PerformanceReportJob, {
+                    spreadsheet,
+                    clock,
+                    config: { ...branchConfig, spreadsheet: { ...branchConfig.spreadsheet, id: 'test-spreadsheet' } }
+                });
+                const period = job.getPeriod('month', clock.now());
+                const summary = job.summarize(await job.readRows(period), period);
+                totals.push([branchConfig.branch.name, summary.received, summary.cancelled, summary.closed]);
+            }
+
+            assert.deepEqual(totals, [['Vườn Đào', 3, 1, 2], ['Cầu Giấy', 1, 0, 1]]);
+        });
+
+        it('exports the summary as CSV', async () => {
+            const { job } = createJob({ [SHEET_NAME]: workRows });
+            const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'performance-')), 'summary.csv');
+
+            assert.equal(await job.main('week', { csv: file }), true);
+
+            const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+            assert.deepEqual(lines.slice(0, 4), ['section,name,value', 'period,from,12/10/2026', 'period,to,18/10/2026', 'orders,received,5']);
+            assert.ok(lines.includes('service,vệ sinh,4'));
+            assert.ok(lines.includes('personEstimatedMinutes,Huy,240'));
+            assert.ok(lines.includes('note,closedDate,Ngày đóng đơn tính theo ngày trả (hoặc ngày trả mới)'));
+            fs.rmSync(path.dirname(file), { recursive: true });
+        });
+
+        it('writes the CSV even when Telegram is not configured', async () => {
+            const { botToken } = config.telegram;
+            config.telegram.botToken = '';
+            try {
+                const errors = [];
+                const job = fixtures.createJob(PerformanceReportJob, {
+                    spreadsheet: createSpreadsheet({ [SHEET_NAME]: workRows }),
+                    clock,
+                    telegramBot: undefined,
+                    logError: message => errors.push(message)
+                });
+                const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'performance-')), 'summary.csv');
+
+                assert.equal(await job.main('week', { csv: file }), false);
+
+                assert.ok(fs.readFileSync(file, 'utf8').includes('orders,received,5'));
+                assert.deepEqual(errors, ['Error in performance report job: Missing Telegram bot token in configuration']);
+                fs.rmSync(path.dirname(file), { recursive: true });
+            } finally {
+                config.telegram.botToken = botToken;
+            }
+        });
+    });
+});
@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const PickupReminderJob = require('../job/pickupReminderJob');
+const fixtures = require('./job-fixtures');
+const { clockAt, createWorkSheet, stateStore } = fixtures;
+
+const clock = clockAt('2026-10-19T09:30');
+
+const invoices = {
+    HD001: { code: 'HD001', customerId: 501, customerName: 'Nguyễn Thị Lan' },
+    HD002: { code: 'HD002', customerId: 506, customerName: 'Đỗ Mai Phương' },
+    HD003: { code: 'HD003', customerName: 'Khách lẻ' }
+};
+const customers = {
+    501: { id: 501, name: 'Nguyễn Thị Lan', contactNumber: '090 123 4567' },
+    506: { id: 506, name: 'Đỗ Mai Phương' }
+};
+
+/**
+ * Create a job reading the given rows, with fake KiotViet, channel and state store
+ * @param {Array<Object>} rows - Rows as logical field -> value
+ * @param {Object} options - `{ isSendAllowed, channel, state }`: `channel` is the name of the fake channel,
+ *   which only logs the reminders when it is 'log'
+ * @returns {{job: PickupReminderJob, sent: Array<Object>, state: Object}} The job, the reminders it sent and the state store
+ */
+function createJob(rows, { isSendAllowed = true, channel = 'zalo', state = {} } = {}) {
+    const sent = [];
+
+    const job = fixtures.createJob(PickupReminderJob, {
+        spreadsheet: createWorkSheet(rows),
+        clock,
+        config: { reminders: { ...config.reminders, template: 'Chào {customerName}, đơn {code} ({items}) hẹn trả {dueDate}.' } },
+        kiotVietClient: {
+            getInvoiceByCode: async code => invoices[code],
+            getCustomer: async id => customers[id]
+        },
+        getSetting: async () => ({ templateId: ['444594'], isSendAllowed }),
+        createChannel: () => ({
+            name: channel,
+            send: async reminder => {
+                if (channel === 'log') {
+                    return { status: 'logged', messageId: null };
+                }
+                sent.push(reminder);
+                return { status: 'sent', messageId: `msg-${sent.length}` };
+            }
+        }),
+        ...stateStore(state)
+    });
+
+    return { job, sent, state };
+}
+
+const rows = [
+    { code: 'HD001', item: 'Giày Nike', dueDate: '19/10/2026 15:00', status: 'Hoàn thành' },
+    { code: 'HD001', item: 'Túi LV', dueDate: '19/10/2026 15:00', status: 'Hoàn thành' },
+    { code: 'HD002', item: 'Dép', dueDate: '15/10/2026', newDueDate: '19/10', status: 'Đang làm' },
+    { code: 'HD003', item: 'Balo', dueDate: '19/10/2026', status: 'Hoàn thành' },
+    { code: 'HD004', item: 'Ví', dueDate: '19/10/2026', status: 'Đóng đơn' },
+    { code: 'HD005', item: 'Giày Vans', dueDate: '20/10/2026', status: 'Hoàn thành' }
+];
+
+describe('PickupReminderJob', () => {
+    it('sends a reminder for each completed order due today and records it', async () => {
+        const { job, sent, state } = createJob(rows);
+
+        assert.equal(await job.main(), false);
+
+        assert.deepEqual(sent, [{
+            phone: '0901234567',
+            message: 'Chào Nguyễn Thị Lan, đơn HD001 (Giày Nike, Túi LV) hẹn trả 19/10/2026 15:00.',
+            params: { customerName: 'Nguyễn Thị Lan', code: 'HD001', dueDate: '19/10/2026 15:00', items: 'Giày Nike, Túi LV' },
+            trackingId: 'HD001-20261019'
+        }]);
+        assert.deepEqual(Object.entries(state.reminders.sent).map(([code, { status, phone, messageId, error }]) => (
+            { code, status, phone, messageId, error }
+        )), [
+            { code: 'HD001', status: 'sent', phone: '0901234567', messageId: 'msg-1', error: null },
+            { code: 'HD003', status: 'failed', phone: null, messageId: null, error: 'no valid phone number in KiotViet' }
+        ]);
+        assert.equal(state.reminders.sent.HD001.sentAt, '2026-10-19T02:30:00.000Z');
+    });
+
+    it('only reminds orders whose items are all completed', () => {
+        const { job } = createJob([]);
+        const snapshotRows = [
+            { code: 'HD011', item: 'Giày Nike', dueDate: new Date(2026, 9, 19), dueText: '19/10/2026', status: 'Hoàn thành' },
+            { code: 'HD011', item: 'Túi LV', dueDate: new Date(2026, 9, 19), dueText: '19/10/2026', status: 'Đang làm' },
+            { code: 'HD012', item: 'Dép', dueDate: new Date(2026, 9, 19), dueText: '19/10/2026', status: 'Chưa làm' },
+            { code: 'HD013', item: 'Balo', dueDate: new Date(2026, 9, 19), dueText: '19/10/2026', status: 'Hoàn thành' },
+            { code: 'HD013', item: 'Ví', dueDate: new Date(2026, 9, 19), dueText: '19/10/2026', status: 'Huỷ đơn' }
+        ];
+
+        assert.deepEqual(job.selectDueToday(snapshotRows, clock.now()), [{ code: 'HD013', dueDate: '19/10/2026', items: ['Balo'] }]);
+    });
+
+    it('does not remind an order twice for the same due date', async () => {
+        const state = {};
+        await createJob(rows.slice(0, 2), { state }).job.main();
+
+        const { job, sent } = createJob(rows.slice(0, 2), { state });
+
+        assert.equal(await job.main(), true);
+        assert.deepEqual(sent, []);
+    });
+
+    it('only logs the reminders while sending is not allowed', async () => {
+        const { job, sent, state } = createJob(rows.slice(0, 2), { isSendAllowed: false });
+
+        assert.equal(await job.main(), true);
+
+        assert.deepEqual(sent, []);
+        assert.deepEqual(state, {});
+    });
+
+    it('does not record reminders that were only logged, so they still go out on a real channel', async () => {
+        const state = {};
+        assert.equal(await createJob(rows.slice(0, 2), { channel: 'log', state }).job.main(), true);
+        assert.deepEqual(state, {});
+
+        const { job, sent } = createJob(rows.slice(0, 2), { state });
+
+        assert.equal(await job.main(), true);
+        assert.equal(sent.length, 1);
+        assert.equal(state.reminders.sent.HD001.status, 'sent');
+    });
+});
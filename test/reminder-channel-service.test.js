@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const { ZaloZnsChannel, createReminderChannel, normalizePhone, renderTemplate } = require('../service/reminder-channel-service');
+
+describe('reminder channels', () => {
+    describe('normalizePhone', () => {
+        it('normalizes Vietnamese mobile numbers to national format', () => {
+            assert.deepEqual(['090 123 4567', '+84901234567', '84-912-223-344', '0934.556.677'].map(normalizePhone),
+                ['0901234567', '0901234567', '0912223344', '0934556677']);
+        });
+
+        it('rejects missing or invalid numbers', () => {
+            assert.deepEqual([undefined, '', '12345', '02812345678'].map(normalizePhone), [null, null, null, null]);
+        });
+    });
+
+    describe('renderTemplate', () => {
+        it('fills in placeholders and leaves unknown ones empty', () => {
+            assert.equal(renderTemplate('Chào {customerName}, đơn {code}{missing}.', { customerName: 'Lan', code: 'HD001' }), 'Chào Lan, đơn HD001.');
+        });
+    });
+
+    describe('ZaloZnsChannel', () => {
+        const reminder = { phone: '0901234567', message: 'Chào Lan', params: { code: 'HD001' }, trackingId: 'HD001-20261019' };
+
+        it('posts a template message with the international phone number', async () => {
+            const posts = [];
+            const channel = new ZaloZnsChannel({ url: 'https://zns.test/message', accessToken: 'token', templateId: '444594' }, {
+                axios: { post: async (url, body, options) => {
+                    posts.push({ url, body, headers: options.headers });
+                    return { data: { error: 0, message: 'Success', data: { msg_id: 'z-1' } } };
+                } }
+            });
+
+            assert.deepEqual(await channel.send(reminder), { status: 'sent', messageId: 'z-1' });
+            assert.deepEqual(posts[0].body, { phone: '84901234567', template_id: '444594', template_data: { code: 'HD001' }, tracking_id: 'HD001-20261019' });
+            assert.equal(posts[0].headers.access_token, 'token');
+        });
+
+        it('fails when Zalo rejects the message', async () => {
+            const channel = new ZaloZnsChannel({ url: 'https://zns.test/message', accessToken: 'token', templateId: '444594' }, {
+                axios: { post: async () => ({ data: { error: -124, message: 'Access token is invalid' } }) }
+            });
+
+            await assert.rejects(channel.send(reminder), /Zalo ZNS error -124: Access token is invalid/);
+        });
+    });
+
+    describe('createReminderChannel', () => {
+        it("takes the Zalo template ID from the setting when none is configured", () => {
+            const channel = createReminderChannel({ ...config.reminders, channel: 'zalo', zalo: { ...config.reminders.zalo, accessToken: 'token' } },
+                { templateId: ['444594', '445470'] });
+
+            assert.equal(channel.name, 'zalo');
+            assert.equal(channel.config.templateId, '444594');
+        });
+
+        it('rejects an unknown or incomplete channel', () => {
+            assert.throws(() => createReminderChannel({ ...config.reminders, channel: 'email' }), /Unknown reminder channel "email"/);
+            assert.throws(() => createReminderChannel({ ...config.reminders, channel: 'sms', sms: {} }), /SMS_API_URL/);
+        });
+    });
+});
@@ -0,0 +1,57 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { dbService } = require('../service/dbConnection-service');
+const { getSetting } = require('../service/setting-service');
+
+describe('getSetting', () => {
+    const { connect, get, close } = dbService;
+    const { POSTGRES_HOST } = process.env;
+    let events;
+
+    beforeEach(() => {
+        events = [];
+        process.env.POSTGRES_HOST = 'localhost';
+        // A pool answering every query with the given setting, without a database
+        dbService.connect = async () => {
+            events.push('connect');
+            dbService.pool = { query: async () => ({ rows: [{ metadata: '{"isSendAllowed": true}' }] }) };
+        };
+        dbService.close = async () => {
+            events.push('close');
+            dbService.pool = null;
+        };
+    });
+
+    afterEach(() => {
+        Object.assign(dbService, { connect, get, close, pool: null });
+        if (POSTGRES_HOST === undefined) {
+            delete process.env.POSTGRES_HOST;
+        } else {
+            process.env.POSTGRES_HOST = POSTGRES_HOST;
+        }
+    });
+
+    it('closes the pool it opened for the read', async () => {
+        assert.deepEqual(await getSetting('zalo'), { isSendAllowed: true });
+        assert.deepEqual(events, ['connect', 'close']);
+        assert.equal(dbService.pool, null);
+    });
+
+    it('leaves an already open pool to its owner', async () => {
+        await dbService.connect();
+
+        await getSetting('zalo');
+
+        assert.deepEqual(events, ['connect']);
+        assert.notEqual(dbService.pool, null);
+    });
+
+    it('closes the pool when the read fails', async () => {
+        dbService.get = async () => {
+            throw new Error('relation "settings" does not exist');
+        };
+
+        await assert.rejects(getSetting('zalo'), /relation "settings" does not exist/);
+        assert.deepEqual(events, ['connect', 'close']);
+    });
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const { parseWorkSheet, parseDuration, formatDuration } = require('../service/work-sheet-service');
+const { SheetLayout } = require('../service/sheet-schema-service');
+
+const layout = new SheetLayout(config.spreadsheet.columns, config.spreadsheet.headers);
+const today = new Date(2027, 0, 5, 9, 0);
+
+describe('parseWorkSheet', () => {
+    it('parses rows into typed objects with resolved dates', () => {
+        const { rows } = parseWorkSheet([
+            config.spreadsheet.headers,
+            layout.toRow({ code: 'HD001', receivedDate: '28/12/2026 10:00', dueDate: '30/12/2026', newDueDate: '5/1', status: 'Đang làm ', assignee: 'Thảo', delay: 'Delay lần 1' }),
+            layout.toRow({ code: 'HD002', receivedDate: '04/01/2027 16:30', dueDate: 'chưa hẹn' })
+        ], config.spreadsheet, today);
+
+        assert.deepEqual(rows[0], {
+            rowNumber: 2,
+            code: 'HD001',
+            receivedText: '28/12/2026 10:00',
+            receivedDate: new Date(2026, 11, 28, 10, 0),
+            dueText: '30/12/2026',
+            newDueText: '5/1',
+            dueDate: new Date(2027, 0, 5),
+            isRescheduled: true,
+            item: '',
+            work: '',
+            status: 'Đang làm',
+            duration: '',
+            estimatedMinutes: null,
+            assignee: 'Thảo',
+            paymentStatus: '',
+            note: '',
+            delay: 'Delay lần 1'
+        });
+        assert.equal(rows[1].dueDate, null);
+        assert.equal(rows[1].isRescheduled, false);
+    });
+
+    it('follows the columns of the header row', () => {
+        const headers = ['Cột riêng', ...config.spreadsheet.headers].reverse();
+        const reordered = new SheetLayout(config.spreadsheet.columns, headers);
+        const row = reordered.toRow({ code: 'HD003', status: 'Phát sinh', item: 'Giày Vans' });
+        row[headers.indexOf('Cột riêng')] = 'ghi chú riêng';
+
+        const { rows } = parseWorkSheet([headers, row], config.spreadsheet, today);
+
+        assert.equal(rows[0].code, 'HD003');
+        assert.equal(rows[0].status, 'Phát sinh');
+        assert.equal(rows[0].item, 'Giày Vans');
+        assert.equal(rows[0].receivedDate, null);
+    });
+
+    it('fails when a configured column is missing', () => {
+        assert.throws(() => parseWorkSheet([['Hoá đơn'], ['HD004']], config.spreadsheet, today), /"Ngày nhận" not found/);
+    });
+
+    it('returns no rows for an empty sheet', () => {
+        assert.deepEqual(parseWorkSheet([], config.spreadsheet, today).rows, []);
+    });
+});
+
+describe('parseDuration', () => {
+    it('reads the ways estimates are typed', () => {
+        assert.deepEqual(['2h', '1h30', '1,5 giờ', '2 tiếng', '45p', '45 phút', '2h 15p', '2', '30'].map(parseDuration),
+            [120, 90, 90, 120, 45, 45, 135, 120, 30]);
+    });
+
+    it('returns null for empty or unknown estimates', () => {
+        assert.deepEqual(['', 'chưa biết', 'h'].map(parseDuration), [null, null, null]);
+    });
+});
+
+describe('formatDuration', () => {
+    it('formats minutes like a typed estimate', () => {
+        assert.deepEqual([45, 120, 135, 65].map(formatDuration), ['45p', '2h', '2h15', '1h05']);
+    });
+});
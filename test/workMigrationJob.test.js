@@ -0,0 +1,216 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const WorkMigrationJob = require('../job/workMigrationJob');
+const fixtures = require('./job-fixtures');
+const { layout, clockAt, createWorkSheet, createSpreadsheet, stateStore } = fixtures;
+
+// Fixed clock: Monday 19/10/2026 08:00 in Vietnam
+const clock = clockAt('2026-10-19T08:00');
+
+/**
+ * Create a job, optionally reading from an in-memory spreadsheet
+ * @param {InMemorySpreadsheet} spreadsheet - Spreadsheet the job reads and writes
+ * @returns {WorkMigrationJob} The job
+ */
+function createJob(spreadsheet = null) {
+    return fixtures.createJob(WorkMigrationJob, { spreadsheet, clock });
+}
+
+describe('workMigrationJob', () => {
+    describe('parseDescription', () => {
+        it('parses items, quantities, works, payment, deposit, notes and return date', () => {
+            const result = createJob().parseDescription([
+                '1. Giày Nike x2 + vệ sinh + sơn đế (gấp)',
+                '2. Túi LV + thay khoá',
+                'Cọc 200k',
+                'Ghi chú: khách dặn không dùng hoá chất',
+                'ĐTT',
+                'Hẹn trả: tối 7/3'
+            ].join('\n'));
+
+            assert.deepEqual(result.items, [
+                { productName: 'Giày Nike', quantity: 2, works: ['vệ sinh', 'sơn đế'], work: 'vệ sinh + sơn đế', priority: true },
+                { productName: 'Túi LV', quantity: 1, works: ['thay khoá'], work: 'thay khoá', priority: false }
+            ]);
+            assert.equal(result.paymentStatus, 'Đã thanh toán');
+            assert.equal(result.deposit, 200000);
+            assert.deepEqual(result.notes, ['khách dặn không dùng hoá chất']);
+            assert.equal(result.returnDate, 'tối 7/3');
+            assert.equal(result.priority, true);
+            assert.deepEqual(result.warnings, []);
+        });
+
+        it('reports lines it does not recognize with their line number', () => {
+            const result = createJob().parseDescription('1. Giày Converse + vệ sinh\nkhách gọi trước khi qua lấy\nCTT');
+
+            assert.equal(result.paymentStatus, 'Chưa thanh toán');
+            assert.deepEqual(result.warnings, [
+                { lineNumber: 2, text: 'khách gọi trước khi qua lấy', message: 'Unrecognized line' }
+            ]);
+        });
+
+        it('returns an empty result for an empty description', () => {
+            const result = createJob().parseDescription('');
+
+            assert.deepEqual(result.items, []);
+            assert.equal(result.returnDate, '');
+            assert.equal(result.deposit, 0);
+            assert.equal(result.priority, false);
+        });
+    });
+
+    describe('formatDate', () => {
+        it('formats a KiotViet date as MM/dd/yyyy HH:mm for USER_ENTERED input', () => {
+            assert.equal(createJob().formatDate('2026-03-07T09:05:00.0000000'), '03/07/2026 09:05');
+        });
+
+        it('pads single-digit days, months, hours and minutes', () => {
+            assert.equal(createJob().formatDate('2026-01-02T03:04:00'), '01/02/2026 03:04');
+        });
+    });
+
+    describe('processInvoice', () => {
+        it('resolves the return date relative to the purchase date', () => {
+            const invoice = createJob().processInvoice({
+                code: 'HD000001',
+                purchaseDate: '2026-12-28T10:00:00',
+                description: '1. Giày + vệ sinh\nHẹn trả: 5/1'
+            });
+
+            assert.equal(invoice.returnDateValue.date.getFullYear(), 2027);
+            assert.equal(invoice.isCancelled, false);
+        });
+
+        it('flags cancelled invoices', () => {
+            assert.equal(createJob().processInvoice({ code: 'HD000002', status: 2 }).isCancelled, true);
+        });
+    });
+
+    describe('runBackfill', () => {
+        it('rejects a reversed date range before backfilling any branch', async () => {
+            const branches = [{ id: 1, name: 'Vườn Đào' }, { id: 2, name: 'Cầu Giấy' }];
+
+            await assert.rejects(WorkMigrationJob.runBackfill({ ...config, branches }, '2025-09-07', '2025-09-01'),
+                /Backfill start date 2025-09-07 is after end date 2025-09-01/);
+        });
+    });
+
+    describe('validateBackfillRange', () => {
+        it('rejects dates that do not exist instead of rolling them over', () => {
+            assert.throws(() => WorkMigrationJob.validateBackfillRange('2025-02-31', '2025-03-05'), /must be real dates in YYYY-MM-DD format/);
+            assert.throws(() => WorkMigrationJob.validateBackfillRange('2025-04-01', '2025-04-31'), /must be real dates in YYYY-MM-DD format/);
+            assert.throws(() => WorkMigrationJob.validateBackfillRange('2025-13-01', '2025-13-02'), /must be real dates in YYYY-MM-DD format/);
+        });
+
+        it('accepts real dates, including 29 February of a leap year', () => {
+            assert.doesNotThrow(() => WorkMigrationJob.validateBackfillRange('2024-02-29', '2025-02-28'));
+        });
+    });
+
+    describe('alertUnparsedInvoices', () => {
+        it('logs the alert failure when Telegram is not configured', async () => {
+            const { botToken } = config.telegram;
+            config.telegram.botToken = '';
+            try {
+                const errors = [];
+                const job = fixtures.createJob(WorkMigrationJob, { clock, telegramBot: undefined, logError: message => errors.push(message) });
+
+                await job.alertUnparsedInvoices([job.processInvoice({ code: 'HD000004', purchaseDate: '2026-10-19T09:00:00', description: '' })]);
+
+                assert.deepEqual(errors, ['Error sending unparsed description alert: Missing Telegram bot token in configuration']);
+            } finally {
+                config.telegram.botToken = botToken;
+            }
+        });
+    });
+
+    describe('updateGoogleSheet', () => {
+        it('rewrites edited rows, cancels and adds items in a single batchUpdate', async () => {
+            const spreadsheet = createWorkSheet([
+                { code: 'HD000001', receivedDate: '18/10/2026 10:00', item: 'Giày Vans', work: 'vệ sinh', dueDate: '20/10/2026', status: 'Đang làm', assignee: 'Huy', paymentStatus: 'Chưa thanh toán', delay: 'Chọn' },
+                { code: 'HD000002', receivedDate: '18/10/2026 11:00', item: 'Túi LV', work: 'thay khoá', dueDate: '21/10/2026', status: 'Chưa làm', assignee: 'Chọn người làm', delay: 'Chọn' }
+            ]);
+            const job = createJob(spreadsheet);
+
+            await job.updateGoogleSheet([
+                job.processInvoice({ code: 'HD000001', purchaseDate: '2026-10-18T10:00:00', description: '1. Giày Vans + vệ sinh\n2. Dép + dán đế\nĐTT\nHẹn trả: 22/10 17:00' }),
+                job.processInvoice({ code: 'HD000002', purchaseDate: '2026-10-18T11:00:00', status: 2, description: '' })
+            ]);
+
+            assert.deepEqual(spreadsheet.calls.map(call => call.method).filter(method => method !== 'spreadsheets.get'),
+                ['spreadsheets.values.get', 'spreadsheets.batchUpdate']);
+            const { sheets } = await spreadsheet.getGoogleClient();
+            const { values } = (await sheets.spreadsheets.values.get({ spreadsheetId: 'test-spreadsheet', range: 'Công việc' })).data;
+            assert.deepEqual(values.slice(1).map(row => ['code', 'dueDate', 'item', 'status', 'assignee', 'paymentStatus'].map(field => layout.get(row, field))), [
+                ['HD000001', '22/10/2026 17:00', 'Dép', 'Chưa làm', 'Chọn người làm', 'Đã thanh toán'],
+                ['HD000001', '22/10/2026 17:00', 'Giày Vans', 'Đang làm', 'Huy', 'Đã thanh toán'],
+                ['HD000002', '21/10/2026', 'Túi LV', 'Huỷ đơn', 'Chọn người làm', '']
+            ]);
+        });
+    });
+
+    describe('saveSyncState', () => {
+        it('records the high-water mark with the time of the run', () => {
+            const state = {};
+            const job = fixtures.createJob(WorkMigrationJob, { clock, ...stateStore(state) });
+
+            job.saveSyncState({ lastPurchaseDate: '2026-10-18T10:00:00', lastModifiedDate: '2026-10-18T12:00:00' }, [
+                { purchaseDate: '2026-10-19T07:45:00', modifiedDate: '2026-10-18T11:00:00' }
+            ], clock.now());
+
+            assert.deepEqual(state.workMigration, {
+                syncedThroughDate: '2026-10-19',
+                lastPurchaseDate: '2026-10-19T07:45:00',
+                lastModifiedDate: '2026-10-18T12:00:00',
+                lastSyncedAt: '2026-10-19T01:00:00.000Z'
+            });
+        });
+    });
+
+    describe('planMigration', () => {
+        const invoice = createJob().processInvoice({
+            code: 'HD000010',
+            purchaseDate: '2026-10-19T09:30:00',
+            description: '1. Giày Nike + vệ sinh\n2. Túi LV + thay khoá\nHẹn trả: 21/10'
+        });
+
+        it('lists new rows and the dropdown defaults of existing rows without writing', async () => {
+            const spreadsheet = createWorkSheet([
+                { code: 'HD000001', item: 'Giày Vans', status: 'Đang làm', assignee: 'Chọn người làm', delay: 'Chọn' },
+                { code: 'HD000002', item: 'Giày Puma' }
+            ]);
+
+            const plan = await createJob(spreadsheet).planMigration(
+                [createJob().processInvoice({ code: 'HD000001', purchaseDate: '2026-10-18T10:00:00' }), invoice],
+                []
+            );
+
+            assert.equal(plan.createSheet, false);
+            assert.deepEqual(plan.inserts.map(row => [row.code, row.item, row.dueDate]), [
+                ['HD000010', 'Giày Nike', '10/21/2026'],
+                ['HD000010', 'Túi LV', '10/21/2026']
+            ]);
+            assert.deepEqual(plan.defaults, [
+                { row: 3, code: 'HD000002', column: 'Trạng thái', value: 'Chưa làm' },
+                { row: 3, code: 'HD000002', column: 'Người làm', value: 'Chọn người làm' },
+                { row: 3, code: 'HD000002', column: 'Lần Delay', value: 'Chọn' }
+            ]);
+            assert.deepEqual(spreadsheet.calls.map(call => call.method), [
+                'spreadsheets.get', 'spreadsheets.values.get', 'spreadsheets.get'
+            ]);
+        });
+
+        it('plans a new sheet when it does not exist yet', async () => {
+            const spreadsheet = createSpreadsheet();
+
+            const plan = await createJob(spreadsheet).planMigration([invoice], [{ code: 'HD000003' }]);
+
+            assert.equal(plan.createSheet, true);
+            assert.equal(plan.inserts.length, 2);
+            assert.equal(plan.dropdownRules, null);
+            assert.deepEqual(plan.updatedInvoices, ['HD000003']);
+            assert.deepEqual(spreadsheet.sheets, []);
+        });
+    });
+});